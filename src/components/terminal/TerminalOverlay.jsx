@@ -4,25 +4,85 @@
  * A draggable, keyboard-toggleable “terminal overlay” for your sci-fi portfolio.
  * Great for easter eggs or a power-user launcher (⌃/Ctrl + ` to toggle).
  *
+ * Page buttons and other islands can drive it through `window.terminal`
+ * (the `terminal:ready` event fires once it exists):
+ *   window.terminal.open() / .close() / .toggle()
+ *   await window.terminal.run("projects")   // opens, waits for boot, resolves with the status
+ * Links made with `share` (`/#run=projects&run=skills`) open the terminal
+ * and ask before running their commands.
+ *
  * Highlights
- * - Draggable overlay window with neon/sci-fi chrome (no external libs)
- * - Typewriter boot banner + smooth scrollback
- * - Command history (↑/↓), autocomplete hint (Tab)
- * - Built-in commands: help, clear, echo, about, skills, projects, contact,
- *   date, time, open <url>, github, resume, theme <holo|dark|light>
+ * - Draggable overlay window with neon/sci-fi chrome (no external libs):
+ *   resize from any edge or corner, double-click the title bar (or the green
+ *   light) to maximize, drag to the top / left / right edge to snap, amber
+ *   light minimizes to a dock pill; geometry is kept in localStorage and
+ *   pulled back on screen when the viewport shrinks
+ * - Typewriter boot banner (any key skips it) with a daily "message of the
+ *   day" fact + smooth scrollback
+ * - Long output stays fast: the scrollback keeps the newest `scrollback`
+ *   lines and only renders those near the viewport; scrolling up pauses
+ *   auto-scroll (a "jump to latest" chip counts new lines), and Ctrl+F
+ *   finds text in the scrollback (Enter older, Shift+Enter newer)
+ * - Click a line to select it (Shift+click for a range) and Ctrl/⌘+C copies
+ *   the lines; `save` downloads the scrollback, `share` makes a replay link
+ * - Aliases, `export`/`$VAR` and a personal ~/.terminalrc (`rc edit`) that
+ *   runs after the banner
+ * - Persistent history with Ctrl+R reverse search; readline editing keys
+ *   (Ctrl+A/E/W/U/K/Y, Alt+B/F, Ctrl+L) and Tab / Shift+Tab cycling
+ * - Typos: fuzzy suggestions while typing, "did you mean" for unknown
+ *   commands and, with `autoCorrect`, a prompt to run the closest match
+ * - Ctrl+C interrupts long-running commands (status bar shows what is running)
+ * - Commands can ask questions (`contact -m`); the prompt shows the question,
+ *   masks secrets and Esc cancels the question instead of closing
+ * - Rich output: colored/bold spans, badges and clickable links (ANSI colors
+ *   in plain strings work too); links open through the session's `open`
+ * - Pure UI shell over `useTerminal`: commands, history (↑/↓), autocomplete
+ *   (Tab), themes and the virtual filesystem (ls, cd, cat…) all come from
+ *   the hook, so the two never drift apart; the prompt shows the cwd
+ * - Tabs: each tab is its own session (scrollback, cwd, history pointer);
+ *   Ctrl+Shift+T opens one, Ctrl+W on an empty line closes it (otherwise it
+ *   deletes a word), double-click renames it, and
+ *   the tab list survives page navigations (sessionStorage). Browsers that
+ *   reserve those shortcuts still have the tab strip's + and × buttons
  * - Extensible via `commands` prop (sync or async handlers)
- * - Accessible: proper roles, focus trap on open, keyboard shortcuts
+ * - Accessible: proper roles, focus trap on open (and focus back to whatever
+ *   had it on close), keyboard shortcuts; a screen reader live region reads
+ *   each command's output once it finishes, questions and Tab completions,
+ *   instead of every line (or typed character) as it appears. Reduced
+ *   motion prints the banner at once and stops the pulsing caret
  *
  * Props
  * - isOpen?: boolean              Control visibility (uncontrolled if omitted)
+ * - onOpenChange?: (open: boolean) => void
+ *                                 Called when the overlay asks to open or close
+ *                                 (hotkey, Esc, close button, window.terminal);
+ *                                 controlled overlays apply it through isOpen
  * - onClose?: () => void          Called when overlay requests close (Esc/Close)
  * - title?: string                Window title text (“ACCESS TERMINAL” default)
- * - initialLines?: string[]       Lines shown after boot banner
- * - commands?: Record<string, (args:string[], api:CmdAPI)=>Promise<string|string[]>|string|string[]>
- * - hotkey?: string               Keyboard shortcut to toggle (default: "Ctrl+`")
+ * - initialLines?: OutputLine[] | string
+ *                                 Lines shown after boot banner (strings or rich
+ *                                 lines), or a script (one command per line)
+ *                                 run silently like ~/.terminalrc
+ * - commands?: Record<string, CommandSpec | (args:string[], api:CmdAPI)=>CommandResult>
+ *                                 Specs get validation, help and completion
+ *                                 (see CmdAPI / CommandSpec in ./useTerminal.ts)
+ * - onOpenURL?: (url: string) => void   Intercept URL openings (default: new tab)
+ * - historyMax?: number           Maximum history length (default: 100)
+ * - scrollback?: number           Lines kept per tab; older ones are dropped
+ *                                 (default: 1000)
+ * - autoCorrect?: boolean         Offer to run the closest command after a typo
+ *                                 (Enter accepts; default: false)
+ * - motd?: boolean                Show today's fact after the banner (default: true)
+ * - reducedMotion?: boolean       Skip the typewriter (default: the visitor's
+ *                                 prefers-reduced-motion setting)
+ * - hotkey?: string               Keyboard shortcut to toggle (default: "Ctrl+`"):
+ *                                 "Mod+K", "Alt+Shift+T", sequences like "g t"
+ *                                 (see ./hotkeys.ts); plain keys are ignored
+ *                                 while typing in form fields
  * - startTheme?: "holo"|"dark"|"light"   Default theme (default: "holo")
- * - defaultPosition?: {x:number, y:number}  Initial top-left position (px)
- * - defaultSize?: {w:number, h:number}   Initial size (px)
+ * - defaultPosition?: {x:number, y:number}  Initial top-left position (px),
+ *                                 until the visitor moves the window
+ * - defaultSize?: {w:number, h:number}   Initial size (px), same
  *
  * Usage (Astro or React):
  * ---
@@ -39,24 +99,32 @@
  */
 
 import React from "react";
+import { motd as motdLines } from "./fact";
+import {
+  fitRect,
+  loadGeometry,
+  magnet,
+  resizeRect,
+  RESIZE_EDGES,
+  saveGeometry,
+  snapZone,
+  viewportOf,
+  zoneRect,
+} from "./geometry";
+import { createHotkeyListener, formatHotkey } from "./hotkeys";
+import { findLines, markSpans, rowOffset, windowRows } from "./scrollback";
+import { sharedCommands } from "./share";
+import { useTerminal, useTerminalTabs } from "./useTerminal";
 
 // ---------- Utilities ----------
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 const nowHHMMSS = () => new Date().toLocaleTimeString();
 const fmtDate = () => new Date().toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
 
-/** Simple tokenizer that preserves quoted strings. */
-function tokenize(input) {
-  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
-  const out = [];
-  let m;
-  while ((m = re.exec(input))) out.push(m[1] ?? m[2] ?? m[3]);
-  return out;
-}
-
 // ---------- Component ----------
 export default function TerminalOverlay({
   isOpen: isOpenProp,
+  onOpenChange,
   onClose,
   title = "ACCESS TERMINAL",
   initialLines = [
@@ -64,6 +132,12 @@ export default function TerminalOverlay({
     "Try: projects, skills, about, theme holo",
   ],
   commands: userCommands,
+  onOpenURL,
+  historyMax,
+  scrollback = 1000,
+  autoCorrect = false,
+  motd = true,
+  reducedMotion,
   hotkey = "Ctrl+`",
   startTheme = "holo",
   defaultPosition = { x: 64, y: 64 },
@@ -74,135 +148,184 @@ export default function TerminalOverlay({
   const isControlled = typeof isOpenProp === "boolean";
   const isOpen = isControlled ? isOpenProp : internalOpen;
 
-  const [theme, setTheme] = React.useState(startTheme); // holo | dark | light
-  const [pos, setPos] = React.useState(defaultPosition);
-  const [size, setSize] = React.useState(defaultSize);
-  const [dragState, setDragState] = React.useState(null);
+  // Ask for a visibility change: uncontrolled overlays apply it themselves,
+  // controlled ones only report it (onOpenChange / onClose) to the parent
+  const setOpen = (next) => {
+    if (next === isOpen) return;
+    if (!isControlled) setInternalOpen(next);
+    if (onOpenChange) onOpenChange(next);
+    if (!next && onClose) onClose();
+  };
 
-  const [lines, setLines] = React.useState(() => []);
-  const [bootDone, setBootDone] = React.useState(false);
-  const [input, setInput] = React.useState("");
-  const [history, setHistory] = React.useState([]);
-  const [histIdx, setHistIdx] = React.useState(-1);
-  const [suggestion, setSuggestion] = React.useState("");
+  // Window geometry: the normal rect plus maximized/minimized (see ./geometry.ts).
+  // Stored geometry is applied after mount so server and client render alike.
+  const [geo, setGeo] = React.useState(() => ({
+    rect: { x: defaultPosition.x, y: defaultPosition.y, w: defaultSize.w, h: defaultSize.h },
+    maximized: false,
+    minimized: false,
+  }));
+  const [viewport, setViewport] = React.useState(null);
+  const [dragState, setDragState] = React.useState(null); // move or resize in progress
+  const [snapPreview, setSnapPreview] = React.useState(null); // rect shown while a snap is armed
+  const geoLoadedRef = React.useRef(false);
+  const [editingTab, setEditingTab] = React.useState(null); // { id, title } while renaming
 
   const wrapRef = React.useRef(null);
+  const skipBootRef = React.useRef(null); // AbortController while the banner types
+  const bootingRef = React.useRef(null); // token of the boot in progress
+  const runQueueRef = React.useRef([]); // window.terminal.run calls waiting for boot
+  const apiRef = React.useRef(null); // latest state for window.terminal and the hotkey
+  const bootedRef = React.useRef(new Set()); // tab ids that already booted
   const scrollRef = React.useRef(null);
   const inputRef = React.useRef(null);
+  const measureRef = React.useRef(null); // ten hidden "0"s: monospace cell width
+  const rowsRef = React.useRef(null); // Scrollback handle: { scrollToLine }
+  const findRef = React.useRef(null);
+  const stickRef = React.useRef(true); // follow new output (off while scrolled up)
+  const [scrolledUp, setScrolledUp] = React.useState(false);
+  const [unseen, setUnseen] = React.useState(0); // lines printed while scrolled up
+  const [find, setFind] = React.useState(null); // { query, index } while Ctrl+F is open; index 0 = newest match
+  const [picked, setPicked] = React.useState(null); // { anchor, focus } selected lines (counting trimmed ones)
+  const [copied, setCopied] = React.useState(false); // "Copied" flash on the selection bar
 
-  // --- Built-in commands (can be overridden by userCommands) ---
-  const builtin = React.useMemo(() => {
-    /** @type {Record<string, (args: string[], api: CmdAPI) => any>} */
-    return {
-      help: (_args, api) => [
-        "Available commands:",
-        "  help                Show this help",
-        "  clear               Clear the screen",
-        "  echo <text>         Print text",
-        "  about               Who is Zeshan?",
-        "  skills              Tech stack overview",
-        "  projects            List featured projects",
-        "  contact             How to reach me",
-        "  date | time         Show current date / time",
-        "  github              Open GitHub profile",
-        "  resume              Open resume PDF",
-        "  open <url>          Open a URL",
-        "  theme <holo|dark|light>   Switch terminal theme",
-      ],
-      clear: () => {
-        setLines([]);
-        return "";
-      },
-      echo: (args) => args.join(" "),
-      about: () => [
-        "User: Zeshan Basaran",
-        "Specialization: Pattern Recognition & Predictive Modeling",
-        "Clearance: Data Analyst / Computer Scientist",
-        "Motto: Analyzing patterns, engineering solutions, shaping the future.",
-      ],
-      skills: () => [
-        "Languages: Python, Java, Kotlin, SQL, JavaScript/TypeScript, Go (learning)",
-        "Data: pandas, scikit-learn, Plotly, Dash, Streamlit, NumPy",
-        "Web: Astro, React, Tailwind, Node, REST APIs",
-        "DB: SQLite, MySQL, Postgres",
-        "Tools: Git, Docker, Jupyter, VS Code",
-      ],
-      projects: () => [
-        "1) Systematic Trading Backtester & Risk Monitor  —  Python + Streamlit",
-        "2) Quantitative Factor Analytics Platform        —  Python + Dash",
-        "3) Sci-Fi Portfolio (this site)                 —  Astro + Tailwind",
-        "Tip: click Projects in the top nav for interactive previews.",
-      ],
-      contact: () => [
-        "Email: zeshanbasaran@gmail.com",
-        "LinkedIn: /in/zeshanbasaran",
-        "Location: Baltimore, MD (US-ET)",
-      ],
-      date: () => fmtDate(),
-      time: () => nowHHMMSS(),
-      github: (_args, api) => {
-        api.open("https://github.com/zeshanbasaran");
-        return "Opening GitHub in a new tab…";
-      },
-      resume: (_args, api) => {
-        // Adjust to your actual resume path
-        api.open("/resume.pdf");
-        return "Opening resume…";
-      },
-      open: (args, api) => {
-        if (!args[0]) return "Usage: open <url>";
-        const url = /^https?:\/\//i.test(args[0]) ? args[0] : `https://${args[0]}`;
-        api.open(url);
-        return `Opening ${url}…`;
-      },
-      theme: (args) => {
-        const t = (args[0] || "").toLowerCase();
-        if (!["holo", "dark", "light"].includes(t)) {
-          return "Usage: theme <holo|dark|light>";
-        }
-        setTheme(t);
-        return `Theme set to ${t}.`;
-      },
-    };
-  }, []);
+  // --- Tabs: one session each, restored from sessionStorage ---
+  const tabs = useTerminalTabs({ session: { initialLines: [], startTheme, historyMax } });
+
+  // --- Terminal engine (registry, history, autocomplete, built-ins) ---
+  // Initial lines are typed out after the boot banner instead of shown upfront.
+  const {
+    lines,
+    richLines,
+    trimmed,
+    input,
+    setInput,
+    suggestion,
+    theme,
+    prompt,
+    search,
+    running,
+    question,
+    appendLine,
+    appendType,
+    clear,
+    open,
+    announcement,
+    announceOutput,
+    runScript,
+    session,
+    onKeyDown: onTerminalKeyDown,
+  } = useTerminal({
+    session: tabs.active,
+    commands: userCommands,
+    onOpenURL,
+    historyMax,
+    scrollback,
+    autoCorrect,
+    reducedMotion,
+  });
 
-  // Merge with user-provided commands
-  const commands = React.useMemo(() => ({ ...builtin, ...(userCommands || {}) }), [builtin, userCommands]);
+  // Open (restoring from the dock), close and toggle for the hotkey and window.terminal
+  const show = () => (isOpen && geo.minimized ? setGeo((g) => ({ ...g, minimized: false })) : setOpen(true));
+  const toggle = () => (isOpen && !geo.minimized ? setOpen(false) : show());
+  apiRef.current = { isOpen, show, hide: () => setOpen(false), toggle, session };
 
-  const commandNames = React.useMemo(() => Object.keys(commands).sort(), [commands]);
+  // Run window.terminal.run() commands once the overlay is open and booted
+  const flushRuns = () => {
+    const { isOpen: open, session: active } = apiRef.current;
+    if (!open || bootingRef.current) return;
+    for (const { cmd, options, resolve } of runQueueRef.current.splice(0)) active.execute(cmd, options).then(resolve);
+  };
 
-  // --- Hotkey: Ctrl+` to toggle
+  // --- Hotkey (see ./hotkeys.ts) toggles, or restores from the dock ---
+  const [hotkeyLabel, setHotkeyLabel] = React.useState(hotkey);
   React.useEffect(() => {
-    function handler(e) {
-      const isBacktick = e.key === "`";
-      const wantCtrl = /Ctrl\+`/i.test(hotkey);
-      const ok = isBacktick && (!!e.ctrlKey === wantCtrl);
-      if (ok) {
+    // Platform-specific label ("⌘K" on Macs) after mount, so SSR markup matches
+    setHotkeyLabel(formatHotkey(hotkey));
+    let onKey;
+    try {
+      onKey = createHotkeyListener(hotkey, (e) => {
         e.preventDefault();
-        if (isControlled) {
-          // If controlled, request close/open through onClose if closing
-          if (isOpen && onClose) onClose();
-          // If closed, we cannot open externally; document it in README if needed
-        } else {
-          setInternalOpen((v) => !v);
-        }
-      }
+        apiRef.current.toggle();
+      });
+    } catch (err) {
+      // Reported like other errors, in the scrollback
+      apiRef.current.session.print(`hotkey: ${err.message} (no keyboard shortcut)`);
+      return;
     }
-    window.addEventListener("keydown", handler);
-    return () => window.removeEventListener("keydown", handler);
-  }, [hotkey, isOpen, isControlled, onClose]);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [hotkey]);
+
+  // --- Global API for page buttons and other islands ---
+  React.useEffect(() => {
+    const api = {
+      open: () => apiRef.current.show(),
+      close: () => apiRef.current.hide(),
+      toggle: () => apiRef.current.toggle(),
+      run: (cmd) =>
+        new Promise((resolve) => {
+          runQueueRef.current.push({ cmd, resolve });
+          apiRef.current.show();
+          flushRuns();
+        }),
+      get isOpen() {
+        return apiRef.current.isOpen;
+      },
+    };
+    window.terminal = api;
+    window.dispatchEvent(new Event("terminal:ready"));
+    return () => {
+      if (window.terminal === api) delete window.terminal;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-  // --- Focus trap: focus input when open
+  // --- Focus goes back to whatever had it (e.g. the button that opened us) on close
   React.useEffect(() => {
-    if (isOpen) setTimeout(() => inputRef.current?.focus(), 0);
+    if (!isOpen) return;
+    const previous = document.activeElement;
+    const opener = previous && previous !== document.body && !wrapRef.current?.contains(previous) ? previous : null;
+    return () => {
+      if (opener?.isConnected) opener.focus({ preventScroll: true });
+    };
   }, [isOpen]);
 
-  // --- Boot banner + initial lines (typewriter)
+  // --- Shared links (see ./share.ts): open and ask before replaying ---
   React.useEffect(() => {
-    if (!isOpen || bootDone) return;
+    const replay = () => {
+      if (!sharedCommands(window.location.hash).length) return;
+      runQueueRef.current.push({ cmd: "share --replay", options: { echo: false, record: false }, resolve: () => {} });
+      apiRef.current.show();
+      flushRuns();
+    };
+    replay();
+    window.addEventListener("hashchange", replay);
+    return () => window.removeEventListener("hashchange", replay);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // --- Focus trap: focus input when open (after switching tabs or restoring too)
+  React.useEffect(() => {
+    if (isOpen && !geo.minimized) setTimeout(() => inputRef.current?.focus(), 0);
+  }, [isOpen, tabs.activeId, geo.minimized]);
+
+  // --- Boot: banner + initial lines (typewriter) in the first tab; later and
+  // restored tabs (which already show their output) only run ~/.terminalrc
+  React.useEffect(() => {
+    const tab = tabs.tabs.find((t) => t.id === tabs.activeId);
+    if (!isOpen || !tab || bootedRef.current.has(tab.id)) return;
+    const firstBoot = bootedRef.current.size === 0 && !tab.restored;
+    bootedRef.current.add(tab.id);
     let cancelled = false;
+    const skip = new AbortController();
+    skipBootRef.current = skip;
 
     const boot = async () => {
+      if (!firstBoot) {
+        skipBootRef.current = null;
+        await runScript(session.rc);
+        return;
+      }
       const banner = [
         ">> INITIALIZING NEURAL INTERFACE…",
         ">> HANDSHAKE OK.",
@@ -210,77 +333,255 @@ export default function TerminalOverlay({
       ];
       for (const line of banner) {
         if (cancelled) return;
-        await appendType(line, 10);
+        await appendType(line, 10, skip.signal);
       }
       if (cancelled) return;
+      if (motd) motdLines().forEach((line) => appendLine(line));
       appendLine(""); // spacer
-      for (const line of initialLines) {
-        if (cancelled) return;
-        await appendType(line, 5);
+      if (typeof initialLines !== "string") {
+        for (const line of initialLines) {
+          if (cancelled) return;
+          // Rich lines are printed as-is; only plain strings get the typewriter
+          if (typeof line === "string") await appendType(line, 5, skip.signal);
+          else appendLine(line);
+        }
       }
-      setBootDone(true);
+      // Typing is over: keys reach the prompt (queued while scripts run)
+      skipBootRef.current = null;
+      if (typeof initialLines === "string" && !cancelled) await runScript(initialLines);
+      // The visitor's own ~/.terminalrc runs last so it can override the site's
+      if (!cancelled) await runScript(session.rc);
     };
 
-    boot();
+    const token = {};
+    bootingRef.current = token;
+    boot().finally(() => {
+      // The banner is read out once, not as it types
+      if (!cancelled) announceOutput();
+      if (bootingRef.current !== token) return;
+      bootingRef.current = null;
+      flushRuns();
+    });
     return () => {
       cancelled = true;
+      skip.abort();
+      // An interrupted banner must not keep swallowing keys
+      if (skipBootRef.current === skip) skipBootRef.current = null;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isOpen]);
+  }, [isOpen, tabs.activeId]);
+
+  // Queued window.terminal.run calls go now if nothing needs to boot
+  React.useEffect(() => {
+    flushRuns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, tabs.activeId]);
 
-  // --- Append helpers ---
-  const appendLine = React.useCallback((text) => {
-    setLines((prev) => [...prev, text]);
-    // scroll to bottom next frame
-    requestAnimationFrame(() => {
+  // --- Keep the newest output in view, unless the visitor scrolled up ---
+  React.useEffect(() => {
+    const id = requestAnimationFrame(() => {
       const el = scrollRef.current;
-      if (el) el.scrollTop = el.scrollHeight;
+      if (el && stickRef.current) el.scrollTop = el.scrollHeight;
     });
-  }, []);
+    return () => cancelAnimationFrame(id);
+  }, [lines, geo.minimized]);
 
-  const appendType = React.useCallback(
-    (text, delay = 8) =>
-      new Promise((resolve) => {
-        let i = 0;
-        const tick = () => {
-          appendLine(text.slice(0, i + 1));
-          i++;
-          if (i < text.length) setTimeout(tick, delay);
-          else resolve(null);
-        };
-        tick();
+  // Count lines that arrive while scrolled up (for the "jump to latest" chip)
+  React.useEffect(
+    () =>
+      session.on("output", (added) => {
+        if (!stickRef.current) setUnseen((n) => n + added.length);
       }),
-    [appendLine]
+    [session]
+  );
+
+  // A switched-to tab starts at its newest output, with nothing selected
+  React.useEffect(() => {
+    stickRef.current = true;
+    setScrolledUp(false);
+    setUnseen(0);
+    setPicked(null);
+  }, [tabs.activeId]);
+
+  const onScrollbackScroll = () => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 8;
+    stickRef.current = atBottom;
+    setScrolledUp(!atBottom);
+    if (atBottom) setUnseen(0);
+  };
+
+  const jumpToLatest = () => {
+    const el = scrollRef.current;
+    stickRef.current = true;
+    if (el) el.scrollTop = el.scrollHeight;
+    inputRef.current?.focus();
+  };
+
+  // --- Find in scrollback (Ctrl+F) ---
+  const matches = React.useMemo(() => (find ? findLines(lines, find.query) : []), [find?.query, lines]);
+  const matchSet = React.useMemo(() => new Set(matches), [matches]);
+  const matchAt = matches.length ? (((find?.index ?? 0) % matches.length) + matches.length) % matches.length : -1;
+  const currentMatch = matchAt < 0 ? -1 : matches[matches.length - 1 - matchAt];
+
+  React.useEffect(() => {
+    if (currentMatch < 0) return;
+    stickRef.current = false;
+    rowsRef.current?.scrollToLine(currentMatch);
+  }, [currentMatch, find?.index]);
+
+  const openFind = () => {
+    const selected = window.getSelection?.()?.toString() ?? "";
+    setFind((f) => (selected && !selected.includes("\n") ? { query: selected, index: 0 } : f ?? { query: "", index: 0 }));
+    setTimeout(() => findRef.current?.select(), 0);
+  };
+
+  const closeFind = () => {
+    setFind(null);
+    inputRef.current?.focus();
+  };
+
+  const onFindKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      closeFind();
+    } else if (e.key === "Enter") {
+      // Enter walks back through older matches, Shift+Enter forward
+      e.preventDefault();
+      setFind((f) => ({ ...f, index: f.index + (e.shiftKey ? -1 : 1) }));
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "f") {
+      e.preventDefault();
+      findRef.current?.select();
+    }
+  };
+
+  // --- Line selection: click a line, Shift+click extends; Ctrl/⌘+C copies ---
+  // `picked` counts trimmed lines too, so it stays on its lines as the top is dropped
+  const selection = React.useMemo(() => {
+    if (!picked) return null;
+    const from = Math.max(Math.min(picked.anchor, picked.focus) - trimmed, 0);
+    const to = Math.max(picked.anchor, picked.focus) - trimmed;
+    return to < 0 ? null : { from, to };
+  }, [picked, trimmed]);
+
+  const pickLine = React.useCallback(
+    (i, e) => {
+      // Links open, and a drag selects text as usual
+      if (e.target.closest("a") || window.getSelection?.()?.toString()) return;
+      const at = trimmed + i;
+      setPicked((p) =>
+        e.shiftKey && p ? { ...p, focus: at } : p && p.anchor === at && p.focus === at ? null : { anchor: at, focus: at }
+      );
+      setCopied(false);
+      inputRef.current?.focus();
+    },
+    [trimmed]
   );
 
-  // --- Dragging the window (titlebar mousedown -> move) ---
+  const copyPicked = async () => {
+    if (!selection) return;
+    try {
+      await navigator.clipboard.writeText(lines.slice(selection.from, selection.to + 1).join("\n"));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      appendLine("[copy failed — permissions?]");
+    }
+  };
+
+  // --- Report the scrollback width in characters (plot sizes charts to it) ---
+  React.useEffect(() => {
+    const el = scrollRef.current;
+    const probe = measureRef.current;
+    if (!isOpen || !el || !probe || typeof ResizeObserver === "undefined") return;
+    const measure = () => {
+      const style = getComputedStyle(el);
+      const inner = el.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+      const cell = probe.getBoundingClientRect().width / 10;
+      if (cell > 0) session.setColumns(inner / cell);
+    };
+    const ro = new ResizeObserver(measure);
+    ro.observe(el);
+    measure();
+    return () => ro.disconnect();
+  }, [isOpen, session, geo.minimized]);
+
+  // --- Geometry: restore, persist, keep on screen ---
+  React.useEffect(() => {
+    const vp = viewportOf();
+    const stored = loadGeometry();
+    setViewport(vp);
+    if (stored) setGeo({ ...stored, rect: fitRect(stored.rect, vp) });
+    geoLoadedRef.current = true;
+
+    const onResize = () => {
+      const next = viewportOf();
+      setViewport(next);
+      setGeo((g) => ({ ...g, rect: fitRect(g.rect, next) }));
+    };
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  React.useEffect(() => {
+    if (geoLoadedRef.current && !dragState) saveGeometry(geo);
+  }, [geo, dragState]);
+
+  // What is on screen: the viewport when maximized, else the normal rect
+  const frame = geo.maximized && viewport ? zoneRect("top", viewport) : geo.rect;
+
+  const toggleMaximize = () => setGeo((g) => ({ ...g, maximized: !g.maximized }));
+  const setMinimized = (minimized) => setGeo((g) => ({ ...g, minimized }));
+
+  // --- Dragging the window (titlebar mousedown -> move, handles -> resize) ---
   const onDragStart = (e) => {
-    if (!isOpen) return;
-    const rect = wrapRef.current?.getBoundingClientRect();
-    setDragState({
-      startX: e.clientX,
-      startY: e.clientY,
-      origX: pos.x,
-      origY: pos.y,
-      boundsW: window.innerWidth,
-      boundsH: window.innerHeight,
-      rectW: rect?.width ?? size.w,
-      rectH: rect?.height ?? size.h,
-    });
+    if (!isOpen || e.button !== 0) return;
+    const vp = viewportOf();
+    let start = frame;
+    // Dragging a maximized window restores its size under the pointer
+    if (geo.maximized) {
+      const w = geo.rect.w;
+      start = { ...geo.rect, x: clamp(e.clientX - w / 2, 0, vp.w - w), y: 8 };
+      setGeo((g) => ({ ...g, maximized: false, rect: start }));
+    }
+    setDragState({ edge: null, startX: e.clientX, startY: e.clientY, start, viewport: vp });
+    e.preventDefault();
+  };
+  const onResizeStart = (edge) => (e) => {
+    if (e.button !== 0 || geo.maximized) return;
+    e.stopPropagation();
     e.preventDefault();
+    setDragState({ edge, startX: e.clientX, startY: e.clientY, start: geo.rect, viewport: viewportOf() });
   };
   const onDragMove = React.useCallback(
     (e) => {
       if (!dragState) return;
+      const { edge, start, viewport: vp } = dragState;
       const dx = e.clientX - dragState.startX;
       const dy = e.clientY - dragState.startY;
-      const nx = clamp(dragState.origX + dx, 8 - dragState.rectW, dragState.boundsW - 8);
-      const ny = clamp(dragState.origY + dy, 8, dragState.boundsH - 48);
-      setPos({ x: nx, y: ny });
+      if (edge) {
+        setGeo((g) => ({ ...g, rect: resizeRect(start, edge, dx, dy, vp) }));
+        return;
+      }
+      const x = clamp(start.x + dx, 8 - start.w, vp.w - 8);
+      const y = clamp(start.y + dy, 8, vp.h - 48);
+      setGeo((g) => ({ ...g, rect: { ...g.rect, x, y } }));
+      const zone = snapZone({ x: e.clientX, y: e.clientY }, vp);
+      setSnapPreview(zone ? { zone, rect: zoneRect(zone, vp) } : null);
     },
     [dragState]
   );
-  const onDragEnd = React.useCallback(() => setDragState(null), []);
+  const onDragEnd = React.useCallback(() => {
+    if (!dragState) return;
+    const vp = dragState.viewport;
+    if (snapPreview?.zone === "top") setGeo((g) => ({ ...g, maximized: true }));
+    else if (snapPreview) setGeo((g) => ({ ...g, rect: snapPreview.rect }));
+    else if (!dragState.edge) setGeo((g) => ({ ...g, rect: magnet(g.rect, vp) }));
+    setSnapPreview(null);
+    setDragState(null);
+  }, [dragState, snapPreview]);
 
   React.useEffect(() => {
     if (!dragState) return;
@@ -294,101 +595,64 @@ export default function TerminalOverlay({
     };
   }, [dragState, onDragMove, onDragEnd]);
 
-  // --- Input handling ---
-  const runCommand = React.useCallback(
-    async (raw) => {
-      if (!raw.trim()) return;
-      // Print the prompt + command
-      appendLine(`$ ${raw}`);
-      setHistory((h) => [...h.slice(-99), raw]);
-      setHistIdx(-1);
-
-      const [cmd, ...args] = tokenize(raw);
-      const handler = commands[cmd];
-      /** @type {CmdAPI} */
-      const api = {
-        print: appendLine,
-        open: (url) => window.open(url, "_blank", "noopener,noreferrer"),
-        setTheme,
-      };
-
-      try {
-        if (!handler) {
-          appendLine(`Command not found: ${cmd}. Type 'help'.`);
-          return;
-        }
-        const result = await handler(args, api);
-        if (Array.isArray(result)) result.forEach((ln) => appendLine(String(ln)));
-        else if (typeof result === "string" && result.length) appendLine(result);
-      } catch (err) {
-        appendLine(String(err?.message || err || "Unknown error"));
-      }
-    },
-    [appendLine, commands]
-  );
-
+  // --- Input handling (Esc closes, everything else goes to the engine) ---
   const onKeyDown = (e) => {
-    // History nav
-    if (e.key === "ArrowUp") {
+    // Any key (but Esc) finishes the boot banner instantly and is swallowed
+    if (skipBootRef.current && e.key !== "Escape") {
       e.preventDefault();
-      if (!history.length) return;
-      const ni = histIdx < 0 ? history.length - 1 : Math.max(0, histIdx - 1);
-      setHistIdx(ni);
-      setInput(history[ni]);
+      skipBootRef.current.abort();
       return;
     }
-    if (e.key === "ArrowDown") {
+    // Tabs: Ctrl+Shift+T opens one, Ctrl+W on an empty line closes this one
+    // (the last closes the window); with text, Ctrl+W deletes a word
+    if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === "t") {
       e.preventDefault();
-      if (histIdx < 0) return;
-      const ni = histIdx + 1;
-      if (ni >= history.length) {
-        setHistIdx(-1);
-        setInput("");
-      } else {
-        setHistIdx(ni);
-        setInput(history[ni]);
-      }
+      tabs.openTab();
       return;
     }
-    if (e.key === "Enter") {
+    if (e.ctrlKey && !e.shiftKey && e.key.toLowerCase() === "w" && !input) {
       e.preventDefault();
-      const val = input;
-      setInput("");
-      setSuggestion("");
-      runCommand(val);
+      closeTab(tabs.activeId);
       return;
     }
-    if (e.key === "Tab") {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "f") {
       e.preventDefault();
-      // Simple autocomplete on first token
-      const [tok] = tokenize(input);
-      if (!tok) return;
-      const matches = commandNames.filter((c) => c.startsWith(tok));
-      if (matches.length === 1) {
-        const rest = input.replace(/^\S+/, matches[0]);
-        setInput(rest);
-        setSuggestion("");
-      } else if (matches.length > 1) {
-        setSuggestion(matches.join("  "));
-      }
+      openFind();
       return;
     }
-    if (e.key === "Escape") {
+    // Ctrl/⌘+C copies selected lines (not text, and not in the input) before it interrupts
+    const { selectionStart, selectionEnd } = e.currentTarget;
+    if (
+      selection &&
+      (e.ctrlKey || e.metaKey) &&
+      !e.altKey &&
+      e.key.toLowerCase() === "c" &&
+      selectionStart === selectionEnd &&
+      !window.getSelection?.()?.toString()
+    ) {
       e.preventDefault();
-      handleClose();
+      copyPicked();
+      return;
     }
-  };
-
-  // Autocomplete hint while typing
-  React.useEffect(() => {
-    const [tok] = tokenize(input);
-    if (!tok) {
-      setSuggestion("");
+    // Running a command brings the newest output back into view, unselected
+    if (e.key === "Enter") {
+      stickRef.current = true;
+      setPicked(null);
+    }
+    // Esc drops the line selection first
+    if (e.key === "Escape" && picked && !search && !question) {
+      e.preventDefault();
+      setPicked(null);
+      return;
+    }
+    // While reverse-searching or answering a question, Esc only cancels that
+    if (e.key === "Escape" && !search && !question) {
+      e.preventDefault();
+      handleClose();
       return;
     }
-    const matches = commandNames.filter((c) => c.startsWith(tok));
-    setSuggestion(matches.length === 1 ? matches[0] : "");
-  }, [input, commandNames]);
+    onTerminalKeyDown(e);
+  };
 
   const copyAll = async () => {
     const text = lines.join("\n");
@@ -400,11 +664,18 @@ export default function TerminalOverlay({
     }
   };
 
-  const handleClose = () => {
-    if (onClose) onClose();
-    if (!isControlled) setInternalOpen(false);
+  const closeTab = (id) => {
+    if (!tabs.closeTab(id)) handleClose();
   };
 
+  const commitRename = () => {
+    if (editingTab) tabs.rename(editingTab.id, editingTab.title);
+    setEditingTab(null);
+    inputRef.current?.focus();
+  };
+
+  const handleClose = () => setOpen(false);
+
   // Close on background click (outside window)
   const onBgClick = (e) => {
     if (e.target === e.currentTarget) handleClose();
@@ -423,6 +694,7 @@ export default function TerminalOverlay({
           prompt: "text-sky-600",
           caret: "bg-slate-800",
           grid: "bg-gradient-to-b",
+          colors: LIGHT_COLORS,
         };
       case "dark":
         return {
@@ -434,6 +706,7 @@ export default function TerminalOverlay({
           prompt: "text-sky-400",
           caret: "bg-slate-200",
           grid: "bg-gradient-to-b",
+          colors: DARK_COLORS,
         };
       case "holo":
       default:
@@ -446,25 +719,69 @@ export default function TerminalOverlay({
           prompt: "text-sky-300",
           caret: "bg-sky-300",
           grid: "bg-gradient-to-b",
+          colors: DARK_COLORS,
         };
     }
   })();
 
   if (!isOpen) return null;
 
+  // Minimized: only a dock pill (the sessions keep running underneath)
+  if (geo.minimized) {
+    return (
+      <button
+        className={[
+          "fixed bottom-4 right-4 z-[90] flex items-center gap-2 rounded-full border px-3 py-1.5",
+          "font-mono text-[11px] tracking-widest",
+          themeVars.border,
+          themeVars.paper,
+          themeVars.glow,
+          "text-sky-300/90 hover:text-sky-200",
+        ].join(" ")}
+        onClick={() => setMinimized(false)}
+        title={`Restore terminal (${hotkeyLabel})`}
+        aria-label="Restore terminal"
+      >
+        <span className={running ? "text-amber-300/90 motion-safe:animate-pulse" : "text-emerald-400/80"}>●</span>
+        {title}
+        {tabs.tabs.length > 1 && <span className="text-slate-400/80">· {tabs.tabs.length} tabs</span>}
+      </button>
+    );
+  }
+
   return (
     <div
       role="dialog"
       aria-modal="true"
       aria-label="Terminal overlay"
       className="fixed inset-0 z-[90]"
-      onMouseUp={onDragEnd}
-      onMouseMove={onDragMove}
       onClick={onBgClick}
     >
+      {/* Screen reader announcements (see `announcement` in ./useTerminal.ts) */}
+      <div role="log" aria-live="polite" className="sr-only">
+        {announcement && (
+          <p key={announcement.id} className="whitespace-pre-line">
+            {announcement.text}
+          </p>
+        )}
+      </div>
+
       {/* Backdrop */}
       <div className="absolute inset-0 bg-slate-950/60 backdrop-blur-sm" />
 
+      {/* Snap preview while dragging to an edge */}
+      {snapPreview && (
+        <div
+          className="pointer-events-none absolute rounded-2xl border border-sky-400/40 bg-sky-400/10"
+          style={{
+            left: `${snapPreview.rect.x}px`,
+            top: `${snapPreview.rect.y}px`,
+            width: `${snapPreview.rect.w}px`,
+            height: `${snapPreview.rect.h}px`,
+          }}
+        />
+      )}
+
       {/* Window */}
       <div
         ref={wrapRef}
@@ -477,13 +794,24 @@ export default function TerminalOverlay({
           "w-[min(95vw,1200px)]",
         ].join(" ")}
         style={{
-          left: `${pos.x}px`,
-          top: `${pos.y}px`,
-          width: `${size.w}px`,
-          height: `${size.h}px`,
+          left: `${frame.x}px`,
+          top: `${frame.y}px`,
+          width: `${frame.w}px`,
+          height: `${frame.h}px`,
         }}
         onClick={(e) => e.stopPropagation()}
       >
+        {/* Resize handles (edges and corners) */}
+        {!geo.maximized &&
+          RESIZE_EDGES.map((edge) => (
+            <div
+              key={edge}
+              aria-hidden="true"
+              className={["absolute z-10", RESIZE_HANDLES[edge]].join(" ")}
+              onMouseDown={onResizeStart(edge)}
+            />
+          ))}
+
         {/* Titlebar */}
         <div
           className={[
@@ -496,15 +824,105 @@ export default function TerminalOverlay({
             "cursor-grab active:cursor-grabbing",
           ].join(" ")}
           onMouseDown={onDragStart}
+          onDoubleClick={(e) => {
+            if (e.target === e.currentTarget || e.target.tagName === "H3") toggleMaximize();
+          }}
         >
-          <div className="flex items-center gap-2">
-            <span className="inline-block h-3 w-3 rounded-full bg-rose-400/80" />
-            <span className="inline-block h-3 w-3 rounded-full bg-amber-300/80" />
-            <span className="inline-block h-3 w-3 rounded-full bg-emerald-400/80" />
+          <div className="flex items-center gap-2" onMouseDown={(e) => e.target !== e.currentTarget && e.stopPropagation()}>
+            <button
+              className="inline-block h-3 w-3 rounded-full bg-rose-400/80 hover:bg-rose-400"
+              onClick={handleClose}
+              aria-label="Close terminal"
+              title="Close (Esc)"
+            />
+            <button
+              className="inline-block h-3 w-3 rounded-full bg-amber-300/80 hover:bg-amber-300"
+              onClick={() => setMinimized(true)}
+              aria-label="Minimize terminal"
+              title="Minimize"
+            />
+            <button
+              className="inline-block h-3 w-3 rounded-full bg-emerald-400/80 hover:bg-emerald-400"
+              onClick={toggleMaximize}
+              aria-label={geo.maximized ? "Restore window size" : "Maximize terminal"}
+              title={geo.maximized ? "Restore" : "Maximize"}
+            />
             <h3 className="ml-2 text-xs font-semibold tracking-widest text-sky-300/90">
               {title}
             </h3>
           </div>
+
+          {/* Tabs (mousedown stays here so clicks don't start a drag) */}
+          <div
+            role="tablist"
+            aria-label="Terminal tabs"
+            className="flex min-w-0 flex-1 items-center gap-1 overflow-x-auto"
+            onMouseDown={(e) => e.stopPropagation()}
+          >
+            {tabs.tabs.map((tab) => {
+              const active = tab.id === tabs.activeId;
+              return (
+                <div
+                  key={tab.id}
+                  role="tab"
+                  aria-selected={active}
+                  className={[
+                    "group flex shrink-0 items-center gap-1 rounded-md border px-2 py-0.5 text-[11px]",
+                    active
+                      ? "border-sky-400/40 bg-sky-400/10 text-sky-200"
+                      : "border-transparent text-slate-400 hover:bg-slate-900/40 hover:text-slate-200",
+                  ].join(" ")}
+                  onClick={() => tabs.activate(tab.id)}
+                  onDoubleClick={() => setEditingTab({ id: tab.id, title: tab.title })}
+                  title="Double-click to rename"
+                >
+                  {editingTab?.id === tab.id ? (
+                    <input
+                      autoFocus
+                      value={editingTab.title}
+                      onChange={(e) => setEditingTab({ id: tab.id, title: e.target.value })}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") commitRename();
+                        if (e.key === "Escape") {
+                          e.preventDefault();
+                          setEditingTab(null);
+                          inputRef.current?.focus();
+                        }
+                      }}
+                      className="w-20 bg-transparent outline-none"
+                      aria-label="Tab name"
+                    />
+                  ) : (
+                    <span className="max-w-[10rem] truncate">{tab.title}</span>
+                  )}
+                  {tabs.tabs.length > 1 && (
+                    <button
+                      className="opacity-50 hover:opacity-100"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        closeTab(tab.id);
+                      }}
+                      aria-label={`Close ${tab.title}`}
+                      title="Close tab (Ctrl+W)"
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+            {tabs.tabs.length < tabs.manager.max && (
+              <button
+                className="shrink-0 rounded-md px-1.5 text-[13px] leading-none text-slate-400 hover:text-sky-200"
+                onClick={() => tabs.openTab()}
+                aria-label="New tab"
+                title="New tab (Ctrl+Shift+T)"
+              >
+                +
+              </button>
+            )}
+          </div>
           <div className="flex items-center gap-2">
             <button
               className="rounded-md border border-sky-400/20 bg-slate-900/40 px-2 py-1 text-[11px] text-slate-200 hover:bg-slate-900/60"
@@ -515,10 +933,7 @@ export default function TerminalOverlay({
             </button>
             <button
               className="rounded-md border border-sky-400/20 bg-slate-900/40 px-2 py-1 text-[11px] text-slate-200 hover:bg-slate-900/60"
-              onClick={() => {
-                setLines([]);
-                setBootDone(true);
-              }}
+              onClick={clear}
               title="Clear"
             >
               Clear
@@ -534,27 +949,138 @@ export default function TerminalOverlay({
         </div>
 
         {/* Console area */}
-        <div className="flex h-[calc(100%-40px)] flex-col">
+        <div className="relative flex h-[calc(100%-40px)] flex-col">
+          {/* Find bar (Ctrl+F) */}
+          {find && (
+            <div
+              role="search"
+              className={[
+                "absolute right-5 top-2 z-10 flex items-center gap-1.5 rounded-md border px-2 py-1 font-mono text-[11px] shadow-lg",
+                themeVars.paper,
+                themeVars.border,
+                themeVars.text,
+              ].join(" ")}
+            >
+              <input
+                ref={findRef}
+                value={find.query}
+                onChange={(e) => setFind({ query: e.target.value, index: 0 })}
+                onKeyDown={onFindKeyDown}
+                placeholder="find in scrollback…"
+                aria-label="Find in scrollback"
+                className="w-40 bg-transparent outline-none placeholder:text-slate-400/60"
+                spellCheck={false}
+              />
+              <span className="min-w-[4rem] text-right text-slate-400/80" aria-live="polite">
+                {find.query ? (matches.length ? `${matches.length - matchAt}/${matches.length}` : "no match") : ""}
+              </span>
+              <button
+                className="px-1 text-slate-400 hover:text-sky-300"
+                onClick={() => setFind((f) => ({ ...f, index: f.index + 1 }))}
+                title="Older match (Enter)"
+                aria-label="Older match"
+              >
+                ↑
+              </button>
+              <button
+                className="px-1 text-slate-400 hover:text-sky-300"
+                onClick={() => setFind((f) => ({ ...f, index: f.index - 1 }))}
+                title="Newer match (Shift+Enter)"
+                aria-label="Newer match"
+              >
+                ↓
+              </button>
+              <button
+                className="px-1 text-slate-400 hover:text-rose-300"
+                onClick={closeFind}
+                title="Close (Esc)"
+                aria-label="Close find"
+              >
+                ×
+              </button>
+            </div>
+          )}
+
+          {/* Selected lines */}
+          {selection && (
+            <div
+              className={[
+                "absolute left-5 top-2 z-10 flex items-center gap-2 rounded-md border px-2 py-1 font-mono text-[11px] shadow-lg",
+                themeVars.paper,
+                themeVars.border,
+                themeVars.text,
+              ].join(" ")}
+            >
+              <span aria-live="polite">
+                {copied
+                  ? "Copied"
+                  : `${selection.to - selection.from + 1} line${selection.to === selection.from ? "" : "s"} selected`}
+              </span>
+              <button className="text-sky-300 hover:text-sky-200" onClick={copyPicked} title="Copy lines (Ctrl+C)">
+                Copy
+              </button>
+              <button
+                className="px-1 text-slate-400 hover:text-rose-300"
+                onClick={() => {
+                  setPicked(null);
+                  inputRef.current?.focus();
+                }}
+                title="Clear selection (Esc)"
+                aria-label="Clear selection"
+              >
+                ×
+              </button>
+            </div>
+          )}
+
+          {/* Auto-scroll is paused while scrolled up */}
+          {scrolledUp && (
+            <button
+              className="absolute bottom-12 right-6 z-10 rounded-full border border-sky-400/40 bg-slate-900/90 px-3 py-1 font-mono text-[11px] text-sky-200 shadow-lg hover:bg-slate-800"
+              onClick={jumpToLatest}
+            >
+              ↓ {unseen ? `${unseen} new line${unseen === 1 ? "" : "s"}` : "Jump to latest"}
+            </button>
+          )}
+
           <div
             ref={scrollRef}
+            onScroll={onScrollbackScroll}
             className={[
               "custom-scrollbar",
-              "relative flex-1 overflow-auto px-4 py-3",
+              "relative flex-1 select-text overflow-auto px-4 py-3",
               themeVars.text,
               "font-mono text-[12.5px] leading-6",
               "bg-[radial-gradient(ellipse_at_top_left,rgba(56,189,248,0.08),transparent_35%),radial-gradient(ellipse_at_bottom_right,rgba(56,189,248,0.06),transparent_40%)]",
             ].join(" ")}
           >
-            {/* Scrollback */}
-            {lines.map((ln, i) => (
-              <Line key={i} text={ln} />
-            ))}
+            <span ref={measureRef} aria-hidden="true" className="invisible absolute whitespace-pre">
+              0000000000
+            </span>
+
+            {/* Scrollback (windowed) */}
+            <Scrollback
+              lines={richLines}
+              trimmed={trimmed}
+              scrollRef={scrollRef}
+              controlRef={rowsRef}
+              colors={themeVars.colors}
+              onOpen={open}
+              query={find?.query ?? ""}
+              matches={matchSet}
+              current={currentMatch}
+              selection={selection}
+              onPick={pickLine}
+            />
 
             {/* Prompt */}
             <div className="flex items-center gap-2">
-              <span className={["font-bold", themeVars.prompt].join(" ")}>$</span>
+              <span className={["shrink-0 font-bold", themeVars.prompt].join(" ")}>
+                {search ? "(reverse-i-search)" : question ? question.text : `${prompt} $`}
+              </span>
               <input
                 ref={inputRef}
+                type={question?.mask ? "password" : "text"}
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
                 onKeyDown={onKeyDown}
@@ -563,18 +1089,36 @@ export default function TerminalOverlay({
                   themeVars.text,
                   "placeholder:text-slate-400/60",
                 ].join(" ")}
-                placeholder="enter command… (help)"
-                aria-label="Terminal input"
+                placeholder={
+                  search ? "search history…" : question ? "type your answer…" : "enter command… (help)"
+                }
+                aria-label={question ? question.text : "Terminal input"}
                 autoCapitalize="off"
                 autoCorrect="off"
                 spellCheck={false}
               />
               {/* Blinking caret (purely cosmetic) */}
-              <span className={["ml-1 h-4 w-[2px] animate-pulse", themeVars.caret].join(" ")} />
+              <span aria-hidden="true" className={["ml-1 h-4 w-[2px] motion-safe:animate-pulse", themeVars.caret].join(" ")} />
             </div>
 
+            {/* Reverse search match */}
+            {search && (
+              <div className="mt-1 pl-5 text-[11px] text-slate-400/70">
+                {search.match ? (
+                  <>
+                    <span className="text-slate-500">match: </span>
+                    <span className={themeVars.text}>{search.match}</span>
+                  </>
+                ) : search.query ? (
+                  "no match"
+                ) : (
+                  "type to search history • Ctrl+R older • Enter run • Esc cancel"
+                )}
+              </div>
+            )}
+
             {/* Suggestion row */}
-            {!!suggestion && (
+            {!search && !!suggestion && (
               <div className="mt-1 pl-5 text-[11px] text-slate-400/70">{suggestion}</div>
             )}
 
@@ -595,7 +1139,13 @@ export default function TerminalOverlay({
             <div>
               {theme.toUpperCase()} • {fmtDate()} {nowHHMMSS()}
             </div>
-            <div className="hidden sm:block">Hotkey: {hotkey} • Esc to close</div>
+            {running ? (
+              <div className="min-w-0 truncate text-amber-300/90" aria-live="polite">
+                <span className="motion-safe:animate-pulse">●</span> running: {running} • Ctrl+C to interrupt
+              </div>
+            ) : (
+              <div className="hidden sm:block">Hotkey: {hotkeyLabel} • Esc to close</div>
+            )}
           </div>
         </div>
       </div>
@@ -605,22 +1155,225 @@ export default function TerminalOverlay({
 
 // ---------- Small subcomponents ----------
 
-function Line({ text }) {
-  // Linkify http/https
-  const html = React.useMemo(() => {
-    if (!text) return "";
-    const esc = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-    return esc.replace(
-      /(https?:\/\/[^\s)]+)|(www\.[^\s)]+)/g,
-      (m) => `<a href="${/^https?:\/\//.test(m) ? m : "https://" + m}" target="_blank" rel="noopener noreferrer" class="underline decoration-dotted hover:text-sky-300">${m}</a>`
+// Resize handle placement and cursor per edge (literal class names for Tailwind)
+const RESIZE_HANDLES = {
+  n: "-top-1 left-3 right-3 h-2 cursor-ns-resize",
+  s: "-bottom-1 left-3 right-3 h-2 cursor-ns-resize",
+  e: "-right-1 top-3 bottom-3 w-2 cursor-ew-resize",
+  w: "-left-1 top-3 bottom-3 w-2 cursor-ew-resize",
+  ne: "-right-1 -top-1 h-4 w-4 cursor-nesw-resize",
+  nw: "-left-1 -top-1 h-4 w-4 cursor-nwse-resize",
+  se: "-bottom-1 -right-1 h-4 w-4 cursor-nwse-resize",
+  sw: "-bottom-1 -left-1 h-4 w-4 cursor-nesw-resize",
+};
+
+// Span colors per theme (literal class names so Tailwind keeps them)
+const DARK_COLORS = {
+  black: "text-slate-500",
+  red: "text-rose-400",
+  green: "text-emerald-400",
+  yellow: "text-amber-300",
+  blue: "text-sky-400",
+  magenta: "text-fuchsia-400",
+  cyan: "text-cyan-300",
+  white: "text-slate-50",
+  gray: "text-slate-400",
+};
+const LIGHT_COLORS = {
+  black: "text-slate-900",
+  red: "text-rose-600",
+  green: "text-emerald-700",
+  yellow: "text-amber-600",
+  blue: "text-sky-700",
+  magenta: "text-fuchsia-700",
+  cyan: "text-cyan-700",
+  white: "text-slate-500",
+  gray: "text-slate-500",
+};
+
+const URL_RE = /(https?:\/\/[^\s)]+|www\.[^\s)]+)/g;
+
+/** Height of one unwrapped line (leading-6), until a line is measured. */
+const ROW_HEIGHT = 24;
+
+// Renders only the lines near the viewport; spacers stand in for the rest.
+// Heights are measured as lines render (wrapped lines are taller) and kept
+// per line object, so trimming the top or appending does not invalidate them.
+const Scrollback = React.memo(function Scrollback({
+  lines,
+  trimmed,
+  scrollRef,
+  controlRef,
+  colors,
+  onOpen,
+  query,
+  matches,
+  current,
+  selection,
+  onPick,
+}) {
+  const rowsRef = React.useRef(null);
+  const heightsRef = React.useRef(new WeakMap());
+  const [view, setView] = React.useState({ top: 0, height: 0 });
+  const [, remeasure] = React.useReducer((n) => n + 1, 0);
+
+  // Follow the console's scroll position and size
+  React.useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const sync = () => {
+      const top = el.scrollTop - (rowsRef.current?.offsetTop ?? 0);
+      const height = el.clientHeight;
+      setView((v) => (v.top === top && v.height === height ? v : { top, height }));
+    };
+    let frame = 0;
+    const onScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(sync);
+    };
+    let width = el.clientWidth;
+    const ro =
+      typeof ResizeObserver === "undefined"
+        ? null
+        : new ResizeObserver(() => {
+            // A new width rewraps lines: measure again
+            if (el.clientWidth !== width) {
+              width = el.clientWidth;
+              heightsRef.current = new WeakMap();
+              remeasure();
+            }
+            sync();
+          });
+    el.addEventListener("scroll", onScroll, { passive: true });
+    ro?.observe(el);
+    sync();
+    return () => {
+      cancelAnimationFrame(frame);
+      el.removeEventListener("scroll", onScroll);
+      ro?.disconnect();
+    };
+  }, [scrollRef]);
+
+  const heights = lines.map((l) => heightsRef.current.get(l) ?? ROW_HEIGHT);
+  const win = windowRows(heights, view.top, view.height || 800);
+
+  // Record real heights; re-render once if the estimate was off
+  React.useLayoutEffect(() => {
+    let changed = false;
+    for (const row of rowsRef.current?.children ?? []) {
+      const line = lines[Number(row.dataset.row)];
+      if (!line || heightsRef.current.get(line) === row.offsetHeight) continue;
+      heightsRef.current.set(line, row.offsetHeight);
+      changed = true;
+    }
+    if (changed) remeasure();
+  });
+
+  controlRef.current = {
+    // Center line `index` in the console
+    scrollToLine: (index) => {
+      const el = scrollRef.current;
+      if (!el || !rowsRef.current) return;
+      const y = rowsRef.current.offsetTop + rowOffset(heights, index);
+      el.scrollTop = y - el.clientHeight / 2 + ROW_HEIGHT / 2;
+    },
+  };
+
+  return (
+    <div ref={rowsRef}>
+      {win.before > 0 && <div aria-hidden="true" style={{ height: win.before }} />}
+      {lines.slice(win.start, win.end).map((ln, k) => {
+        const i = win.start + k;
+        const selected = selection && i >= selection.from && i <= selection.to;
+        return (
+          <div
+            key={trimmed + i}
+            data-row={i}
+            className={selected ? "-mx-2 rounded-sm bg-sky-400/15 px-2" : undefined}
+            onClick={(e) => onPick(i, e)}
+          >
+            <Line
+              line={ln}
+              colors={colors}
+              onOpen={onOpen}
+              query={matches.has(i) ? query : ""}
+              current={i === current}
+            />
+          </div>
+        );
+      })}
+      {win.after > 0 && <div aria-hidden="true" style={{ height: win.after }} />}
+    </div>
+  );
+});
+
+const Line = React.memo(function Line({ line, colors, onOpen, query = "", current = false }) {
+  if (!line.spans.length) return <div className="h-6" />;
+  const spans = query ? markSpans(line.spans, query) : line.spans;
+  const mark = current ? "rounded-sm bg-amber-300/80 text-slate-950" : "rounded-sm bg-amber-300/30";
+  return (
+    <div className="whitespace-pre-wrap">
+      {spans.map((s, i) => (
+        <Span key={i} span={s} colors={colors} onOpen={onOpen} mark={s.mark ? mark : ""} />
+      ))}
+    </div>
+  );
+});
+
+function Span({ span, colors, onOpen, mark = "" }) {
+  const className = [
+    span.color && colors[span.color],
+    span.bold && "font-bold",
+    span.dim && "opacity-60",
+    span.italic && "italic",
+    span.underline && "underline",
+    span.badge &&
+      "mx-0.5 rounded border border-current px-1.5 py-px text-[10.5px] font-semibold uppercase tracking-wider",
+    mark,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  if (span.href) {
+    return (
+      <Link href={span.href} className={className} onOpen={onOpen}>
+        {span.text}
+      </Link>
     );
-  }, [text]);
-  return <div className="whitespace-pre-wrap" dangerouslySetInnerHTML={{ __html: html }} />;
+  }
+
+  // Autolink bare URLs in unlinked text
+  const parts = span.text.split(URL_RE);
+  return (
+    <span className={className || undefined}>
+      {parts.map((part, i) =>
+        i % 2 ? (
+          <Link key={i} href={/^https?:\/\//.test(part) ? part : `https://${part}`} onOpen={onOpen}>
+            {part}
+          </Link>
+        ) : (
+          part
+        )
+      )}
+    </span>
+  );
 }
 
-/**
- * @typedef {Object} CmdAPI
- * @property {(s: string) => void} print  Append a line to the terminal
- * @property {(url: string) => void} open   Open a new browser tab
- * @property {(t: "holo"|"dark"|"light") => void} setTheme  Switch theme
- */
+function Link({ href, className = "", onOpen, children }) {
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={[className, "underline decoration-dotted hover:text-sky-300"].join(" ")}
+      onClick={(e) => {
+        // Plain left click goes through the session (onOpenURL, router…)
+        if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+        e.preventDefault();
+        onOpen(href);
+      }}
+    >
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,70 @@
+/**
+ * src/components/terminal/TerminalSession.test.ts
+ * -----------------------------------------------------------------------------
+ * Headless checks of the terminal core, no React or DOM: `npm test`
+ * (node:test through tsx).
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { STATUS_INTERRUPTED, TerminalSession } from "./TerminalSession";
+
+const fresh = () => new TerminalSession({ initialLines: [] });
+
+test("execute echoes the line and prints the output", async () => {
+  const session = fresh();
+  assert.equal(await session.execute("echo hello world"), 0);
+  assert.deepEqual(session.lines, ["$ echo hello world", "hello world"]);
+  assert.deepEqual(session.history, ["echo hello world"]);
+});
+
+test("unknown commands fail with a hint", async () => {
+  const session = fresh();
+  assert.notEqual(await session.execute("nope"), 0);
+  assert.match(session.lines.at(-1)!, /Command not found: nope/);
+});
+
+test("pipes feed each stage the previous one's output", async () => {
+  const session = fresh();
+  await session.execute("echo one | grep -i ONE | wc -l");
+  assert.equal(session.lines.at(-1), "1");
+  await session.execute("help | head -3 | wc -l");
+  assert.equal(session.lines.at(-1), "3");
+});
+
+test("&& stops after a failure, || runs the fallback", async () => {
+  const session = fresh();
+  await session.execute("nope && echo skipped || echo fallback");
+  assert.ok(!session.lines.includes("skipped"));
+  assert.equal(session.lines.at(-1), "fallback");
+});
+
+test("interrupt aborts the running command and runs its cleanups", async () => {
+  let cleaned = false;
+  const session = new TerminalSession({
+    initialLines: [],
+    commands: {
+      wait: async (_args, api) => {
+        api.onCleanup(() => (cleaned = true));
+        await api.sleep(60_000);
+        return "finished";
+      },
+    },
+  });
+  const status = session.execute("wait");
+  assert.equal(session.running, "wait");
+  assert.equal(session.interrupt(), true);
+  assert.equal(await status, STATUS_INTERRUPTED);
+  assert.ok(cleaned);
+  assert.equal(session.running, null);
+  assert.ok(!session.lines.includes("finished"));
+  assert.equal(session.interrupt(), false);
+});
+
+test("help prints the command name once in the usage line", async () => {
+  const session = fresh();
+  await session.execute("help gh");
+  assert.equal(session.lines[1], "Usage: gh <events|repo|langs|stars|rate> [repo] [options]");
+});
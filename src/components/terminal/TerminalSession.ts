@@ -0,0 +1,1353 @@
+/**
+ * src/components/terminal/TerminalSession.ts
+ * -----------------------------------------------------------------------------
+ * Framework-free terminal core. Owns everything the sci-fi terminal needs that
+ * is not UI:
+ * - Command registry (built-ins + overrides), tokenizer and execution
+ * - Declarative command metadata (./spec.ts): arguments are validated before
+ *   a handler runs, and `help` / Tab completion are generated from it
+ * - Read-only virtual filesystem over site content (./vfs.ts, ./siteFS.ts)
+ *   with a current directory and ls/cd/pwd/cat/tree/find (./files.ts)
+ * - Pipes and chaining (`a | b`, `a && b`, `a || b`, `a; b`) via ./pipeline.ts,
+ *   with stream built-ins (grep, head, tail, wc, sort, uniq) from ./streams.ts
+ * - Output buffer (scrollback lines) and theme token; lines are rich
+ *   (styled spans, links, badges, ANSI colors — see ./output.ts) with a
+ *   plain-text mirror in `lines`. The buffer keeps the newest `scrollback`
+ *   lines; `trimmed` counts those dropped off the top
+ * - Aliases, exported variables with `$VAR` expansion (`$USER`, `$THEME`,
+ *   `$PWD`, `$?`) and a `.terminalrc` script in storage (./env.ts);
+ *   `runScript` runs such scripts without echo or history
+ * - Plugins (./plugins.ts): commands registered once for every session,
+ *   optionally lazy — `gh` (GitHub via src/lib/github.ts) and `plot`
+ *   (sparkline, bar and braille line charts sized to `columns`, which the UI
+ *   reports through `setColumns`) are only imported when first used
+ * - `fact` (./fact.ts): fun facts from src/scripts/facts.ts
+ * - `resume` (./resume.ts): experience, education, skills, certs and timeline
+ *   from src/data/resume.json
+ * - `record` / `replay` (./record.ts): asciicast v2 recordings built from
+ *   the `input` / `output` / `update` / `clear` / `truncate` events; a
+ *   replayed clear screen only removes the replay's own lines
+ *   (`api.checkpoint`)
+ * - `save` / `share` (./share.ts): download the scrollback as text or JSON,
+ *   and links whose hash replays commands (after a confirmation)
+ * - Interactive prompts: `api.prompt` / `api.confirm` take over the input
+ *   line (`question` in the snapshot) until `answer()` is called; answers
+ *   never enter history, and Esc / Ctrl+C cancel through `interrupt()`
+ * - Streaming: handlers may be (async) generators that yield lines as they
+ *   go, and `api.update` / `liveLine()` rewrite one line in place for
+ *   spinners, progress bars and the typewriter effect
+ * - History with a navigation pointer (↑/↓ semantics), persisted to
+ *   localStorage, `!!` / `!n` expansion and reverse search (./history.ts)
+ * - Autocomplete for command names, flags and arguments (choices, paths,
+ *   async completers), falling back to fuzzy matches (./fuzzy.ts) when
+ *   nothing starts with the word; unknown commands get "did you mean" and,
+ *   with `autoCorrect`, an offer to run the closest one
+ * - Cancellation: one command line runs at a time (`running`); `interrupt()`
+ *   (Ctrl+C) aborts `api.signal`, runs `api.onCleanup` callbacks and prints
+ *   `^C`. Lines submitted meanwhile are queued (or refused, see `whileBusy`)
+ * - Tiny typed event emitter + immutable snapshots for UI bindings
+ *
+ * `useTerminal` wraps one session with React state; other islands, Node
+ * scripts and tests (./TerminalSession.test.ts, `npm test`) can drive a
+ * session directly:
+ *
+ * Example
+ * -------
+ * const session = new TerminalSession({ initialLines: [] });
+ * await session.execute("skills");
+ * console.log(session.lines.join("\n"));
+ *
+ * Design Notes
+ * ------------
+ * - No DOM or React dependencies; `open` falls back to window.open only when
+ *   a window exists.
+ * - Every mutation replaces the snapshot object, so `subscribe` +
+ *   `getSnapshot` plug straight into React.useSyncExternalStore.
+ * -----------------------------------------------------------------------------
+ */
+
+import { createBuiltinCommands } from "./builtins";
+import { createEnvCommands, expandVars, loadRc, RC_KEY, saveRc, scriptLines } from "./env";
+import { CommandError } from "./errors";
+import { createFactCommands } from "./fact";
+import { createFileCommands } from "./files";
+import { rankFuzzy } from "./fuzzy";
+import {
+  appendHistory,
+  defaultStorage,
+  expandHistory,
+  HISTORY_KEY,
+  loadHistory,
+  saveHistory,
+  searchHistory,
+  type KeyValueStorage,
+} from "./history";
+import { isRichLine, plainText, toRichLine, type OutputLine, type RichLine } from "./output";
+import { parseCommandLine, splitChain, type ChainLink } from "./pipeline";
+import {
+  createPluginCommands,
+  isPluginLoaded,
+  loadedPlugins,
+  loadPlugin,
+  pluginCommands,
+  pluginCompleters,
+  pluginRevision,
+} from "./plugins";
+import { createRecordCommands } from "./record";
+import { createResumeCommands } from "./resume";
+import { createShareCommands } from "./share";
+import { createSiteFS } from "./siteFS";
+import { completeArgs, parseArgs, toSpec, type ArgValue, type CommandSpec } from "./spec";
+import { createStreamCommands } from "./streams";
+import { displayPath, type VirtualFS } from "./vfs";
+
+// -----------------------------------------------------------------------------
+// Types
+// -----------------------------------------------------------------------------
+
+/** API given to command handlers for side-effects. */
+export interface CmdAPI {
+  /**
+   * Output of the previous pipeline stage (`a | b`), one entry per line, as
+   * plain text (styling does not survive a pipe, like colors in a Unix pipe).
+   * Undefined when the command is not reading from a pipe.
+   */
+  stdin?: string[];
+  /**
+   * Append a line to stdout (the scrollback, or the next pipeline stage).
+   * Strings may contain ANSI SGR escapes; see ./output.ts for rich lines.
+   */
+  print: (line: OutputLine) => void;
+  /** Clear the scrollback. */
+  clear: () => void;
+  /** Open a URL (default opens new tab, can be overridden by onOpenURL). */
+  open: (url: string) => void;
+  /** Set terminal theme token. */
+  setTheme: (theme: TerminalTheme) => void;
+  /** Session filesystem (read-only). */
+  fs: VirtualFS;
+  /** Current directory (absolute). */
+  cwd: string;
+  /** Width of the scrollback in characters (for charts and wrapping). */
+  columns: number;
+  /** Change the current directory (absolute path, must exist). */
+  cd: (abs: string) => void;
+  /** Positional values by arg name (validated against the CommandSpec). */
+  params: Record<string, ArgValue>;
+  /** Flag values by long name (defaults applied; booleans default false). */
+  flags: Record<string, ArgValue>;
+  /** Registry of all commands, normalized to specs (e.g. for `help`). */
+  commands: Readonly<Record<string, CommandSpec>>;
+  /** Command history, oldest first. */
+  history: readonly string[];
+  /** Forget all history (memory and storage). */
+  clearHistory: () => void;
+  /** Variables for `$VAR` expansion: exports plus USER, HOME, THEME, PWD. */
+  env: Readonly<Record<string, string>>;
+  /** Export (or with null, unset) a variable. THEME and PWD are read-only. */
+  setEnv: (name: string, value: string | null) => void;
+  /** Aliases (name → replacement text). */
+  aliases: Readonly<Record<string, string>>;
+  /** Define (or with null, remove) an alias. */
+  setAlias: (name: string, value: string | null) => void;
+  /** Current `.terminalrc` script ("" when none). */
+  rc: string;
+  /** Replace the stored `.terminalrc` ("" removes it). */
+  setRc: (script: string) => void;
+  /**
+   * Aborted on Ctrl+C (`session.interrupt()`). Pass it to fetch / timers;
+   * output printed after an abort is dropped.
+   */
+  signal: AbortSignal;
+  /** Run `fn` once this command finishes, fails or is interrupted. */
+  onCleanup: (fn: () => void) => void;
+  /**
+   * Rewrite this command's current line in place (spinner, progress bar).
+   * The first call appends a line; the next `print` leaves it as is and
+   * later updates start a new one.
+   */
+  update: (line: OutputLine) => void;
+  /** Start another in-place line (for output that rewrites several lines). */
+  liveLine: () => LiveLine;
+  /**
+   * Mark the current end of this command's output. The returned function
+   * removes what the command printed after the mark (e.g. `replay` redrawing
+   * a recorded clear screen without touching the lines before it).
+   */
+  checkpoint: () => () => void;
+  /** Wait `ms` milliseconds; rejects when the command is interrupted. */
+  sleep: (ms: number) => Promise<void>;
+  /**
+   * Ask the visitor a question and wait for the answer (re-asked until
+   * `choices` / `validate` accept it). Rejects when cancelled (Esc/Ctrl+C).
+   */
+  prompt: (question: string, options?: PromptOptions) => Promise<string>;
+  /** Yes/no question; an empty answer picks `fallback` (default false). */
+  confirm: (question: string, fallback?: boolean) => Promise<boolean>;
+  /** The session running this command (e.g. to follow its events). */
+  session: TerminalSession;
+}
+
+export interface PromptOptions {
+  /** Hide the answer while typing and in the echoed line (passwords). */
+  mask?: boolean;
+  /** Allowed answers (case-insensitive; 1-based numbers pick by position). */
+  choices?: string[];
+  /** Return an error message (or false) to reject an answer and ask again. */
+  validate?: (value: string) => string | boolean | void;
+  /** Used when the answer is empty. */
+  default?: string;
+}
+
+/** The question currently waiting for an answer. */
+export interface PendingQuestion {
+  text: string;
+  mask: boolean;
+  choices?: string[];
+}
+
+/** One chunk of output: a line or several. */
+export type OutputChunk = OutputLine | OutputLine[];
+
+/**
+ * What a handler returns: output at the end (optionally async), or a
+ * (async) generator that streams chunks as they are produced.
+ */
+export type CommandResult =
+  | void
+  | OutputChunk
+  | Promise<void | OutputChunk>
+  | Iterable<OutputChunk>
+  | AsyncIterable<OutputChunk>;
+
+export type CommandHandler = (args: string[], api: CmdAPI) => CommandResult;
+
+/** Bare handlers (no validation / help text) or full CommandSpecs. */
+export type CommandRegistry = Record<string, CommandHandler | CommandSpec>;
+
+export type TerminalTheme = "holo" | "dark" | "light";
+
+export interface TerminalSessionOptions {
+  /** Initial scrollback lines. */
+  initialLines?: OutputLine[];
+  /** Starting theme token. */
+  startTheme?: TerminalTheme;
+  /** Custom / overriding commands. */
+  commands?: CommandRegistry;
+  /** Intercept URL openings (tests, in-app router, analytics, etc.). */
+  onOpenURL?: (url: string) => void;
+  /** Maximum history length (default 100). */
+  historyMax?: number;
+  /** Scrollback lines kept; older ones are dropped (default 1000). */
+  scrollback?: number;
+  /**
+   * Where history is persisted (default: localStorage when available).
+   * Pass null to keep history in memory only.
+   */
+  storage?: KeyValueStorage | null;
+  /** Storage key for history (default "terminal:history"). */
+  historyKey?: string;
+  /** Filesystem for ls/cd/cat/… (default: site content, see ./siteFS.ts). */
+  fs?: VirtualFS;
+  /** Starting directory (default "/"). */
+  cwd?: string;
+  /**
+   * What `execute` does with a line submitted while another one runs:
+   * "queue" (default) runs it afterwards, "refuse" prints a notice instead.
+   */
+  whileBusy?: "queue" | "refuse";
+  /** Storage key for the `.terminalrc` script (default "terminal:rc"). */
+  rcKey?: string;
+  /** Value of `$USER` (default "guest"). */
+  user?: string;
+  /**
+   * After an unknown command typed at the prompt, ask whether to run the
+   * closest match instead (Enter says yes). Default false: only suggest.
+   */
+  autoCorrect?: boolean;
+}
+
+export interface ExecuteOptions {
+  /** Echo `$ line` into the scrollback (default true). */
+  echo?: boolean;
+  /** Record the line in history (default true). */
+  record?: boolean;
+}
+
+/** Immutable view of the session state, replaced on every change. */
+export interface SessionSnapshot {
+  /** Scrollback as plain text (no escapes; badges as [TEXT]). */
+  lines: string[];
+  /** The same scrollback as styled spans, index for index. */
+  richLines: RichLine[];
+  /** Lines dropped off the top so far (`lines[0]` is line number `trimmed`). */
+  trimmed: number;
+  theme: TerminalTheme;
+  history: string[];
+  historyIndex: number;
+  /** Current directory (absolute). */
+  cwd: string;
+  /** Command line currently executing, or null when idle. */
+  running: string | null;
+  /** Question a command is waiting on (see `answer()`), or null. */
+  question: PendingQuestion | null;
+}
+
+/** Event payloads emitted by a session. */
+export interface TerminalSessionEvents {
+  /** Any state change; payload is the new snapshot. */
+  change: SessionSnapshot;
+  /** Lines appended to the scrollback (plain text). */
+  output: string[];
+  /** A scrollback line rewritten in place (plain text). */
+  update: { index: number; line: string };
+  /** Scrollback cleared. */
+  clear: void;
+  /** The last `count` lines, from `index` on, were removed (see `truncate`). */
+  truncate: { index: number; count: number };
+  /** Theme token changed. */
+  theme: TerminalTheme;
+  /** Current directory changed. */
+  cwd: string;
+  /** A command line was submitted and echoed (history-expanded). */
+  input: string;
+  /** A command finished; `status` is 0 on success. */
+  command: { raw: string; status: number };
+}
+
+type Listener<T> = (payload: T) => void;
+
+/** A scrollback line that can be rewritten in place. */
+export interface LiveLine {
+  /** Show `line` (appended on the first call, replaced afterwards). */
+  set: (line: OutputLine) => void;
+  /** Stop updating; the line stays as last set. */
+  done: () => void;
+}
+
+export { CommandError };
+
+// -----------------------------------------------------------------------------
+// Utilities
+// -----------------------------------------------------------------------------
+
+/**
+ * Tokenize preserving quoted substrings. With `vars`, `$NAME` / `${NAME}`
+ * expand in bare and double-quoted words (single quotes stay literal).
+ */
+export function tokenizeQuoted(input: string, vars?: Readonly<Record<string, string>>): string[] {
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  const expand = (text: string) => (vars ? expandVars(text, vars) : text);
+  const out: string[] = [];
+  let m: RegExpExecArray | null;
+  while ((m = re.exec(input))) out.push(m[2] ?? expand(m[1] ?? m[3]));
+  return out;
+}
+
+/** Variables that mirror session state and cannot be exported. */
+const READONLY_VARS = ["THEME", "PWD"];
+
+/** Scrollback lines kept by default. */
+export const DEFAULT_SCROLLBACK = 1000;
+
+/** Scrollback width assumed until the UI reports one (`setColumns`). */
+export const DEFAULT_COLUMNS = 80;
+
+/** Exit status used when no handler matches the first token. */
+export const STATUS_NOT_FOUND = 127;
+
+/** Exit status of a command interrupted with Ctrl+C (128 + SIGINT). */
+export const STATUS_INTERRUPTED = 130;
+
+const isIterable = (v: unknown): v is Iterable<OutputChunk> | AsyncIterable<OutputChunk> =>
+  !!v &&
+  typeof v === "object" &&
+  (Symbol.asyncIterator in v || Symbol.iterator in v) &&
+  !Array.isArray(v);
+
+/** Settle with `work`, or reject as soon as `signal` aborts. */
+function untilAborted<T>(work: T | Promise<T>, signal: AbortSignal): Promise<T> {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(work)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/** Pull every chunk from a (async) generator; on abort, let it run `finally`. */
+async function drain(
+  source: Iterable<OutputChunk> | AsyncIterable<OutputChunk>,
+  signal: AbortSignal,
+  emit: (chunk: OutputChunk) => void
+) {
+  const it =
+    Symbol.asyncIterator in source
+      ? source[Symbol.asyncIterator]()
+      : (source as Iterable<OutputChunk>)[Symbol.iterator]();
+  try {
+    for (;;) {
+      const { value, done } = await untilAborted(it.next(), signal);
+      if (done) return;
+      emit(value);
+    }
+  } finally {
+    if (signal.aborted) void Promise.resolve(it.return?.()).catch(() => undefined);
+  }
+}
+
+function printChunk(api: CmdAPI, chunk: void | OutputChunk) {
+  if (Array.isArray(chunk)) chunk.forEach((ln) => api.print(ln));
+  else if (isRichLine(chunk) || (typeof chunk === "string" && chunk.length)) api.print(chunk);
+}
+
+/** Where one pipeline stage writes: the scrollback or the next stage's buffer. */
+interface Sink {
+  write: (...lines: OutputLine[]) => void;
+  live: () => LiveLine;
+  /** Returns a function that drops what was written after this call. */
+  checkpoint: () => () => void;
+}
+
+/** LiveLine over a pipe buffer (in-place updates just overwrite the entry). */
+function bufferLine(buffer: OutputLine[]): LiveLine {
+  let at = -1;
+  return {
+    set: (line) => {
+      if (at < 0 || at >= buffer.length) at = buffer.push(line) - 1;
+      else buffer[at] = line;
+    },
+    done: () => undefined,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Session
+// -----------------------------------------------------------------------------
+
+export class TerminalSession {
+  private snapshot: SessionSnapshot;
+  private registry: Record<string, CommandSpec> = {};
+  private commandNames: string[] = [];
+  private overrides: CommandRegistry = {};
+  /** pluginRevision() the registry was built from. */
+  private pluginRev = -1;
+  /** Plugins whose onBoot already ran for this session. */
+  private booted = new Set<string>();
+  private onOpenURL?: (url: string) => void;
+  private historyMax = 100;
+  private scrollbackMax = DEFAULT_SCROLLBACK;
+  private autoCorrect = false;
+  /** The running line was typed (echoed), so typos may be asked about. */
+  private interactive = false;
+  private storage: KeyValueStorage | null;
+  private historyKey: string;
+  private whileBusy: "queue" | "refuse";
+  /** Tail of the execution queue; each line waits for the previous one. */
+  private queue: Promise<unknown> = Promise.resolve();
+  /** Lines running or waiting in the queue. */
+  private pending = 0;
+  /** Bumped by interrupt() so queued lines are dropped. */
+  private generation = 0;
+  private abort: AbortController | null = null;
+  /** Bumped by clear() so live lines know their index went stale. */
+  private epoch = 0;
+  private aliasMap: Record<string, string> = {};
+  private exports: Record<string, string> = {};
+  private lastStatus = 0;
+  private rcKey: string;
+  private user: string;
+  private cols = DEFAULT_COLUMNS;
+  private asking: { options: PromptOptions; resolve: (value: string) => void } | null = null;
+  private listeners = new Map<keyof TerminalSessionEvents, Set<Listener<any>>>();
+
+  /** Filesystem backing ls/cd/cat/tree/find. */
+  readonly fs: VirtualFS;
+
+  constructor(options: TerminalSessionOptions = {}) {
+    const {
+      initialLines = ["Type 'help' to list commands.", "Try: projects, skills, about, theme holo"],
+      startTheme = "holo",
+    } = options;
+
+    this.snapshot = {
+      lines: initialLines.map(plainText),
+      richLines: initialLines.map(toRichLine),
+      trimmed: 0,
+      theme: startTheme,
+      history: [],
+      historyIndex: -1,
+      cwd: options.cwd ?? "/",
+      running: null,
+      question: null,
+    };
+    this.fs = options.fs ?? createSiteFS();
+    this.storage = options.storage !== undefined ? options.storage : defaultStorage();
+    this.historyKey = options.historyKey ?? HISTORY_KEY;
+    this.whileBusy = options.whileBusy ?? "queue";
+    this.rcKey = options.rcKey ?? RC_KEY;
+    this.user = options.user ?? "guest";
+    this.configure({
+      commands: options.commands,
+      onOpenURL: options.onOpenURL,
+      historyMax: options.historyMax,
+      autoCorrect: options.autoCorrect,
+      scrollback: options.scrollback,
+    });
+    this.snapshot.history = loadHistory(this.storage, this.historyKey, this.historyMax);
+  }
+
+  /** Update options that may change after construction. */
+  configure(
+    options: Pick<TerminalSessionOptions, "commands" | "onOpenURL" | "historyMax" | "autoCorrect" | "scrollback">
+  ) {
+    if ("commands" in options) {
+      this.overrides = options.commands || {};
+      this.buildRegistry();
+    }
+    if ("onOpenURL" in options) this.onOpenURL = options.onOpenURL;
+    if (options.autoCorrect != null) this.autoCorrect = options.autoCorrect;
+    if (options.scrollback != null && options.scrollback !== this.scrollbackMax) {
+      this.scrollbackMax = Math.max(1, Math.floor(options.scrollback));
+      this.trimTo(this.snapshot.lines, this.snapshot.richLines);
+    }
+    if (options.historyMax != null && options.historyMax !== this.historyMax) {
+      this.historyMax = options.historyMax;
+      if (this.snapshot.history.length > this.historyMax) {
+        this.update({ history: this.snapshot.history.slice(-this.historyMax), historyIndex: -1 });
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // State access
+  // ---------------------------------------------------------------------------
+
+  get lines() {
+    return this.snapshot.lines;
+  }
+
+  get richLines() {
+    return this.snapshot.richLines;
+  }
+
+  /** Lines dropped off the top of the scrollback so far. */
+  get trimmed() {
+    return this.snapshot.trimmed;
+  }
+
+  get theme() {
+    return this.snapshot.theme;
+  }
+
+  get history() {
+    return this.snapshot.history;
+  }
+
+  get historyIndex() {
+    return this.snapshot.historyIndex;
+  }
+
+  get cwd() {
+    return this.snapshot.cwd;
+  }
+
+  /** Command line currently executing, or null. */
+  get running() {
+    return this.snapshot.running;
+  }
+
+  get busy() {
+    return this.snapshot.running != null;
+  }
+
+  /** Question waiting for `answer()`, or null. */
+  get question() {
+    return this.snapshot.question;
+  }
+
+  /** Variables visible to `$VAR` expansion and `env`. */
+  get env(): Readonly<Record<string, string>> {
+    return {
+      USER: this.user,
+      HOME: "/",
+      ...this.exports,
+      THEME: this.snapshot.theme,
+      PWD: this.snapshot.cwd,
+    };
+  }
+
+  get aliases(): Readonly<Record<string, string>> {
+    return this.aliasMap;
+  }
+
+  /** Stored `.terminalrc` script ("" when none). */
+  get rc() {
+    return loadRc(this.storage, this.rcKey);
+  }
+
+  /** Scrollback width in characters. */
+  get columns() {
+    return this.cols;
+  }
+
+  /** Prompt-friendly current directory ("~", "~/projects"). */
+  get prompt() {
+    return displayPath(this.snapshot.cwd);
+  }
+
+  /** Registry (read-only view, normalized to specs). */
+  get commands(): Readonly<Record<string, CommandSpec>> {
+    this.syncPlugins();
+    return this.registry;
+  }
+
+  /**
+   * Spec for `name`, importing its plugin first when that is lazy and not
+   * loaded yet. Undefined for unknown commands.
+   */
+  async resolveCommand(name: string): Promise<CommandSpec | undefined> {
+    this.syncPlugins();
+    const spec = this.registry[name];
+    if (!spec?.plugin || isPluginLoaded(spec.plugin)) return spec;
+    await loadPlugin(spec.plugin);
+    this.syncPlugins();
+    return this.registry[name];
+  }
+
+  getSnapshot = (): SessionSnapshot => this.snapshot;
+
+  /** Subscribe to any change (useSyncExternalStore-compatible). */
+  subscribe = (fn: () => void) => this.on("change", fn);
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  on<K extends keyof TerminalSessionEvents>(type: K, fn: Listener<TerminalSessionEvents[K]>) {
+    let set = this.listeners.get(type);
+    if (!set) this.listeners.set(type, (set = new Set()));
+    set.add(fn);
+    return () => {
+      set!.delete(fn);
+    };
+  }
+
+  private emit<K extends keyof TerminalSessionEvents>(type: K, payload: TerminalSessionEvents[K]) {
+    this.listeners.get(type)?.forEach((fn) => {
+      try { fn(payload); } catch { /* noop */ }
+    });
+  }
+
+  private update(patch: Partial<SessionSnapshot>) {
+    this.snapshot = { ...this.snapshot, ...patch };
+    this.emit("change", this.snapshot);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Output
+  // ---------------------------------------------------------------------------
+
+  /** Append lines: plain strings (ANSI-aware) or rich lines from ./output.ts. */
+  print(...lines: OutputLine[]) {
+    if (!lines.length) return;
+    const plain = lines.map(plainText);
+    this.trimTo([...this.snapshot.lines, ...plain], [...this.snapshot.richLines, ...lines.map(toRichLine)]);
+    this.emit("output", plain);
+  }
+
+  /** Store the scrollback, dropping lines beyond `scrollback` off the top. */
+  private trimTo(lines: string[], richLines: RichLine[]) {
+    const excess = Math.max(0, lines.length - this.scrollbackMax);
+    this.update({
+      lines: excess ? lines.slice(excess) : lines,
+      richLines: excess ? richLines.slice(excess) : richLines,
+      trimmed: this.snapshot.trimmed + excess,
+    });
+  }
+
+  /**
+   * A line that can be rewritten in place (spinners, progress, typewriter).
+   * If the scrollback is cleared (or the line scrolls out of it) meanwhile,
+   * the next `set` appends anew.
+   */
+  liveLine(): LiveLine {
+    // Line number counted from the first line ever printed, so trimming the
+    // top of the scrollback does not move it
+    let at = -1;
+    let epoch = this.epoch;
+    let closed = false;
+    return {
+      set: (line) => {
+        if (closed) return;
+        const index = at - this.snapshot.trimmed;
+        if (at < 0 || index < 0 || index >= this.snapshot.lines.length || epoch !== this.epoch) {
+          epoch = this.epoch;
+          at = this.snapshot.trimmed + this.snapshot.lines.length;
+          this.print(line);
+          return;
+        }
+        const lines = this.snapshot.lines.slice();
+        const richLines = this.snapshot.richLines.slice();
+        lines[index] = plainText(line);
+        richLines[index] = toRichLine(line);
+        this.update({ lines, richLines });
+        this.emit("update", { index, line: lines[index] });
+      },
+      done: () => {
+        closed = true;
+      },
+    };
+  }
+
+  /**
+   * Remove the scrollback from line `at` (counted from the first line ever
+   * printed, like `trimmed`) to the end. Lines already trimmed stay gone.
+   */
+  truncate(at: number) {
+    const index = Math.max(at - this.snapshot.trimmed, 0);
+    const count = this.snapshot.lines.length - index;
+    if (count <= 0) return;
+    this.update({ lines: this.snapshot.lines.slice(0, index), richLines: this.snapshot.richLines.slice(0, index) });
+    this.emit("truncate", { index, count });
+  }
+
+  clear() {
+    this.epoch++;
+    this.update({ lines: [], richLines: [] });
+    this.emit("clear", undefined);
+  }
+
+  setTheme(theme: TerminalTheme) {
+    if (theme === this.snapshot.theme) return;
+    this.update({ theme });
+    this.emit("theme", theme);
+  }
+
+  cd(abs: string) {
+    if (abs === this.snapshot.cwd) return;
+    this.update({ cwd: abs });
+    this.emit("cwd", abs);
+  }
+
+  /** Report the scrollback width in characters (the UI measures it on resize). */
+  setColumns(columns: number) {
+    this.cols = Math.max(20, Math.floor(columns) || DEFAULT_COLUMNS);
+  }
+
+  /** Export a variable (null unsets it). THEME and PWD follow session state. */
+  setEnv(name: string, value: string | null) {
+    if (READONLY_VARS.includes(name)) {
+      throw new CommandError(`${name}: readonly variable (use ${name === "THEME" ? "theme" : "cd"})`);
+    }
+    const { [name]: _old, ...rest } = this.exports;
+    this.exports = value == null ? rest : { ...rest, [name]: value };
+  }
+
+  /** Define an alias (null removes it). */
+  setAlias(name: string, value: string | null) {
+    const { [name]: _old, ...rest } = this.aliasMap;
+    this.aliasMap = value == null ? rest : { ...rest, [name]: value };
+  }
+
+  /** Replace the stored `.terminalrc` ("" removes it). */
+  setRc(script: string) {
+    saveRc(this.storage, script, this.rcKey);
+  }
+
+  open(url: string) {
+    if (this.onOpenURL) this.onOpenURL(url);
+    else if (typeof window !== "undefined") {
+      window.open(url, "_blank", "noopener,noreferrer");
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Execution
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Expand history events (`!!`, `!n`), echo, record and run one command line.
+   * Resolves with the exit status (0 ok, 1 error, 127 not found, 130
+   * interrupted). Lines submitted while another runs wait their turn.
+   */
+  async execute(raw: string, options: ExecuteOptions = {}): Promise<number> {
+    const trimmed = raw.trim();
+    if (!trimmed) return 0;
+
+    if (this.pending && this.whileBusy === "refuse") {
+      this.print(`busy: '${this.snapshot.running}' is still running (Ctrl+C to interrupt)`);
+      return 1;
+    }
+    // Start right away when idle (so `running` is set synchronously)
+    const generation = this.generation;
+    const turn = this.pending
+      ? this.queue.then(() =>
+          generation === this.generation ? this.executeNow(trimmed, options) : STATUS_INTERRUPTED
+        )
+      : this.executeNow(trimmed, options);
+    this.pending++;
+    this.queue = turn.catch(() => undefined).finally(() => this.pending--);
+    return turn;
+  }
+
+  /**
+   * Abort the running command (Ctrl+C): its signal fires, cleanups run, `^C`
+   * is printed and queued lines are dropped. Returns false when idle.
+   */
+  interrupt(): boolean {
+    if (!this.abort) return false;
+    this.generation++;
+    this.print("^C");
+    this.abort.abort(new CommandError("", STATUS_INTERRUPTED));
+    return true;
+  }
+
+  /**
+   * Run a script (`.terminalrc`, the overlay's boot script): one command per
+   * line, `#` comments skipped, no echo and no history. Resolves with the
+   * last status.
+   */
+  async runScript(script: string): Promise<number> {
+    let status = 0;
+    for (const line of scriptLines(script)) {
+      status = await this.execute(line, { echo: false, record: false });
+    }
+    return status;
+  }
+
+  private async executeNow(trimmed: string, { echo = true, record = true }: ExecuteOptions): Promise<number> {
+    let line: string;
+    try {
+      line = expandHistory(trimmed, this.snapshot.history);
+    } catch (err: any) {
+      this.print(`$ ${trimmed}`, String(err?.message || err));
+      this.emit("command", { raw: trimmed, status: 1 });
+      return 1;
+    }
+
+    // Echo the prompt + (expanded) command
+    if (echo) {
+      this.emit("input", line);
+      this.print(`$ ${line}`);
+    }
+    if (record) this.pushHistory(line);
+
+    this.abort = new AbortController();
+    this.interactive = echo;
+    this.update({ running: line });
+    let status: number;
+    try {
+      status = await this.run(line);
+    } finally {
+      this.abort = null;
+      this.update({ running: null });
+    }
+    this.emit("command", { raw: line, status });
+    return status;
+  }
+
+  /**
+   * Run a command line: chains of pipelines joined by &&, || and ;. Each part
+   * is expanded ($VAR, aliases) just before it runs, so `export A=1; echo $A`
+   * sees the new value.
+   */
+  private async run(line: string): Promise<number> {
+    let parts;
+    try {
+      parseCommandLine(line); // syntax check before anything runs
+      parts = splitChain(line);
+    } catch (err: any) {
+      this.print(String(err?.message || err));
+      return (this.lastStatus = 2);
+    }
+
+    let status = 0;
+    for (const { op, text } of parts) {
+      if (op === "&&" && status !== 0) continue;
+      if (op === "||" && status === 0) continue;
+      let links: ChainLink[];
+      try {
+        links = parseCommandLine(text, { vars: this.vars(), aliases: this.aliasMap });
+      } catch (err: any) {
+        // Only reachable through an alias whose text does not parse
+        this.print(String(err?.message || err));
+        status = this.lastStatus = 2;
+        continue;
+      }
+      status = await this.runLinks(links);
+      if (status === STATUS_INTERRUPTED) break;
+    }
+    return status;
+  }
+
+  /** Run parsed links (aliases may expand into their own && / || / ;). */
+  private async runLinks(links: ChainLink[]): Promise<number> {
+    let status = 0;
+    for (const { op, pipeline } of links) {
+      if (this.abort?.signal.aborted) return STATUS_INTERRUPTED;
+      if (op === "&&" && status !== 0) continue;
+      if (op === "||" && status === 0) continue;
+      status = this.lastStatus = await this.runPipeline(pipeline);
+    }
+    return status;
+  }
+
+  /** Expansion variables, including `$?`. */
+  private vars(): Record<string, string> {
+    return { ...this.env, "?": String(this.lastStatus) };
+  }
+
+  /**
+   * Run `a | b | c`: every stage but the last writes into a buffer that becomes
+   * the next stage's `stdin` (as plain text); the last stage prints to the
+   * scrollback. Errors always go to the scrollback. The status is the last
+   * stage's.
+   */
+  private async runPipeline(stages: string[][]): Promise<number> {
+    let stdin: string[] | undefined;
+    let status = 0;
+
+    for (let i = 0; i < stages.length; i++) {
+      const [cmd, ...args] = stages[i];
+      const isLast = i === stages.length - 1;
+      const stdout: OutputLine[] = [];
+      const sink: Sink = isLast
+        ? {
+            write: (...ls) => this.print(...ls),
+            live: () => this.liveLine(),
+            checkpoint: () => {
+              const at = this.snapshot.trimmed + this.snapshot.lines.length;
+              const epoch = this.epoch;
+              // After a real clear there is nothing of ours left to remove
+              return () => {
+                if (epoch === this.epoch) this.truncate(at);
+              };
+            },
+          }
+        : {
+            write: (...ls) => stdout.push(...ls),
+            live: () => bufferLine(stdout),
+            checkpoint: () => {
+              const at = stdout.length;
+              return () => void stdout.splice(at);
+            },
+          };
+
+      status = await this.invoke(cmd, args, sink, stdin);
+      if (status === STATUS_INTERRUPTED) break;
+      stdin = stdout.map(plainText);
+    }
+    return status;
+  }
+
+  private async invoke(
+    cmd: string,
+    args: string[],
+    sink: Sink,
+    stdin?: string[]
+  ): Promise<number> {
+    this.syncPlugins();
+    let spec = this.registry[cmd];
+
+    if (!spec) return this.notFound(cmd, args, sink, stdin);
+
+    const signal = this.abort?.signal ?? new AbortController().signal;
+    const cleanups: (() => void)[] = [];
+    try {
+      if (spec.plugin && !isPluginLoaded(spec.plugin)) {
+        spec = (await untilAborted(this.resolveCommand(cmd), signal)) ?? spec;
+      }
+      const parsed = parseArgs(cmd, spec, args);
+      const api = this.createAPI(sink, stdin, parsed.params, parsed.flags, signal, cleanups);
+      const out = await untilAborted(spec.run(parsed.positionals, api), signal);
+      // Streamed chunks print as-is (an empty string is a blank line)
+      if (isIterable(out)) await drain(out, signal, (chunk) => [chunk].flat().forEach(api.print));
+      else printChunk(api, out);
+      return 0;
+    } catch (err: any) {
+      if (signal.aborted) return STATUS_INTERRUPTED;
+      if (err instanceof CommandError) {
+        if (err.message) this.print(...err.message.split("\n"));
+        return err.status;
+      }
+      this.print(String(err?.message || err || "Unknown error"));
+      return 1;
+    } finally {
+      for (const fn of cleanups.splice(0)) {
+        try { fn(); } catch { /* noop */ }
+      }
+    }
+  }
+
+  /**
+   * Unknown command: name the closest commands and aliases, and with
+   * `autoCorrect` offer to run the best one with the same arguments.
+   */
+  private async notFound(cmd: string, args: string[], sink: Sink, stdin?: string[]): Promise<number> {
+    const guesses = rankFuzzy(cmd, this.commandCandidates());
+    if (!guesses.length) {
+      this.print(`Command not found: ${cmd}. Type 'help'.`);
+      return STATUS_NOT_FOUND;
+    }
+    const quoted = guesses.map((g) => `'${g}'`);
+    const list = quoted.length > 1 ? `${quoted.slice(0, -1).join(", ")} or ${quoted[quoted.length - 1]}` : quoted[0];
+    this.print(`Command not found: ${cmd}. Did you mean ${list}?`);
+
+    const fix = this.correction(guesses[0]);
+    const signal = this.abort?.signal;
+    if (!this.autoCorrect || !this.interactive || !fix || !signal) return STATUS_NOT_FOUND;
+    try {
+      if (!(await this.confirm(`Run '${[guesses[0], ...args].join(" ")}' instead?`, true, signal))) {
+        return STATUS_NOT_FOUND;
+      }
+    } catch {
+      return signal.aborted ? STATUS_INTERRUPTED : STATUS_NOT_FOUND;
+    }
+    return this.invoke(fix[0], [...fix.slice(1), ...args], sink, stdin);
+  }
+
+  /** Listed command names plus aliases: what a typo is compared against. */
+  private commandCandidates(): string[] {
+    return [...this.commandNames.filter((n) => !this.registry[n].hidden), ...Object.keys(this.aliasMap)];
+  }
+
+  /**
+   * Command words to run for a suggested name; aliases expand to their words,
+   * or null when they chain or pipe (that needs the whole line re-parsed).
+   */
+  private correction(name: string): string[] | null {
+    if (this.registry[name]) return [name];
+    const text = this.aliasMap[name];
+    if (text == null || /[|;&]/.test(text)) return null;
+    const words = tokenizeQuoted(text, this.vars());
+    return words.length && this.registry[words[0]] ? words : null;
+  }
+
+  /** API handed to one command invocation. */
+  private createAPI(
+    sink: Sink,
+    stdin: string[] | undefined,
+    params: Record<string, ArgValue>,
+    flags: Record<string, ArgValue>,
+    signal: AbortSignal,
+    cleanups: (() => void)[]
+  ): CmdAPI {
+    let live: LiveLine | null = null;
+    const session = this;
+    return {
+      stdin,
+      print: (line) => {
+        // Interrupted handlers may still be running; drop their output
+        if (signal.aborted) return;
+        live?.done();
+        live = null;
+        // Legacy sentinel from older handlers
+        if (line === "__CLEAR__") this.clear();
+        else sink.write(line);
+      },
+      update: (line) => {
+        if (signal.aborted) return;
+        (live ??= sink.live()).set(line);
+      },
+      liveLine: () => {
+        live?.done();
+        live = null;
+        const own = sink.live();
+        return {
+          set: (line) => {
+            if (!signal.aborted) own.set(line);
+          },
+          done: () => own.done(),
+        };
+      },
+      checkpoint: () => {
+        live?.done();
+        live = null;
+        const rewind = sink.checkpoint();
+        return () => {
+          if (!signal.aborted) rewind();
+        };
+      },
+      sleep: (ms) =>
+        untilAborted(
+          new Promise<void>((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            // Do not keep the timer (or a Node process) alive after Ctrl+C
+            signal.addEventListener("abort", () => clearTimeout(timer), { once: true });
+          }),
+          signal
+        ),
+      prompt: (question, options = {}) => this.ask(question, options, signal),
+      confirm: (question, fallback = false) => this.confirm(question, fallback, signal),
+      clear: () => this.clear(),
+      open: (url) => this.open(url),
+      setTheme: (t) => this.setTheme(t),
+      fs: this.fs,
+      cwd: this.snapshot.cwd,
+      columns: this.cols,
+      cd: (abs) => this.cd(abs),
+      params,
+      flags,
+      commands: this.registry,
+      history: this.snapshot.history,
+      clearHistory: () => this.clearHistory(),
+      // Live views: a handler sees its own alias/export/rc changes
+      get env() {
+        return session.env;
+      },
+      setEnv: (name, value) => this.setEnv(name, value),
+      get aliases() {
+        return session.aliases;
+      },
+      setAlias: (name, value) => this.setAlias(name, value),
+      get rc() {
+        return session.rc;
+      },
+      setRc: (script) => this.setRc(script),
+      signal,
+      onCleanup: (fn) => {
+        cleanups.push(fn);
+      },
+      session: this,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prompts
+  // ---------------------------------------------------------------------------
+
+  private ask(text: string, options: PromptOptions, signal: AbortSignal): Promise<string> {
+    if (this.asking) return Promise.reject(new CommandError("prompt: a question is already pending"));
+    const pending = new Promise<string>((resolve) => {
+      this.asking = { options, resolve };
+      this.update({ question: { text, mask: !!options.mask, choices: options.choices } });
+    });
+    return untilAborted(pending, signal).finally(() => {
+      this.asking = null;
+      if (this.snapshot.question) this.update({ question: null });
+    });
+  }
+
+  private async confirm(question: string, fallback: boolean, signal: AbortSignal): Promise<boolean> {
+    const answer = await this.ask(`${question} ${fallback ? "[Y/n]" : "[y/N]"}`, {
+      validate: (v) => /^(y(es)?|no?)?$/i.test(v.trim()) || "Please answer y or n.",
+    }, signal);
+    return answer.trim() ? /^y/i.test(answer.trim()) : fallback;
+  }
+
+  /**
+   * Answer the pending question (the UI calls this instead of `execute`, so
+   * answers stay out of history). Echoes the question and answer (masked if
+   * asked), then resolves the prompt, or prints why the answer was rejected
+   * and keeps waiting. Returns false when nothing is being asked.
+   */
+  answer(text: string): boolean {
+    const { asking } = this;
+    const question = this.snapshot.question;
+    if (!asking || !question) return false;
+    const { options } = asking;
+    this.print(`${question.text} ${options.mask ? "•".repeat(text.length) : text}`);
+
+    let value = text === "" && options.default != null ? options.default : text;
+    if (options.choices?.length) {
+      const wanted = value.trim().toLowerCase();
+      const picked =
+        options.choices.find((c) => c.toLowerCase() === wanted) ??
+        (/^\d+$/.test(wanted) ? options.choices[Number(wanted) - 1] : undefined);
+      if (picked == null) {
+        this.print(`Please choose one of: ${options.choices.join(", ")}`);
+        return true;
+      }
+      value = picked;
+    }
+    const verdict = options.validate?.(value);
+    if (verdict === false || typeof verdict === "string") {
+      this.print(verdict || "Invalid answer.");
+      return true;
+    }
+    asking.resolve(value);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // History
+  // ---------------------------------------------------------------------------
+
+  private pushHistory(entry: string) {
+    // Start from storage so sessions sharing it (tabs) don't drop each other's entries
+    const base = this.storage ? loadHistory(this.storage, this.historyKey, this.historyMax) : this.snapshot.history;
+    const history = appendHistory(base, entry, this.historyMax);
+    this.update({ history, historyIndex: -1 });
+    saveHistory(this.storage, this.historyKey, history);
+  }
+
+  /** Re-read history from storage (another session may have added to it). */
+  reloadHistory() {
+    if (!this.storage) return;
+    this.update({ history: loadHistory(this.storage, this.historyKey, this.historyMax), historyIndex: -1 });
+  }
+
+  /** Forget all history, in memory and in storage. */
+  clearHistory() {
+    this.update({ history: [], historyIndex: -1 });
+    saveHistory(this.storage, this.historyKey, []);
+  }
+
+  /**
+   * Reverse incremental search: index of the newest entry older than
+   * `before` that contains `query`, or -1. Omit `before` to start at the end.
+   */
+  searchHistory(query: string, before?: number): number {
+    return searchHistory(this.snapshot.history, query, before);
+  }
+
+  /** Step back in history; returns the entry to show, or null if empty. */
+  historyPrev(): string | null {
+    const { history, historyIndex } = this.snapshot;
+    if (!history.length) return null;
+    const ni = historyIndex < 0 ? history.length - 1 : Math.max(0, historyIndex - 1);
+    this.update({ historyIndex: ni });
+    return history[ni];
+  }
+
+  /** Step forward in history; returns "" past the newest entry, null if not navigating. */
+  historyNext(): string | null {
+    const { history, historyIndex } = this.snapshot;
+    if (historyIndex < 0) return null;
+    const ni = historyIndex + 1;
+    if (ni >= history.length) {
+      this.update({ historyIndex: -1 });
+      return "";
+    }
+    this.update({ historyIndex: ni });
+    return history[ni];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Plugins
+  // ---------------------------------------------------------------------------
+
+  /** Merge built-ins, plugin commands and overrides into the registry. */
+  private buildRegistry() {
+    this.pluginRev = pluginRevision();
+    const merged: CommandRegistry = {
+      ...createBuiltinCommands(),
+      ...createStreamCommands(),
+      ...createFileCommands(),
+      ...createEnvCommands(),
+      ...createFactCommands(),
+      ...createResumeCommands(),
+      ...createRecordCommands(),
+      ...createShareCommands(),
+      ...createPluginCommands(),
+      ...pluginCommands(),
+      ...this.overrides,
+    };
+    this.registry = Object.fromEntries(
+      Object.entries(merged).map(([name, entry]) => [name, toSpec(entry)])
+    );
+    this.commandNames = Object.keys(this.registry).sort();
+    this.bootPlugins();
+  }
+
+  /** Rebuild the registry if plugins were registered or loaded since. */
+  private syncPlugins() {
+    if (this.pluginRev !== pluginRevision()) this.buildRegistry();
+  }
+
+  /** Run `onBoot` of plugins that are new to this session. */
+  private bootPlugins() {
+    for (const plugin of loadedPlugins()) {
+      if (this.booted.has(plugin.name)) continue;
+      this.booted.add(plugin.name);
+      if (!plugin.onBoot) continue;
+      const fail = (err: any) => this.print(`plugin ${plugin.name}: ${err?.message || err}`);
+      try {
+        Promise.resolve(plugin.onBoot(this)).catch(fail);
+      } catch (err) {
+        fail(err);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Autocomplete
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Candidates for the word being typed at the end of `input`: command names
+   * for the first word of a command (also after |, &&, ||, ;), otherwise
+   * flags and argument values from the command's spec.
+   */
+  async completions(input: string): Promise<string[]> {
+    this.syncPlugins();
+    const segment = input.split(/\|\||&&|[|;]/).pop() ?? "";
+    const words = tokenizeQuoted(segment);
+    const typingNew = /\s$/.test(segment);
+    const word = typingNew ? "" : words[words.length - 1] ?? "";
+
+    if (words.length === 0 || (words.length === 1 && !typingNew)) {
+      const names = [...this.commandNames, ...Object.keys(this.aliasMap)].sort();
+      return word ? names.filter((c) => c.startsWith(word)) : [];
+    }
+    const before = typingNew ? words : words.slice(0, -1);
+    const ctx = { fs: this.fs, cwd: this.snapshot.cwd, commandNames: this.commandNames, aliases: this.aliasMap };
+    try {
+      const spec = await this.resolveCommand(words[0]);
+      const found = spec ? await completeArgs(spec, before, word, ctx) : [];
+      if (found.length) return found;
+      // Plugins may complete any command the spec leaves open
+      const extra = await Promise.all(pluginCompleters(words[0]).map((fn) => fn(word, { ...ctx, words: before })));
+      return extra.flat().filter((c) => c.startsWith(word));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Candidates that look like the word at the end of `input` when none start
+   * with it ("sklls" → skills, "--jsn" → --json), best first.
+   */
+  async fuzzyCompletions(input: string, limit = 3): Promise<string[]> {
+    const word = /\s$/.test(input) ? "" : input.match(/\S+$/)?.[0] ?? "";
+    // Paths complete one directory at a time; quoted words are left alone
+    if (!word || /["'/]/.test(word)) return [];
+    const stem = input.slice(0, input.length - word.length);
+    const segment = stem.split(/\|\||&&|[|;]/).pop() ?? "";
+    let pool: string[];
+    if (!segment.trim()) {
+      this.syncPlugins();
+      pool = this.commandCandidates();
+    } else {
+      pool = await this.completions(word.startsWith("-") ? `${stem}-` : stem);
+    }
+    return rankFuzzy(word, pool, limit);
+  }
+
+  /**
+   * Tab completion: replaces the word being typed with the single match (or
+   * the longest common prefix of several) and returns all candidates. When
+   * nothing starts with the word, fuzzy matches stand in ("sklls" → skills).
+   */
+  async complete(input: string): Promise<{ input: string; candidates: string[] }> {
+    let matches = [...new Set(await this.completions(input))];
+    if (!matches.length) matches = await this.fuzzyCompletions(input);
+    if (!matches.length) return { input, candidates: [] };
+
+    const word = /\s$/.test(input) ? "" : input.match(/\S+$/)?.[0] ?? "";
+    const stem = input.slice(0, input.length - word.length);
+    if (matches.length === 1) {
+      // Directories keep Tab going ("proj" → "projects/"), others get a space
+      const done = matches[0].endsWith("/") ? matches[0] : `${matches[0]} `;
+      return { input: stem + done, candidates: [] };
+    }
+    let prefix = matches[0];
+    for (const m of matches) while (!m.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    return { input: prefix.length > word.length ? stem + prefix : input, candidates: matches };
+  }
+}
+
+export default TerminalSession;
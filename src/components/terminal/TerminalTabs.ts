@@ -0,0 +1,252 @@
+/**
+ * src/components/terminal/TerminalTabs.ts
+ * -----------------------------------------------------------------------------
+ * Several TerminalSessions side by side, as tabs.
+ *
+ * Every tab is a full session with its own scrollback, history pointer, cwd,
+ * variables and running command; history itself is shared through storage.
+ * The tab list (titles, scrollback, cwd, theme) is written to sessionStorage
+ * so it survives page navigations within the browser tab, and restored tabs
+ * come back as they were (minus any command that was still running).
+ *
+ * Framework-free like TerminalSession; React binds to it through
+ * `useTerminalTabs` (./useTerminal.ts):
+ *
+ *   const tabs = new TerminalTabs({ session: { commands } });
+ *   tabs.open("logs");
+ *   tabs.rename(tabs.activeId, "main");
+ *   tabs.close();                 // the active tab
+ * -----------------------------------------------------------------------------
+ */
+
+import type { KeyValueStorage } from "./history";
+import type { RichLine } from "./output";
+import { TerminalSession, type TerminalSessionOptions, type TerminalTheme } from "./TerminalSession";
+
+export const TABS_KEY = "terminal:tabs";
+
+/** Scrollback lines kept per tab in storage. */
+const SAVED_LINES = 300;
+/** Wait this long after the last change before writing storage. */
+const SAVE_DELAY = 250;
+
+export interface TabInfo {
+  id: string;
+  title: string;
+  /** Restored from storage (its scrollback already has the boot banner). */
+  restored: boolean;
+}
+
+export interface TabsSnapshot {
+  tabs: TabInfo[];
+  activeId: string;
+}
+
+export interface TerminalTabsOptions {
+  /** Options for every new session (initialLines only apply to new tabs). */
+  session?: TerminalSessionOptions;
+  /**
+   * Where the tab list is kept (default: sessionStorage when available).
+   * Pass null to keep tabs for this page only.
+   */
+  storage?: KeyValueStorage | null;
+  /** Storage key (default "terminal:tabs"). */
+  storageKey?: string;
+  /** Most tabs that can be open at once (default 8). */
+  max?: number;
+}
+
+/** Stored form of one tab. */
+interface SavedTab {
+  id: string;
+  title: string;
+  cwd: string;
+  theme: TerminalTheme;
+  lines: RichLine[];
+}
+
+function defaultSessionStorage(): KeyValueStorage | null {
+  try {
+    return typeof sessionStorage !== "undefined" ? sessionStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function loadTabs(storage: KeyValueStorage | null, key: string): { tabs: SavedTab[]; activeId: string } | null {
+  if (!storage) return null;
+  try {
+    const parsed = JSON.parse(storage.getItem(key) || "null");
+    if (!parsed || !Array.isArray(parsed.tabs) || !parsed.tabs.length) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+interface Tab {
+  info: TabInfo;
+  session: TerminalSession;
+  unsubscribe: () => void;
+}
+
+export class TerminalTabs {
+  private entries: Tab[] = [];
+  private snapshot: TabsSnapshot = { tabs: [], activeId: "" };
+  private listeners = new Set<() => void>();
+  private storage: KeyValueStorage | null;
+  private storageKey: string;
+  private sessionOptions: TerminalSessionOptions;
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+  private nextId = 1;
+
+  readonly max: number;
+
+  constructor(options: TerminalTabsOptions = {}) {
+    this.sessionOptions = options.session ?? {};
+    this.storage = options.storage !== undefined ? options.storage : defaultSessionStorage();
+    this.storageKey = options.storageKey ?? TABS_KEY;
+    this.max = options.max ?? 8;
+
+    const saved = loadTabs(this.storage, this.storageKey);
+    if (saved) {
+      for (const tab of saved.tabs.slice(0, this.max)) this.add(tab.title, tab);
+      const active = this.entries.find((e) => e.info.id === saved.activeId) ?? this.entries[0];
+      this.update(active.info.id);
+    } else {
+      this.open();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // State access
+  // ---------------------------------------------------------------------------
+
+  get tabs() {
+    return this.snapshot.tabs;
+  }
+
+  get activeId() {
+    return this.snapshot.activeId;
+  }
+
+  /** Session of the active tab. */
+  get active(): TerminalSession {
+    return this.session(this.snapshot.activeId)!;
+  }
+
+  session(id: string): TerminalSession | undefined {
+    return this.entries.find((e) => e.info.id === id)?.session;
+  }
+
+  getSnapshot = (): TabsSnapshot => this.snapshot;
+
+  /** Subscribe to tab list / active tab changes (useSyncExternalStore-compatible). */
+  subscribe = (fn: () => void) => {
+    this.listeners.add(fn);
+    return () => {
+      this.listeners.delete(fn);
+    };
+  };
+
+  // ---------------------------------------------------------------------------
+  // Tabs
+  // ---------------------------------------------------------------------------
+
+  /** Open a tab (inheriting the active tab's theme) and switch to it. */
+  open(title?: string): string | null {
+    if (this.entries.length >= this.max) return null;
+    const theme = this.entries.length ? this.active.theme : undefined;
+    const id = this.add(title, theme ? { theme } : undefined);
+    this.update(id);
+    return id;
+  }
+
+  /**
+   * Close a tab (default: the active one), interrupting whatever it runs.
+   * Closing the last tab leaves a fresh one; returns false in that case.
+   */
+  close(id = this.snapshot.activeId): boolean {
+    const at = this.entries.findIndex((e) => e.info.id === id);
+    if (at < 0) return true;
+    const [gone] = this.entries.splice(at, 1);
+    gone.session.interrupt();
+    gone.unsubscribe();
+
+    if (!this.entries.length) {
+      this.nextId = 1;
+      this.update(this.add(undefined, { theme: gone.session.theme }));
+      return false;
+    }
+    const activeId =
+      id === this.snapshot.activeId ? this.entries[Math.min(at, this.entries.length - 1)].info.id : this.snapshot.activeId;
+    this.update(activeId);
+    return true;
+  }
+
+  activate(id: string) {
+    if (id === this.snapshot.activeId || !this.session(id)) return;
+    // Pick up entries other tabs added while this one was in the background
+    this.session(id)!.reloadHistory();
+    this.update(id);
+  }
+
+  /** Rename a tab; blank titles are ignored. */
+  rename(id: string, title: string) {
+    const entry = this.entries.find((e) => e.info.id === id);
+    const trimmed = title.trim().slice(0, 24);
+    if (!entry || !trimmed || trimmed === entry.info.title) return;
+    entry.info = { ...entry.info, title: trimmed };
+    this.update(this.snapshot.activeId);
+  }
+
+  /** Write the tab list now (e.g. on `pagehide`) instead of after the debounce. */
+  flush() {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.storage) return;
+    const tabs: SavedTab[] = this.entries.map(({ info, session }) => ({
+      id: info.id,
+      title: info.title,
+      cwd: session.cwd,
+      theme: session.theme,
+      lines: session.richLines.slice(-SAVED_LINES),
+    }));
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({ tabs, activeId: this.snapshot.activeId }));
+    } catch {
+      /* quota / privacy mode: tabs live for this page only */
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  private add(title: string | undefined, saved?: Partial<SavedTab>): string {
+    const id = saved?.id ?? `t${Date.now().toString(36)}${this.nextId}`;
+    const session = new TerminalSession({
+      ...this.sessionOptions,
+      ...(saved?.lines ? { initialLines: saved.lines } : {}),
+      ...(saved?.cwd ? { cwd: saved.cwd } : {}),
+      ...(saved?.theme ? { startTheme: saved.theme } : {}),
+    });
+    const info: TabInfo = { id, title: title || `sh ${this.nextId}`, restored: !!saved?.lines };
+    this.nextId++;
+    this.entries.push({ info, session, unsubscribe: session.subscribe(() => this.scheduleSave()) });
+    return id;
+  }
+
+  private scheduleSave() {
+    if (!this.storage || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+  }
+
+  private update(activeId: string) {
+    this.snapshot = { tabs: this.entries.map((e) => e.info), activeId };
+    this.listeners.forEach((fn) => {
+      try { fn(); } catch { /* noop */ }
+    });
+    this.scheduleSave();
+  }
+}
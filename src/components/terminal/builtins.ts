@@ -0,0 +1,183 @@
+/**
+ * src/components/terminal/builtins.ts
+ * -----------------------------------------------------------------------------
+ * Built-in commands shared by every TerminalSession (and therefore by
+ * useTerminal and TerminalOverlay). Handlers only talk to the CmdAPI, so they
+ * run the same in React, Node scripts and tests.
+ *
+ * Each entry is a CommandSpec (./spec.ts): `help`, usage errors and Tab
+ * completion are generated from the metadata.
+ *
+ * Override or extend them via `new TerminalSession({ commands })` or the
+ * `commands` option of useTerminal.
+ * -----------------------------------------------------------------------------
+ */
+
+import navData from "../../data/nav.json";
+import projectData from "../../data/projects.json";
+import resume from "../../data/resume.json";
+import { link, line } from "./output";
+import { skillLines } from "./resume";
+import { projectRoute, projectSlug } from "./siteFS";
+import { formatCommandHelp, formatHelp, type CommandSpec } from "./spec";
+import type { TerminalTheme } from "./TerminalSession";
+
+const nowHHMMSS = () => new Date().toLocaleTimeString();
+const fmtDate = () =>
+  new Date().toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+
+export const THEMES: TerminalTheme[] = ["holo", "dark", "light"];
+
+const { basics } = resume;
+const CONTACT_EMAIL = basics.email;
+
+/** Project slugs as used by `projects <slug>` and /projects/<slug>. */
+export const projectSlugs = () => projectData.projects.map((p) => projectSlug(p.href));
+
+/** Site routes from nav.json plus project pages (for `open` completion). */
+export const siteRoutes = () => [
+  ...new Set([
+    ...navData.primary.map((n) => n.href),
+    ...navData.secondary.map((n) => n.href),
+    ...projectData.projects.map((p) => projectRoute(p.href)),
+  ]),
+];
+
+export function createBuiltinCommands(): Record<string, CommandSpec> {
+  return {
+    help: {
+      description: "Show this help, or details for one command",
+      args: [
+        {
+          name: "command",
+          optional: true,
+          complete: (_partial, ctx) => ctx.commandNames,
+        },
+      ],
+      run: async (_args, api) => {
+        const name = api.params.command as string | undefined;
+        if (!name) return formatHelp(api.commands);
+        // Lazy plugin commands only know their arguments once loaded
+        const spec = await api.session.resolveCommand(name);
+        if (!spec) return `help: no such command: ${name}`;
+        return formatCommandHelp(name, spec);
+      },
+    },
+    clear: {
+      description: "Clear the screen",
+      run: (_args, api) => {
+        api.clear();
+      },
+    },
+    echo: {
+      description: "Print text",
+      args: [{ name: "text", optional: true, variadic: true }],
+      run: (args) => args.join(" "),
+    },
+    about: {
+      description: "Who is Zeshan?",
+      run: () => [
+        `User: ${basics.name}`,
+        `Role: ${basics.title}`,
+        `Location: ${basics.location}`,
+        `Motto: ${basics.tagline}`,
+        "Tip: resume experience, resume timeline",
+      ],
+    },
+    skills: {
+      description: "Tech stack overview",
+      run: () => skillLines(),
+    },
+    projects: {
+      description: "List featured projects, or show one",
+      args: [{ name: "slug", optional: true, complete: () => projectSlugs() }],
+      examples: ["projects", "projects systematic-backtester", "projects | grep Python"],
+      run: (_args, api) => {
+        const slug = api.params.slug as string | undefined;
+        if (slug) return api.fs.read("projects", `/projects/${slug}/README`);
+        const width = Math.max(...projectSlugs().map((s) => s.length)) + 2;
+        return [
+          ...projectData.projects.map(
+            (p) => `${projectSlug(p.href).padEnd(width)}${p.title}  —  ${p.tech.join(" + ")}`
+          ),
+          "Tip: projects <slug> for details, or open the Projects page for interactive previews.",
+        ];
+      },
+    },
+    contact: {
+      description: "How to reach me (or write a message with -m)",
+      flags: [{ name: "message", short: "m", description: "Compose an email step by step" }],
+      examples: ["contact", "contact -m"],
+      run: async (_args, api) => {
+        if (!api.flags.message) {
+          return [
+            line("Email: ", link(CONTACT_EMAIL, `mailto:${CONTACT_EMAIL}`)),
+            line("LinkedIn: ", link(basics.linkedin.replace(/^https?:\/\/(www\.)?linkedin\.com/, ""), basics.linkedin)),
+            line("GitHub: ", link(basics.github.replace(/^https?:\/\//, ""), basics.github)),
+            `Location: ${basics.location}`,
+          ];
+        }
+        api.print("Compose a message (Esc or Ctrl+C to cancel).");
+        const name = await api.prompt("Your name:", { validate: (v) => !!v.trim() || "Name is required." });
+        const email = await api.prompt("Your email:", {
+          validate: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v.trim()) || "That doesn't look like an email address.",
+        });
+        const topic = await api.prompt("Topic:", { choices: ["hiring", "project", "hello"], default: "hello" });
+        const message = await api.prompt("Message:", { validate: (v) => !!v.trim() || "Message is required." });
+        if (!(await api.confirm("Open it in your mail app?", true))) return "Message discarded.";
+
+        const subject = `[${topic}] from ${name.trim()}`;
+        const body = `${message.trim()}\n\n— ${name.trim()} <${email.trim()}>`;
+        api.open(`mailto:${CONTACT_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`);
+        return "Opening your mail app…";
+      },
+    },
+    history: {
+      description: "Show command history (!n re-runs entry n, !! the last one)",
+      args: [{ name: "count", type: "number", optional: true, description: "Show only the last N entries" }],
+      flags: [{ name: "clear", short: "c", description: "Clear history (also stored history)" }],
+      examples: ["history 5", "history | grep theme", "history -c"],
+      run: (_args, api) => {
+        if (api.flags.clear) {
+          api.clearHistory();
+          return;
+        }
+        const width = String(api.history.length).length;
+        const rows = api.history.map((h, i) => `${String(i + 1).padStart(width + 2)}  ${h}`);
+        const count = api.params.count as number | undefined;
+        if (count == null) return rows;
+        return count > 0 ? rows.slice(-count) : [];
+      },
+    },
+    date: { description: "Show current date", run: () => fmtDate() },
+    time: { description: "Show current time", run: () => nowHHMMSS() },
+    github: {
+      description: "Open GitHub profile",
+      run: (_args, api) => {
+        const url = basics.github;
+        api.open(url);
+        return line("Opening ", link("GitHub", url), " in a new tab…");
+      },
+    },
+    open: {
+      description: "Open a URL or site route",
+      args: [{ name: "url", complete: () => siteRoutes() }],
+      examples: ["open /projects", "open github.com/zeshanbasaran"],
+      run: (_args, api) => {
+        const target = api.params.url as string;
+        const url = /^(https?:\/\/|\/)/i.test(target) ? target : `https://${target}`;
+        api.open(url);
+        return line("Opening ", link(url), "…");
+      },
+    },
+    theme: {
+      description: "Switch terminal theme",
+      args: [{ name: "theme", choices: THEMES }],
+      run: (_args, api) => {
+        const t = api.params.theme as TerminalTheme;
+        api.setTheme(t);
+        return `Theme set to ${t}.`;
+      },
+    },
+  };
+}
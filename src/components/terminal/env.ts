@@ -0,0 +1,177 @@
+/**
+ * src/components/terminal/env.ts
+ * -----------------------------------------------------------------------------
+ * Shell customization for TerminalSession:
+ * - `$VAR` / `${VAR}` expansion (`$USER`, `$THEME`, `$PWD`, `$?` + exports)
+ * - alias / unalias, export / env built-ins
+ * - `.terminalrc`: a user script kept in localStorage and run at boot
+ *   (`rc` shows it, `rc edit` appends lines, `rc clear` removes it)
+ *
+ * Expansion happens while the line is lexed (./pipeline.ts), so single
+ * quotes keep `$` literal and aliases may contain pipes and `&&`:
+ *
+ *   alias py='projects | grep -i python'
+ *   export GREETING="hi $USER"; echo $GREETING '$GREETING'
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import type { KeyValueStorage } from "./history";
+import type { CommandSpec } from "./spec";
+
+const GROUP = "Shell";
+
+export const RC_KEY = "terminal:rc";
+
+/** NAME=value; names are shell identifiers. */
+const ASSIGN_RE = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s;
+/** Alias names may also contain dashes and dots (`ll`, `gh-log`, `..`). */
+const ALIAS_RE = /^([^\s=|;&'"$]+)=(.*)$/s;
+
+/**
+ * Expand `$NAME`, `${NAME}` and `$?` in `text` (unknown names expand to "").
+ * Callers only pass unquoted or double-quoted text.
+ */
+export function expandVars(text: string, vars: Readonly<Record<string, string>>): string {
+  if (!text.includes("$")) return text;
+  return text.replace(
+    /\$(?:\{([A-Za-z_][A-Za-z0-9_]*)\}|([A-Za-z_][A-Za-z0-9_]*)|(\?))/g,
+    (_m, braced, bare, status) => vars[braced ?? bare ?? status] ?? ""
+  );
+}
+
+/** Single-quote a value for display (`alias ll='ls -l'`). */
+const quote = (value: string) => `'${value.replace(/'/g, `'"'"'`)}'`;
+
+export function loadRc(storage: KeyValueStorage | null, key = RC_KEY): string {
+  if (!storage) return "";
+  try {
+    return storage.getItem(key) ?? "";
+  } catch {
+    return "";
+  }
+}
+
+export function saveRc(storage: KeyValueStorage | null, script: string, key = RC_KEY) {
+  if (!storage) return;
+  try {
+    if (script.trim()) storage.setItem(key, script);
+    else storage.removeItem(key);
+  } catch {
+    /* quota / privacy mode: rc lives for this page only */
+  }
+}
+
+/** Script text → runnable lines (blank lines and `#` comments dropped). */
+export function scriptLines(script: string): string[] {
+  return script
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"));
+}
+
+export function createEnvCommands(): Record<string, CommandSpec> {
+  return {
+    alias: {
+      group: GROUP,
+      description: "Define or list aliases",
+      args: [{ name: "definition", optional: true, variadic: true, description: "name=value or name" }],
+      examples: ["alias", "alias ll='ls -l'", "alias pyproj='projects | grep -i python'"],
+      run: (_args, api) => {
+        const defs = api.params.definition as string[];
+        const show = (name: string) => `alias ${name}=${quote(api.aliases[name])}`;
+        if (!defs.length) return Object.keys(api.aliases).sort().map(show);
+        const out: string[] = [];
+        for (const def of defs) {
+          const m = ALIAS_RE.exec(def);
+          if (m) api.setAlias(m[1], m[2]);
+          else if (def in api.aliases) out.push(show(def));
+          else throw new CommandError(`alias: ${def}: not found`);
+        }
+        return out;
+      },
+    },
+
+    unalias: {
+      group: GROUP,
+      description: "Remove aliases",
+      args: [
+        {
+          name: "name",
+          optional: true,
+          variadic: true,
+          complete: (_partial, ctx) => Object.keys(ctx.aliases),
+        },
+      ],
+      flags: [{ name: "all", short: "a", description: "Remove every alias" }],
+      run: (_args, api) => {
+        if (api.flags.all) {
+          Object.keys(api.aliases).forEach((name) => api.setAlias(name, null));
+          return;
+        }
+        const names = api.params.name as string[];
+        if (!names.length) throw new CommandError("Usage: unalias [-a] name...", 2);
+        for (const name of names) {
+          if (!(name in api.aliases)) throw new CommandError(`unalias: ${name}: not found`);
+          api.setAlias(name, null);
+        }
+      },
+    },
+
+    export: {
+      group: GROUP,
+      description: "Set environment variables",
+      args: [{ name: "assignment", optional: true, variadic: true, description: "NAME=value" }],
+      examples: ["export EDITOR=vim", 'export GREETING="hi $USER"'],
+      run: (_args, api) => {
+        const assignments = api.params.assignment as string[];
+        if (!assignments.length) {
+          return Object.entries(api.env)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([k, v]) => `export ${k}=${quote(v)}`);
+        }
+        for (const a of assignments) {
+          const m = ASSIGN_RE.exec(a);
+          if (!m) throw new CommandError(`export: '${a}': not a valid identifier`);
+          api.setEnv(m[1], m[2]);
+        }
+      },
+    },
+
+    env: {
+      group: GROUP,
+      description: "List environment variables",
+      run: (_args, api) =>
+        Object.entries(api.env)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([k, v]) => `${k}=${v}`),
+    },
+
+    rc: {
+      group: GROUP,
+      description: "Show or edit ~/.terminalrc (runs at boot)",
+      args: [{ name: "action", optional: true, choices: ["show", "edit", "clear"] }],
+      examples: ["rc", "rc edit", "rc clear"],
+      run: async (_args, api) => {
+        const action = (api.params.action as string | undefined) ?? "show";
+        if (action === "show") {
+          return api.rc.trim() ? api.rc.replace(/\n$/, "").split("\n") : "~/.terminalrc is empty (try: rc edit)";
+        }
+        if (action === "clear") {
+          if (await api.confirm("Remove ~/.terminalrc?")) api.setRc("");
+          return;
+        }
+        api.print("Add lines to ~/.terminalrc (empty line to finish, Esc to cancel).");
+        const added: string[] = [];
+        for (;;) {
+          const ln = await api.prompt("rc>");
+          if (!ln.trim()) break;
+          added.push(ln);
+        }
+        if (!added.length) return "Nothing added.";
+        api.setRc(`${api.rc.replace(/\n*$/, "")}${api.rc.trim() ? "\n" : ""}${added.join("\n")}\n`);
+        return `Saved ${added.length} line${added.length === 1 ? "" : "s"}; they run on the next boot.`;
+      },
+    },
+  };
+}
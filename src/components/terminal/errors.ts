@@ -0,0 +1,20 @@
+/**
+ * src/components/terminal/errors.ts
+ * -----------------------------------------------------------------------------
+ * Error types understood by TerminalSession when thrown from command handlers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Throw from a handler to fail with a specific exit status. The message (if
+ * any) is printed to the scrollback, never into a pipe.
+ */
+export class CommandError extends Error {
+  status: number;
+
+  constructor(message = "", status = 1) {
+    super(message);
+    this.name = "CommandError";
+    this.status = status;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * src/components/terminal/fact.ts
+ * -----------------------------------------------------------------------------
+ * `fact` and the boot "message of the day", backed by src/scripts/facts.ts.
+ *
+ *   fact                 random fact
+ *   fact --tag ml        random fact with a tag
+ *   fact --seed 42       reproducible pick (also combines with --tag)
+ *   fact --daily 5       today's rotation (same for everyone, all day)
+ *
+ * Facts render with their tags as badges and `url` as a link.
+ * -----------------------------------------------------------------------------
+ */
+
+import {
+  getDailyFacts,
+  getFactsByTag,
+  getRandomFact,
+  listFacts,
+  mulberry32,
+  type Fact,
+  type Tag,
+} from "../../scripts/facts";
+import { CommandError } from "./errors";
+import { badge, line, link, span, type OutputLine, type Span } from "./output";
+import type { CommandSpec } from "./spec";
+
+/** Every tag used by at least one fact (sorted). */
+export const factTags = () => [...new Set(listFacts().flatMap((f) => f.tags ?? []))].sort();
+
+/** Fact text, then its tags and "learn more" link when it has them. */
+export function renderFact(fact: Fact, bullet = "›"): OutputLine[] {
+  const out: OutputLine[] = [line(span(`${bullet} `, { color: "cyan" }), fact.text)];
+  const meta: Span[] = [
+    ...(fact.tags ?? []).map((t) => badge(t, "gray")),
+    ...(fact.url ? [link("learn more", fact.url)] : []),
+  ];
+  if (meta.length) out.push(line("  ", ...meta.flatMap((m, i) => (i ? [span(" "), m] : [m]))));
+  return out;
+}
+
+/** Message of the day: today's top daily fact, for the boot banner. */
+export function motd(date = new Date()): OutputLine[] {
+  const [fact] = getDailyFacts(1, { date });
+  if (!fact) return [];
+  return [line(badge("MOTD", "cyan"), " ", fact.text), ...(fact.url ? [line("  ", link(fact.url))] : [])];
+}
+
+export function createFactCommands(): Record<string, CommandSpec> {
+  return {
+    fact: {
+      description: "Random fun fact (or today's rotation)",
+      flags: [
+        { name: "tag", short: "t", type: "string", choices: factTags(), description: "Only facts with this tag" },
+        { name: "seed", short: "s", type: "number", description: "Deterministic pick" },
+        { name: "daily", short: "d", type: "number", valueName: "N", description: "Today's N facts" },
+      ],
+      examples: ["fact", "fact --tag ml", "fact --seed 42", "fact --daily 5"],
+      run: (_args, api) => {
+        const tag = api.flags.tag as Tag | undefined;
+        const seed = api.flags.seed as number | undefined;
+        const daily = api.flags.daily as number | undefined;
+
+        if (daily != null) {
+          if (!(daily > 0)) throw new CommandError("fact: --daily needs a positive count", 2);
+          const facts = getDailyFacts(daily).filter((f) => !tag || f.tags?.includes(tag));
+          return facts.flatMap((f) => renderFact(f, "•"));
+        }
+
+        let fact: Fact | null;
+        if (tag) {
+          const pool = getFactsByTag(tag);
+          const rnd = seed != null ? mulberry32(seed) : Math.random;
+          fact = pool[Math.floor(rnd() * pool.length)] ?? null;
+        } else {
+          fact = getRandomFact(seed);
+        }
+        if (!fact) throw new CommandError(`fact: no facts${tag ? ` tagged ${tag}` : ""}`);
+        return renderFact(fact);
+      },
+    },
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * src/components/terminal/files.ts
+ * -----------------------------------------------------------------------------
+ * Filesystem built-ins over the session's VirtualFS: ls, cd, pwd, cat, tree,
+ * find. All paths resolve against `api.cwd`; output is plain lines so they
+ * pipe like everything else (`find / -name README | wc -l`).
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import type { CommandSpec } from "./spec";
+import { resolvePath } from "./vfs";
+
+const GROUP = "Files (read-only view of the site)";
+
+/** "*.json" → /^.*\.json$/ */
+function globToRegExp(glob: string): RegExp {
+  const src = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${src}$`);
+}
+
+export function createFileCommands(): Record<string, CommandSpec> {
+  return {
+    pwd: {
+      group: GROUP,
+      description: "Show current directory",
+      run: (_args, api) => api.cwd,
+    },
+
+    cd: {
+      group: GROUP,
+      description: "Change directory (default ~)",
+      args: [{ name: "path", type: "path", optional: true }],
+      run: (_args, api) => {
+        const target = resolvePath(api.cwd, (api.params.path as string | undefined) ?? "~");
+        api.fs.require("cd", target, "dir");
+        api.cd(target);
+      },
+    },
+
+    ls: {
+      group: GROUP,
+      description: "List a directory",
+      args: [{ name: "path", type: "path", optional: true, variadic: true }],
+      run: (_args, api) => {
+        const given = api.params.path as string[];
+        const paths = given.length ? given : ["."];
+        const out: string[] = [];
+        paths.forEach((p, i) => {
+          const abs = resolvePath(api.cwd, p);
+          const node = api.fs.require("ls", abs);
+          if (node.type === "file") {
+            out.push(p);
+            return;
+          }
+          if (paths.length > 1) out.push(...(i ? ["", `${p}:`] : [`${p}:`]));
+          out.push(...api.fs.list(abs));
+        });
+        return out;
+      },
+    },
+
+    cat: {
+      group: GROUP,
+      description: "Print files (or pass stdin through)",
+      args: [{ name: "file", type: "path", optional: true, variadic: true }],
+      run: (_args, api) => {
+        const files = api.params.file as string[];
+        // `cmd | cat` passes stdin through
+        if (!files.length) {
+          if (api.stdin) return api.stdin;
+          throw new CommandError("Usage: cat [file...]", 2);
+        }
+        return files.flatMap((p) => api.fs.read("cat", resolvePath(api.cwd, p)));
+      },
+    },
+
+    tree: {
+      group: GROUP,
+      description: "Show a directory tree",
+      args: [{ name: "path", type: "path", optional: true }],
+      flags: [{ name: "level", short: "L", type: "number", valueName: "depth", description: "Max depth" }],
+      run: (_args, api) => {
+        const maxDepth = (api.flags.level as number | undefined) ?? Infinity;
+        if (!(maxDepth > 0)) throw new CommandError("tree: depth must be greater than 0", 2);
+        const start = (api.params.path as string | undefined) ?? ".";
+        const abs = resolvePath(api.cwd, start);
+        api.fs.require("tree", abs, "dir");
+
+        const out = [start];
+        let dirs = 0;
+        let files = 0;
+        // Track whether each ancestor level still has siblings below it
+        const open: boolean[] = [];
+        const walk = (path: string, depth: number) => {
+          const names = api.fs.list(path);
+          names.forEach((name, i) => {
+            const last = i === names.length - 1;
+            out.push(`${open.map((o) => (o ? "│   " : "    ")).join("")}${last ? "└── " : "├── "}${name}`);
+            if (name.endsWith("/")) {
+              dirs++;
+              if (depth < maxDepth) {
+                open.push(!last);
+                walk(`${path === "/" ? "" : path}/${name.slice(0, -1)}`, depth + 1);
+                open.pop();
+              }
+            } else {
+              files++;
+            }
+          });
+        };
+        walk(abs, 1);
+        out.push("", `${dirs} director${dirs === 1 ? "y" : "ies"}, ${files} file${files === 1 ? "" : "s"}`);
+        return out;
+      },
+    },
+
+    find: {
+      group: GROUP,
+      description: "Find files by name or type",
+      args: [{ name: "path", type: "path", optional: true }],
+      flags: [
+        { name: "name", type: "string", valueName: "glob", description: "Match names (*, ?)" },
+        { name: "type", type: "string", choices: ["f", "d"], description: "f = files, d = directories" },
+      ],
+      examples: ["find / -name README", "find /resume -type d"],
+      run: (_args, api) => {
+        const type = api.flags.type as "f" | "d" | undefined;
+        const start = (api.params.path as string | undefined) ?? ".";
+        const abs = resolvePath(api.cwd, start);
+        api.fs.require("find", abs);
+
+        const re = api.flags.name ? globToRegExp(api.flags.name as string) : null;
+        const out: string[] = [];
+        for (const { path, node } of api.fs.walk(abs)) {
+          const name = path.split("/").pop() || "/";
+          if (re && !re.test(name)) continue;
+          if (type === "f" && node.type !== "file") continue;
+          if (type === "d" && node.type !== "dir") continue;
+          // Print relative to the start like find(1)
+          const rel = path.slice(abs === "/" ? 1 : abs.length + 1);
+          out.push(start.startsWith("/") ? path : rel ? `${start.replace(/\/$/, "")}/${rel}` : start);
+        }
+        return out;
+      },
+    },
+  };
+}
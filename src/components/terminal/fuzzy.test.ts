@@ -0,0 +1,65 @@
+/**
+ * src/components/terminal/fuzzy.test.ts
+ * -----------------------------------------------------------------------------
+ * Edit distance and "did you mean" ranking: `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { damerauLevenshtein, rankFuzzy } from "./fuzzy";
+
+test("damerauLevenshtein counts an adjacent swap as one edit", () => {
+  const cases: [string, string, number][] = [
+    ["git", "git", 0],
+    ["gti", "git", 1],
+    ["ab", "ba", 1],
+    ["projetcs", "projects", 1],
+    ["prjoetcs", "projects", 2],
+    ["kitten", "sitting", 3],
+    ["", "abc", 3],
+    // Case is the caller's business
+    ["Git", "git", 1],
+    // Optimal string alignment: a swapped pair is not edited again
+    ["ca", "abc", 3],
+  ];
+  for (const [a, b, distance] of cases) {
+    assert.equal(damerauLevenshtein(a, b), distance, `${a} → ${b}`);
+    assert.equal(damerauLevenshtein(b, a), distance, `${b} → ${a}`);
+  }
+});
+
+test("rankFuzzy allows more typos in longer words", () => {
+  const cases: [string, string[], string[]][] = [
+    // 1–2 letters: no typos, only prefixes and letters in order
+    ["g", ["git"], []],
+    ["gt", ["git"], ["git"]],
+    // 3–5 letters: one edit
+    ["xlear", ["clear"], ["clear"]],
+    ["xleaz", ["clear"], []],
+    // 6+ letters: two edits
+    ["projetcs", ["projects"], ["projects"]],
+    ["prjoetcs", ["projects"], ["projects"]],
+    ["pjroetcs", ["projects"], []],
+  ];
+  for (const [word, candidates, expected] of cases) assert.deepEqual(rankFuzzy(word, candidates), expected, word);
+});
+
+test("rankFuzzy ranks edits, then prefixes, then letters in order", () => {
+  assert.deepEqual(rankFuzzy("proj", ["projects", "pro", "prj"]), ["prj", "pro", "projects"]);
+  assert.deepEqual(rankFuzzy("sklls", ["clear", "skills"]), ["skills"]);
+  assert.deepEqual(rankFuzzy("prj", ["pwd", "projects"]), ["projects"]);
+});
+
+test("rankFuzzy breaks ties alphabetically, then applies the limit", () => {
+  const candidates = ["cut", "car", "bat", "act"];
+  assert.deepEqual(rankFuzzy("cat", candidates), ["act", "bat", "car"]);
+  assert.deepEqual(rankFuzzy("cat", candidates, 10), ["act", "bat", "car", "cut"]);
+  assert.deepEqual(rankFuzzy("gt", ["git", "get"]), ["get", "git"]);
+});
+
+test("rankFuzzy ignores case, exact matches and duplicates", () => {
+  assert.deepEqual(rankFuzzy("Help", ["help", "HELP", "helps", "helps"]), ["helps"]);
+  assert.deepEqual(rankFuzzy("", ["help"]), []);
+});
@@ -0,0 +1,94 @@
+/**
+ * src/components/terminal/fuzzy.ts
+ * -----------------------------------------------------------------------------
+ * Fuzzy matching for typos: "did you mean" after an unknown command, and the
+ * live suggestion when nothing starts with what was typed.
+ *
+ *   damerauLevenshtein("gti", "git")            1 (one transposition)
+ *   rankFuzzy("sklls", ["skills", "clear"])     ["skills"]
+ *   rankFuzzy("prj", ["projects", "pwd"])       ["projects"] (in order)
+ *
+ * Candidates are ranked in tiers: within a few edits first (fewest edits
+ * wins), then those that start with the word, then those that contain its
+ * letters in order (tightest match wins). Case is ignored throughout.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent characters (optimal string alignment variant).
+ */
+export function damerauLevenshtein(a: string, b: string): number {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  // Three rolling rows: i-2, i-1 and i
+  let before = new Array<number>(b.length + 1).fill(0);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let row = new Array<number>(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+    }
+    [before, prev, row] = [prev, row, before];
+  }
+  return prev[b.length];
+}
+
+/** Typos tolerated for a word of length `n`: none for 1–2 letters. */
+const maxEdits = (n: number) => (n <= 2 ? 0 : n <= 5 ? 1 : 2);
+
+/**
+ * How tightly `query`'s letters appear in order in `candidate` (higher is
+ * better), or null when they do not all appear.
+ */
+export function subsequenceScore(query: string, candidate: string): number | null {
+  let score = 0;
+  let at = -1;
+  for (const ch of query) {
+    const next = candidate.indexOf(ch, at + 1);
+    if (next < 0) return null;
+    // Adjacent letters and word starts score; gaps cost
+    if (next === at + 1) score += 3;
+    else score -= Math.min(3, next - at - 1);
+    if (next === 0 || /[\s\-_/.]/.test(candidate[next - 1])) score += 2;
+    at = next;
+  }
+  return score - (candidate.length - query.length) * 0.1;
+}
+
+/**
+ * Candidates that look like `word`, best first (see the tiers above). Exact
+ * matches are left out; `limit` caps the result.
+ */
+export function rankFuzzy(word: string, candidates: Iterable<string>, limit = 3): string[] {
+  const query = word.toLowerCase();
+  if (!query) return [];
+  const ranked: { c: string; tier: number; cost: number }[] = [];
+  for (const c of new Set(candidates)) {
+    const lower = c.toLowerCase();
+    if (lower === query) continue;
+    const edits = damerauLevenshtein(query, lower);
+    if (edits <= maxEdits(query.length)) {
+      ranked.push({ c, tier: 0, cost: edits });
+      continue;
+    }
+    if (query.length < 2) continue;
+    if (lower.startsWith(query)) {
+      ranked.push({ c, tier: 1, cost: lower.length - query.length });
+      continue;
+    }
+    const score = subsequenceScore(query, lower);
+    if (score != null) ranked.push({ c, tier: 2, cost: -score });
+  }
+  return ranked
+    .sort((x, y) => x.tier - y.tier || x.cost - y.cost || x.c.localeCompare(y.c))
+    .slice(0, limit)
+    .map((r) => r.c);
+}
@@ -0,0 +1,155 @@
+/**
+ * src/components/terminal/geometry.ts
+ * -----------------------------------------------------------------------------
+ * Window geometry for TerminalOverlay: resizing from edges and corners,
+ * snapping to screen edges and halves, keeping the window on screen, and
+ * remembering it in localStorage.
+ *
+ * Everything here is a pure function of rectangles (plus guarded storage
+ * calls), so the overlay only wires them to pointer and resize events:
+ *
+ *   resizeRect(start, "se", dx, dy, viewport)   drag the bottom-right corner
+ *   snapZone(pointer, viewport)                 "left" | "right" | "top" | null
+ *   fitRect(rect, viewport)                     back on screen after a resize
+ * -----------------------------------------------------------------------------
+ */
+
+import { defaultStorage, type KeyValueStorage } from "./history";
+
+export const GEOMETRY_KEY = "terminal:window";
+
+/** Smallest window that still fits a prompt and a few lines. */
+export const MIN_SIZE = { w: 360, h: 220 };
+/** Largest window (also capped by the viewport). */
+export const MAX_SIZE = { w: 1600, h: 1200 };
+/** Gap kept between the window and the viewport edges. */
+export const MARGIN = 8;
+/** Pointer distance from an edge that triggers a snap. */
+const SNAP_DISTANCE = 16;
+/** Window edges closer than this to a viewport edge stick to it. */
+const MAGNET = 12;
+
+export interface Rect {
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+export interface Viewport {
+  w: number;
+  h: number;
+}
+
+/** Resize handle: edges and corners by compass direction. */
+export type ResizeEdge = "n" | "s" | "e" | "w" | "ne" | "nw" | "se" | "sw";
+
+export const RESIZE_EDGES: ResizeEdge[] = ["n", "s", "e", "w", "ne", "nw", "se", "sw"];
+
+export type SnapZone = "left" | "right" | "top";
+
+/** Stored window state: the normal rect, plus maximized / minimized flags. */
+export interface WindowGeometry {
+  rect: Rect;
+  maximized: boolean;
+  minimized: boolean;
+}
+
+const clamp = (v: number, min: number, max: number) => Math.max(min, Math.min(max, v));
+
+export const viewportOf = (): Viewport =>
+  typeof window === "undefined" ? { w: 1280, h: 800 } : { w: window.innerWidth, h: window.innerHeight };
+
+/** Size limits for `viewport`: MIN_SIZE…MAX_SIZE, never wider than the screen. */
+function limits(viewport: Viewport) {
+  const maxW = Math.min(MAX_SIZE.w, viewport.w - 2 * MARGIN);
+  const maxH = Math.min(MAX_SIZE.h, viewport.h - 2 * MARGIN);
+  return {
+    minW: Math.min(MIN_SIZE.w, maxW),
+    minH: Math.min(MIN_SIZE.h, maxH),
+    maxW,
+    maxH,
+  };
+}
+
+/** Shrink `rect` to fit `viewport` and move it fully on screen. */
+export function fitRect(rect: Rect, viewport: Viewport): Rect {
+  const { minW, minH, maxW, maxH } = limits(viewport);
+  const w = clamp(rect.w, minW, maxW);
+  const h = clamp(rect.h, minH, maxH);
+  return {
+    w,
+    h,
+    x: clamp(rect.x, MARGIN, viewport.w - MARGIN - w),
+    y: clamp(rect.y, MARGIN, viewport.h - MARGIN - h),
+  };
+}
+
+/**
+ * Rect after dragging `edge` by (dx, dy) from `start`. The opposite edge
+ * stays put; size limits and the viewport stop the drag.
+ */
+export function resizeRect(start: Rect, edge: ResizeEdge, dx: number, dy: number, viewport: Viewport): Rect {
+  const { minW, minH, maxW, maxH } = limits(viewport);
+  let { x, y, w, h } = start;
+  if (edge.includes("e")) w = clamp(start.w + dx, minW, Math.min(maxW, viewport.w - MARGIN - start.x));
+  if (edge.includes("s")) h = clamp(start.h + dy, minH, Math.min(maxH, viewport.h - MARGIN - start.y));
+  if (edge.includes("w")) {
+    const right = start.x + start.w;
+    w = clamp(start.w - dx, minW, Math.min(maxW, right - MARGIN));
+    x = right - w;
+  }
+  if (edge.includes("n")) {
+    const bottom = start.y + start.h;
+    h = clamp(start.h - dy, minH, Math.min(maxH, bottom - MARGIN));
+    y = bottom - h;
+  }
+  return { x, y, w, h };
+}
+
+/** Snap target while dragging: pointer at the left/right edge or the top. */
+export function snapZone(pointer: { x: number; y: number }, viewport: Viewport): SnapZone | null {
+  if (pointer.y <= SNAP_DISTANCE) return "top";
+  if (pointer.x <= SNAP_DISTANCE) return "left";
+  if (pointer.x >= viewport.w - SNAP_DISTANCE) return "right";
+  return null;
+}
+
+/** Rect for a snap zone ("top" maximizes). */
+export function zoneRect(zone: SnapZone, viewport: Viewport): Rect {
+  const h = viewport.h - 2 * MARGIN;
+  if (zone === "top") return { x: MARGIN, y: MARGIN, w: viewport.w - 2 * MARGIN, h };
+  const w = Math.floor((viewport.w - 3 * MARGIN) / 2);
+  return { x: zone === "left" ? MARGIN : viewport.w - MARGIN - w, y: MARGIN, w, h };
+}
+
+/** Stick window edges that are within a few pixels of the viewport edges. */
+export function magnet(rect: Rect, viewport: Viewport): Rect {
+  let { x, y } = rect;
+  if (Math.abs(x - MARGIN) <= MAGNET) x = MARGIN;
+  if (Math.abs(viewport.w - MARGIN - (x + rect.w)) <= MAGNET) x = viewport.w - MARGIN - rect.w;
+  if (Math.abs(y - MARGIN) <= MAGNET) y = MARGIN;
+  if (Math.abs(viewport.h - MARGIN - (y + rect.h)) <= MAGNET) y = viewport.h - MARGIN - rect.h;
+  return { ...rect, x, y };
+}
+
+export function loadGeometry(storage: KeyValueStorage | null = defaultStorage(), key = GEOMETRY_KEY): WindowGeometry | null {
+  if (!storage) return null;
+  try {
+    const parsed = JSON.parse(storage.getItem(key) || "null");
+    const r = parsed?.rect;
+    if (!r || ![r.x, r.y, r.w, r.h].every((v) => Number.isFinite(v))) return null;
+    return { rect: { x: r.x, y: r.y, w: r.w, h: r.h }, maximized: !!parsed.maximized, minimized: !!parsed.minimized };
+  } catch {
+    return null;
+  }
+}
+
+export function saveGeometry(geometry: WindowGeometry, storage: KeyValueStorage | null = defaultStorage(), key = GEOMETRY_KEY) {
+  if (!storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(geometry));
+  } catch {
+    /* quota / privacy mode: geometry resets on the next page */
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * src/components/terminal/gh.ts
+ * -----------------------------------------------------------------------------
+ * `gh`: GitHub in the terminal, backed by src/lib/github.ts (and its cache).
+ *
+ *   gh events [--type Push] [-n 10]   recent public activity
+ *   gh repo <name>                    repository card
+ *   gh langs <repo>                   language breakdown
+ *   gh stars                          repositories by stars
+ *   gh rate                           API quota (free to call)
+ *
+ * The user defaults to GITHUB_USER and can be switched with
+ * `export GH_USER=octocat`. Requests use the command's AbortSignal, so Ctrl+C
+ * stops them; anonymous calls share GitHub's 60/hour quota, which is shown
+ * when it runs low and explained when it runs out.
+ *
+ * Ships as a lazy plugin (./plugins.ts): this module and src/lib/github.ts
+ * load the first time `gh` runs or completes.
+ * -----------------------------------------------------------------------------
+ */
+
+import {
+  fetchRateLimit,
+  getRateLimit,
+  getRepo,
+  getRepoLanguages,
+  getUserEvents,
+  getUserRepos,
+  GitHubError,
+  type GitHubEvent,
+  type RateLimit,
+} from "../../lib/github";
+import { CommandError } from "./errors";
+import { line, link, progressBar, span, SPINNER, table, type OutputLine } from "./output";
+import type { TerminalPlugin } from "./plugins";
+import type { CommandSpec } from "./spec";
+import type { CmdAPI } from "./TerminalSession";
+
+export const GITHUB_USER = "zeshanbasaran";
+
+/** Warn about the quota once this few requests remain. */
+const LOW_QUOTA = 10;
+
+const EVENT_TYPES = [
+  "Push",
+  "PullRequest",
+  "PullRequestReview",
+  "Issues",
+  "IssueComment",
+  "Create",
+  "Delete",
+  "Fork",
+  "Watch",
+  "Release",
+];
+
+const SUBCOMMANDS = ["events", "repo", "langs", "stars", "rate"];
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const userOf = (api: CmdAPI) => api.env.GH_USER || GITHUB_USER;
+
+/** "repo" → "user/repo"; "owner/repo" stays. */
+const fullName = (api: CmdAPI, repo: string) => (repo.includes("/") ? repo : `${userOf(api)}/${repo}`);
+
+const clock = (d: Date) => d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+
+function ago(iso: string): string {
+  const s = Math.max(0, (Date.now() - new Date(iso).getTime()) / 1000);
+  if (s < 60) return "just now";
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
+
+function describeRate(rate: RateLimit): string {
+  const mins = Math.max(0, Math.ceil((rate.reset.getTime() - Date.now()) / 60000));
+  return `${rate.remaining}/${rate.limit} requests left, resets at ${clock(rate.reset)} (in ${mins} min)`;
+}
+
+/** One-line summary of an event ("3 commits to main", "opened #12"). */
+function summarize(evt: GitHubEvent): string {
+  const p = evt.payload ?? {};
+  switch (evt.type) {
+    case "PushEvent": {
+      const n = p.size ?? p.commits?.length ?? 0;
+      return `${n} commit${n === 1 ? "" : "s"} to ${String(p.ref ?? "").replace("refs/heads/", "")}`;
+    }
+    case "PullRequestEvent":
+      return `${p.action} #${p.number ?? p.pull_request?.number}: ${p.pull_request?.title ?? ""}`;
+    case "IssuesEvent":
+      return `${p.action} #${p.issue?.number}: ${p.issue?.title ?? ""}`;
+    case "IssueCommentEvent":
+      return `commented on #${p.issue?.number}`;
+    case "CreateEvent":
+    case "DeleteEvent":
+      return `${evt.type === "CreateEvent" ? "created" : "deleted"} ${p.ref_type}${p.ref ? ` ${p.ref}` : ""}`;
+    case "WatchEvent":
+      return "starred";
+    case "ForkEvent":
+      return `forked to ${p.forkee?.full_name ?? "?"}`;
+    case "ReleaseEvent":
+      return `${p.action} ${p.release?.tag_name ?? ""}`;
+    default:
+      return p.action ?? "";
+  }
+}
+
+/**
+ * Show a spinner on the command's live line while `work` runs. Callers print
+ * their first output line with `api.update` so it replaces the spinner.
+ */
+async function fetching<T>(api: CmdAPI, label: string, work: Promise<T>): Promise<T> {
+  let frame = 0;
+  const tick = () =>
+    api.update(line(span(`${SPINNER[frame++ % SPINNER.length]} ${label}`, { dim: true })));
+  tick();
+  const timer = setInterval(tick, 80);
+  api.onCleanup(() => clearInterval(timer));
+  try {
+    return await work;
+  } catch (err) {
+    api.update(line(span(`✗ ${label}`, { color: "red" })));
+    throw toCommandError(err);
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+function toCommandError(err: unknown): unknown {
+  if (!(err instanceof GitHubError)) return err;
+  if (err.rateLimited && err.rateLimit) {
+    return new CommandError(
+      [
+        `gh: GitHub API rate limit reached (${err.rateLimit.limit} requests/hour for visitors).`,
+        `    Resets at ${clock(err.rateLimit.reset)}; results fetched earlier still work from cache.`,
+      ].join("\n")
+    );
+  }
+  if (err.status === 404) return new CommandError("gh: not found on GitHub");
+  return new CommandError(`gh: ${err.message}`);
+}
+
+/** Replace the spinner with the first line, return the rest (+ quota warning). */
+function finish(api: CmdAPI, out: OutputLine[]): OutputLine[] {
+  api.update(out[0] ?? "");
+  const rate = getRateLimit();
+  if (rate && rate.remaining <= LOW_QUOTA) {
+    out.push(line(span(`GitHub API: ${describeRate(rate)}`, { color: "yellow", dim: true })));
+  }
+  return out.slice(1);
+}
+
+// Repo names for completion: one request at most (then the library cache)
+let repoNames: Promise<string[]> | null = null;
+const completeRepos = () =>
+  (repoNames ??= getUserRepos(GITHUB_USER)
+    .then((repos) => repos.map((r) => r.name))
+    .catch(() => {
+      repoNames = null;
+      return [];
+    }));
+
+// -----------------------------------------------------------------------------
+// Subcommands
+// -----------------------------------------------------------------------------
+
+async function events(api: CmdAPI): Promise<OutputLine[]> {
+  const user = userOf(api);
+  const n = Math.min(30, Math.max(1, api.flags.lines as number));
+  const wanted = (api.flags.type as string | undefined)?.toLowerCase().replace(/event$/, "");
+  const all = await fetching(
+    api,
+    `Fetching events for ${user}…`,
+    getUserEvents(user, { limit: 30, signal: api.signal })
+  );
+  const picked = all
+    .filter((e) => !wanted || e.type.toLowerCase().replace(/event$/, "") === wanted)
+    .slice(0, n);
+  if (!picked.length) {
+    return finish(api, [`No recent${wanted ? ` ${api.flags.type}` : ""} events for ${user}.`]);
+  }
+
+  return finish(
+    api,
+    table(
+      ["WHEN", "TYPE", "REPO", "WHAT"],
+      picked.map((e) => [
+        span(ago(e.created_at), { dim: true }),
+        span(e.type.replace(/Event$/, ""), { color: "cyan" }),
+        e.repo ? link(e.repo.name, `https://github.com/${e.repo.name}`) : "",
+        summarize(e),
+      ])
+    )
+  );
+}
+
+async function repo(api: CmdAPI, name: string): Promise<OutputLine[]> {
+  const full = fullName(api, name);
+  const r = await fetching(api, `Fetching ${full}…`, getRepo(full, { signal: api.signal }));
+  return finish(api, [
+    line(link(r.full_name, r.html_url, { bold: true })),
+    ...(r.description ? [r.description] : []),
+    line(
+      span(`★ ${r.stargazers_count}`, { color: "yellow" }),
+      `   ⑂ ${r.forks_count}`,
+      r.language ? `   ${r.language}` : "",
+      r.pushed_at ? span(`   pushed ${ago(r.pushed_at)}`, { dim: true }) : ""
+    ),
+  ]);
+}
+
+async function langs(api: CmdAPI, name: string): Promise<OutputLine[]> {
+  const full = fullName(api, name);
+  const bytes = await fetching(
+    api,
+    `Fetching languages for ${full}…`,
+    getRepoLanguages(full, { signal: api.signal })
+  );
+  const total = Object.values(bytes).reduce((a, b) => a + b, 0);
+  if (!total) return finish(api, [`${full}: no languages detected.`]);
+  const rows = Object.entries(bytes)
+    .sort(([, a], [, b]) => b - a)
+    .map(([lang, n]) => [lang, progressBar(n, total, 20), `${(n / 1024).toFixed(1)} KB`]);
+  return finish(api, table(["LANGUAGE", "SHARE", "SIZE"], rows, { align: ["left", "left", "right"] }));
+}
+
+async function stars(api: CmdAPI): Promise<OutputLine[]> {
+  const user = userOf(api);
+  const repos = await fetching(
+    api,
+    `Fetching repositories for ${user}…`,
+    getUserRepos(user, { signal: api.signal })
+  );
+  const own = repos.filter((r) => !r.fork).sort((a, b) => b.stargazers_count - a.stargazers_count);
+  if (!own.length) return finish(api, [`${user} has no public repositories.`]);
+  const total = own.reduce((sum, r) => sum + r.stargazers_count, 0);
+  return finish(api, [
+    ...table(
+      ["REPO", "★", "⑂", "LANGUAGE"],
+      own.map((r) => [link(r.name, r.html_url), String(r.stargazers_count), String(r.forks_count), r.language ?? ""]),
+      { align: ["left", "right", "right", "left"] }
+    ),
+    "",
+    line(span(`${total} stars`, { bold: true }), ` across ${own.length} repositories`),
+  ]);
+}
+
+async function rate(api: CmdAPI): Promise<OutputLine[]> {
+  const r = await fetching(api, "Checking GitHub API quota…", fetchRateLimit({ signal: api.signal }));
+  const color = r.remaining === 0 ? "red" : r.remaining <= LOW_QUOTA ? "yellow" : "green";
+  api.update(line("GitHub API: ", span(describeRate(r), { color })));
+  return [];
+}
+
+// -----------------------------------------------------------------------------
+// Command
+// -----------------------------------------------------------------------------
+
+export function createGitHubCommands(): Record<string, CommandSpec> {
+  return {
+    gh: {
+      group: "GitHub",
+      description: "GitHub activity, repos, languages and stars",
+      usage: "<events|repo|langs|stars|rate> [repo] [options]",
+      args: [
+        { name: "subcommand", choices: SUBCOMMANDS },
+        {
+          name: "repo",
+          optional: true,
+          description: "Repository (name or owner/name) for repo / langs",
+          complete: (_partial, ctx) => (["repo", "langs"].includes(ctx.words[1]) ? completeRepos() : []),
+        },
+      ],
+      flags: [
+        {
+          name: "type",
+          short: "t",
+          type: "string",
+          valueName: "type",
+          description: "events: only this event type (Push, PullRequest…)",
+          complete: () => EVENT_TYPES,
+        },
+        { name: "lines", short: "n", type: "number", valueName: "N", default: 10, description: "events: how many" },
+      ],
+      examples: ["gh events --type Push -n 5", "gh repo zeshanbasaran.github.io", "gh langs mlms", "gh stars"],
+      run: async (_args, api) => {
+        const sub = api.params.subcommand as string;
+        const name = api.params.repo as string | undefined;
+        if ((sub === "repo" || sub === "langs") && !name) {
+          throw new CommandError(`gh ${sub}: missing repository\nUsage: gh ${sub} <repo>`, 2);
+        }
+        if (sub === "events") return events(api);
+        if (sub === "repo") return repo(api, name!);
+        if (sub === "langs") return langs(api, name!);
+        if (sub === "stars") return stars(api);
+        return rate(api);
+      },
+    },
+  };
+}
+
+/** Loaded on first use by ./plugins.ts. */
+export const githubPlugin: TerminalPlugin = {
+  name: "gh",
+  description: "GitHub activity, repos, languages and stars",
+  commands: createGitHubCommands(),
+};
@@ -0,0 +1,53 @@
+/**
+ * src/components/terminal/history.test.ts
+ * -----------------------------------------------------------------------------
+ * History event expansion (`!!`, `!n`, `!-n`): `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { CommandError } from "./errors";
+import { expandHistory } from "./history";
+
+const entries = ["help", "gh stars", "echo 'hi!'"];
+
+test("expandHistory: !!, !n and !-n", () => {
+  const cases: [string, string][] = [
+    ["!!", "echo 'hi!'"],
+    ["!! | wc -l", "echo 'hi!' | wc -l"],
+    ["!1", "help"],
+    ["!3", "echo 'hi!'"],
+    ["!-1", "echo 'hi!'"],
+    ["!-3", "help"],
+    ["!1 && !2", "help && gh stars"],
+    ["!2!!", "gh starsecho 'hi!'"],
+  ];
+  for (const [line, expected] of cases) assert.equal(expandHistory(line, entries), expected, line);
+});
+
+test("expandHistory leaves other ! alone", () => {
+  for (const line of ["echo hi!", "echo !x", "echo '!!' '!1'", "echo ! !", ""]) {
+    assert.equal(expandHistory(line, entries), line);
+  }
+});
+
+test("expandHistory: unknown events are errors", () => {
+  const cases: [string, string[], string][] = [
+    ["!4", entries, "!4: event not found"],
+    ["!0", entries, "!0: event not found"],
+    ["!-4", entries, "!-4: event not found"],
+    ["echo !99 done", entries, "!99: event not found"],
+    // Nothing to repeat yet
+    ["!!", [], "!!: event not found"],
+    ["!1", [], "!1: event not found"],
+  ];
+  for (const [line, history, message] of cases) {
+    assert.throws(() => expandHistory(line, history), (err) => {
+      assert.ok(err instanceof CommandError, line);
+      assert.equal(err.message, message);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,100 @@
+/**
+ * src/components/terminal/history.ts
+ * -----------------------------------------------------------------------------
+ * Command history helpers for TerminalSession:
+ * - Persistence in localStorage (per origin) with a max length
+ * - Appending that drops adjacent duplicates
+ * - Bash-style event expansion: `!!`, `!n`, `!-n`
+ * - Reverse incremental search (Ctrl+R)
+ *
+ * All functions are pure apart from the storage calls, and every storage call
+ * is guarded so private browsing / Node without localStorage just works.
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+
+/** Subset of the Web Storage API the session needs. */
+export type KeyValueStorage = Pick<Storage, "getItem" | "setItem" | "removeItem">;
+
+export const HISTORY_KEY = "terminal:history";
+
+/** window.localStorage when available (and not blocked), else null. */
+export function defaultStorage(): KeyValueStorage | null {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+export function loadHistory(storage: KeyValueStorage | null, key: string, max: number): string[] {
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(key) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((e) => typeof e === "string").slice(-max) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(storage: KeyValueStorage | null, key: string, entries: string[]) {
+  if (!storage) return;
+  try {
+    if (entries.length) storage.setItem(key, JSON.stringify(entries));
+    else storage.removeItem(key);
+  } catch {
+    /* quota / privacy mode: keep in-memory history only */
+  }
+}
+
+/** Append `entry`, skipping it if it repeats the last one, keeping at most `max`. */
+export function appendHistory(entries: string[], entry: string, max: number): string[] {
+  if (entries[entries.length - 1] === entry) return entries.slice(-max);
+  return [...entries, entry].slice(-max);
+}
+
+/**
+ * Expand history events outside single quotes:
+ *   !!   last command
+ *   !n   entry n (1-based, as listed by `history`)
+ *   !-n  n-th most recent entry
+ * Throws a CommandError ("!n: event not found") for unknown events.
+ */
+export function expandHistory(line: string, entries: string[]): string {
+  if (!line.includes("!")) return line;
+  let out = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === "'") quoted = !quoted;
+    if (ch !== "!" || quoted) {
+      out += ch;
+      continue;
+    }
+    const m = /^!(!|-?\d+)/.exec(line.slice(i));
+    if (!m) {
+      out += ch;
+      continue;
+    }
+    const ev = m[1];
+    const n = ev === "!" ? -1 : Number(ev);
+    const idx = n < 0 ? entries.length + n : n - 1;
+    const hit = entries[idx];
+    if (hit == null || n === 0) throw new CommandError(`${m[0]}: event not found`);
+    out += hit;
+    i += m[0].length - 1;
+  }
+  return out;
+}
+
+/**
+ * Index of the newest entry before `before` containing `query`, or -1.
+ * Pass `before = entries.length` to start from the newest entry.
+ */
+export function searchHistory(entries: string[], query: string, before = entries.length): number {
+  for (let i = Math.min(before, entries.length) - 1; i >= 0; i--) {
+    if (entries[i].includes(query)) return i;
+  }
+  return -1;
+}
@@ -0,0 +1,121 @@
+/**
+ * src/components/terminal/hotkeys.test.ts
+ * -----------------------------------------------------------------------------
+ * Hotkey parsing, matching and the listener (sequences, the prompt's own
+ * keys): `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createHotkeyListener, matchChord, parseChord, parseHotkey } from "./hotkeys";
+import { editAction } from "./readline";
+
+/** A keydown as the window listener sees it. */
+function keydown(key: string, init: Partial<KeyboardEvent> = {}): KeyboardEvent {
+  return {
+    key,
+    code: /^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : "",
+    ctrlKey: false,
+    altKey: false,
+    shiftKey: false,
+    metaKey: false,
+    repeat: false,
+    defaultPrevented: false,
+    target: null,
+    ...init,
+  } as KeyboardEvent;
+}
+
+/** The terminal's input, as isTypingTarget sees it. */
+const prompt = { tagName: "INPUT", type: "text", isContentEditable: false } as unknown as EventTarget;
+
+test("Mod+K on Linux/Windows does not toggle while Ctrl+K edits the prompt", () => {
+  let fired = 0;
+  const onKey = createHotkeyListener("Mod+K", () => fired++, { apple: false });
+
+  // readline claims Ctrl+K (kill to end of line) and the prompt prevents its default
+  assert.equal(editAction({ key: "k", ctrlKey: true, altKey: false, metaKey: false }), "kill-end");
+  onKey(keydown("k", { ctrlKey: true, target: prompt, defaultPrevented: true }));
+  assert.equal(fired, 0);
+
+  // Elsewhere on the page the same chord toggles
+  onKey(keydown("k", { ctrlKey: true }));
+  assert.equal(fired, 1);
+});
+
+test("parseHotkey: modifiers, aliases and sequences", () => {
+  const none = { ctrl: false, alt: false, shift: false, meta: false };
+  const cases: [string, boolean, object[]][] = [
+    ["Ctrl+`", false, [{ ...none, key: "`", ctrl: true }]],
+    ["Alt+Shift+T", false, [{ ...none, key: "t", alt: true, shift: true }]],
+    ["Cmd+Esc", false, [{ ...none, key: "escape", meta: true }]],
+    ["Ctrl++", false, [{ ...none, key: "+", ctrl: true }]],
+    ["g t", false, [{ ...none, key: "g" }, { ...none, key: "t" }]],
+    // Mod is Ctrl elsewhere and Meta (⌘) on Apple platforms
+    ["Mod+K", false, [{ ...none, key: "k", ctrl: true }]],
+    ["Mod+K", true, [{ ...none, key: "k", meta: true }]],
+  ];
+  for (const [spec, apple, expected] of cases) assert.deepEqual(parseHotkey(spec, apple), expected, spec);
+});
+
+test("parseHotkey rejects bad specs", () => {
+  assert.throws(() => parseHotkey(""), /Empty hotkey/);
+  assert.throws(() => parseHotkey("Hyper+K"), /Unknown modifier "Hyper"/);
+  assert.throws(() => parseChord("Ctrl+"), /has no key/);
+  assert.deepEqual(parseChord("+"), { key: "+", ctrl: false, alt: false, shift: false, meta: false });
+});
+
+test("matchChord: exact modifiers, physical-key fallback and shifted symbols", () => {
+  const modK = parseChord("Mod+K", false);
+  assert.ok(matchChord(modK, keydown("k", { ctrlKey: true })));
+  assert.ok(!matchChord(modK, keydown("k", { metaKey: true })));
+  assert.ok(!matchChord(modK, keydown("k", { ctrlKey: true, altKey: true })));
+  assert.ok(matchChord(parseChord("Mod+K", true), keydown("k", { metaKey: true })));
+
+  // Alt+T types "†" on macOS: matched by code
+  assert.ok(matchChord(parseChord("Alt+T"), keydown("†", { altKey: true, code: "KeyT" })));
+  // "?" needs Shift to be typed, so Shift is allowed without being named
+  assert.ok(matchChord(parseChord("?"), keydown("?", { shiftKey: true })));
+  assert.ok(!matchChord(parseChord("k"), keydown("K", { shiftKey: true })));
+});
+
+test("sequences fire in order, within the timeout, and not while typing", () => {
+  const realNow = Date.now;
+  let now = 0;
+  Date.now = () => now;
+  try {
+    let fired = 0;
+    const onKey = createHotkeyListener("g t", () => fired++, { timeout: 1000 });
+
+    onKey(keydown("g"));
+    now = 500;
+    onKey(keydown("t"));
+    assert.equal(fired, 1);
+
+    // Too slow: the sequence starts over
+    now = 1000;
+    onKey(keydown("g"));
+    now = 2500;
+    onKey(keydown("t"));
+    assert.equal(fired, 1);
+
+    // A wrong key restarts, and may itself start the sequence
+    onKey(keydown("g"));
+    onKey(keydown("x"));
+    onKey(keydown("t"));
+    assert.equal(fired, 1);
+    onKey(keydown("g"));
+    onKey(keydown("g"));
+    onKey(keydown("t"));
+    assert.equal(fired, 2);
+
+    // Plain keys in a form field type text instead
+    onKey(keydown("g", { target: prompt }));
+    onKey(keydown("t", { target: prompt }));
+    assert.equal(fired, 2);
+  } finally {
+    Date.now = realNow;
+  }
+});
@@ -0,0 +1,210 @@
+/**
+ * src/components/terminal/hotkeys.ts
+ * -----------------------------------------------------------------------------
+ * Keyboard shortcut strings for the overlay's `hotkey` prop:
+ *
+ *   "Ctrl+`"          one chord: modifiers joined with "+", the key last
+ *   "Mod+K"           Mod is ⌘ on Apple platforms and Ctrl elsewhere
+ *   "Alt+Shift+T"     Alt is ⌥ Option; matched by physical key on macOS
+ *   "g t"             a sequence: press g, then t (within a second)
+ *
+ * Modifiers: Ctrl (Control), Alt (Option, Opt), Shift, Meta (Cmd, Command,
+ * Super, Win) and Mod. Keys are `KeyboardEvent.key` names, case-insensitive,
+ * plus Esc, Space, Plus, Up/Down/Left/Right and Backtick.
+ *
+ * Plain keys and sequences never fire while typing in a form field. Chords
+ * with Ctrl or Meta still do, since they type nothing — that is what lets
+ * the default Ctrl+` close the terminal from its own prompt. Keys something
+ * else already handled (`preventDefault`, like Ctrl+K deleting to the end of
+ * the terminal's line) never fire a shortcut, so "Mod+K" does not also
+ * toggle the overlay while editing there.
+ *
+ *   const onKey = createHotkeyListener("Mod+K", () => toggle());
+ *   window.addEventListener("keydown", onKey);
+ * -----------------------------------------------------------------------------
+ */
+
+export interface Chord {
+  /** Lowercase `KeyboardEvent.key` ("k", "`", "escape", " "). */
+  key: string;
+  ctrl: boolean;
+  alt: boolean;
+  shift: boolean;
+  meta: boolean;
+}
+
+/** Chords to press in order (one for a plain shortcut). */
+export type Sequence = Chord[];
+
+export interface HotkeyOptions {
+  /** Longest pause between the chords of a sequence, in ms (default 1000). */
+  timeout?: number;
+  /** Treat Mod as Meta (default: detected from the platform). */
+  apple?: boolean;
+}
+
+type Modifier = "ctrl" | "alt" | "shift" | "meta" | "mod";
+
+const MODIFIERS: Record<string, Modifier> = {
+  ctrl: "ctrl",
+  control: "ctrl",
+  alt: "alt",
+  option: "alt",
+  opt: "alt",
+  shift: "shift",
+  meta: "meta",
+  cmd: "meta",
+  command: "meta",
+  super: "meta",
+  win: "meta",
+  mod: "mod",
+};
+
+const KEY_ALIASES: Record<string, string> = {
+  esc: "escape",
+  space: " ",
+  spacebar: " ",
+  plus: "+",
+  backtick: "`",
+  return: "enter",
+  del: "delete",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+};
+
+/** `KeyboardEvent.code` for keys whose `key` changes with Alt, Shift or layout. */
+const SYMBOL_CODES: Record<string, string> = {
+  "`": "Backquote",
+  "-": "Minus",
+  "=": "Equal",
+  "[": "BracketLeft",
+  "]": "BracketRight",
+  "\\": "Backslash",
+  ";": "Semicolon",
+  "'": "Quote",
+  ",": "Comma",
+  ".": "Period",
+  "/": "Slash",
+};
+
+const NON_TEXT_INPUTS = ["button", "checkbox", "color", "file", "image", "radio", "range", "reset", "submit"];
+
+export const isApplePlatform = (): boolean => {
+  if (typeof navigator === "undefined") return false;
+  const platform = (navigator as { userAgentData?: { platform?: string } }).userAgentData?.platform ?? navigator.platform;
+  return /mac|iphone|ipad|ipod/i.test(platform ?? "");
+};
+
+/** Parse one chord ("Alt+Shift+T"). Throws on unknown modifiers or a missing key. */
+export function parseChord(text: string, apple = isApplePlatform()): Chord {
+  const parts = text.trim().split("+");
+  // A trailing "+" is the key itself: "Ctrl++", "+"
+  const plusKey = parts.length > 1 && parts[parts.length - 1] === "" && parts[parts.length - 2] === "";
+  const keyName = plusKey ? "+" : parts[parts.length - 1];
+  const mods = parts.slice(0, plusKey ? -2 : -1);
+  if (!keyName) throw new Error(`Hotkey "${text}" has no key`);
+
+  const chord: Chord = { key: "", ctrl: false, alt: false, shift: false, meta: false };
+  for (const name of mods) {
+    const mod = MODIFIERS[name.trim().toLowerCase()];
+    if (!mod) throw new Error(`Unknown modifier "${name}" in hotkey "${text}"`);
+    chord[mod === "mod" ? (apple ? "meta" : "ctrl") : mod] = true;
+  }
+  const lower = keyName.toLowerCase();
+  chord.key = KEY_ALIASES[lower] ?? lower;
+  return chord;
+}
+
+/** Parse a shortcut: one chord, or several separated by spaces ("g t"). */
+export function parseHotkey(spec: string, apple = isApplePlatform()): Sequence {
+  const chords = spec.trim().split(/\s+/).filter(Boolean);
+  if (!chords.length) throw new Error("Empty hotkey");
+  return chords.map((c) => parseChord(c, apple));
+}
+
+const codeOf = (key: string) =>
+  /^[a-z]$/.test(key) ? `Key${key.toUpperCase()}` : /^\d$/.test(key) ? `Digit${key}` : SYMBOL_CODES[key];
+
+/** Does the key event press `chord`? */
+export function matchChord(
+  chord: Chord,
+  e: Pick<KeyboardEvent, "key" | "code" | "ctrlKey" | "altKey" | "shiftKey" | "metaKey">
+): boolean {
+  if (e.ctrlKey !== chord.ctrl || e.altKey !== chord.alt || e.metaKey !== chord.meta) return false;
+  const byKey = e.key.toLowerCase() === chord.key;
+  // Alt / Shift turn "t" into "†" / "T" on some layouts: fall back to the physical key
+  if (!byKey && e.code !== codeOf(chord.key)) return false;
+  if (chord.shift) return e.shiftKey;
+  // Symbols like "?" need Shift to be typed at all
+  return !e.shiftKey || (byKey && chord.key.length === 1 && !/[a-z\d]/.test(chord.key));
+}
+
+/** Is the event target a text field (input, textarea, select, contenteditable)? */
+export function isTypingTarget(target: EventTarget | null): boolean {
+  const el = target as HTMLElement | null;
+  if (!el || typeof el.tagName !== "string") return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  return el.tagName === "INPUT" && !NON_TEXT_INPUTS.includes((el as HTMLInputElement).type);
+}
+
+/**
+ * A keydown listener that calls `handler` when `spec` is pressed. Throws
+ * (like parseHotkey) when the spec does not parse.
+ */
+export function createHotkeyListener(
+  spec: string,
+  handler: (e: KeyboardEvent) => void,
+  options: HotkeyOptions = {}
+): (e: KeyboardEvent) => void {
+  const { timeout = 1000 } = options;
+  const sequence = parseHotkey(spec, options.apple ?? isApplePlatform());
+  let step = 0;
+  let last = 0;
+
+  const accepts = (chord: Chord, e: KeyboardEvent) =>
+    (chord.ctrl || chord.meta || !isTypingTarget(e.target)) && matchChord(chord, e);
+
+  return (e) => {
+    // Handled already (e.g. a readline key in the terminal's own prompt)
+    if (e.defaultPrevented) return;
+    // Holding a modifier between chords does not break a sequence
+    if (e.repeat || ["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+    const now = Date.now();
+    if (step && now - last > timeout) step = 0;
+
+    if (accepts(sequence[step], e)) {
+      step++;
+      last = now;
+    } else {
+      // A wrong key restarts the sequence, and may itself start it
+      step = accepts(sequence[0], e) ? 1 : 0;
+      last = now;
+    }
+    if (step === sequence.length) {
+      step = 0;
+      handler(e);
+    }
+  };
+}
+
+/** Display form: "⌘K" / "⌥⇧T" on Apple platforms, "Ctrl+K" elsewhere. */
+export function formatHotkey(spec: string, apple = isApplePlatform()): string {
+  let sequence: Sequence;
+  try {
+    sequence = parseHotkey(spec, apple);
+  } catch {
+    return spec;
+  }
+  const keyLabel = (key: string) =>
+    key === " " ? "Space" : key.length === 1 ? key.toUpperCase() : key.replace(/^arrow/, "").replace(/^./, (c) => c.toUpperCase());
+  return sequence
+    .map((c) =>
+      apple
+        ? `${c.ctrl ? "⌃" : ""}${c.alt ? "⌥" : ""}${c.shift ? "⇧" : ""}${c.meta ? "⌘" : ""}${keyLabel(c.key)}`
+        : [c.ctrl && "Ctrl", c.alt && "Alt", c.shift && "Shift", c.meta && "Meta", keyLabel(c.key)].filter(Boolean).join("+")
+    )
+    .join(" ");
+}
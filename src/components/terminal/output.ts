@@ -0,0 +1,238 @@
+/**
+ * src/components/terminal/output.ts
+ * -----------------------------------------------------------------------------
+ * Rich line model for terminal output.
+ *
+ * - A line is a list of spans; spans carry color/weight, an optional link
+ *   (opened through `api.open`) or render as an inline badge
+ * - Plain strings keep working: they are parsed for ANSI SGR escapes
+ *   (`\x1b[1;32mOK\x1b[0m`), so existing handlers can add color cheaply
+ * - `plainText` gives the text-only fallback used by `lines`, pipes and copy;
+ *   `toAnsi` turns a line back into an SGR string (recordings, exports)
+ * - `table` aligns rows into columns (cells may be links / colored spans)
+ * - `SPINNER` / `progressBar` render frames for `api.update` (in-place lines)
+ *
+ * Example
+ * -------
+ * return [
+ *   line(badge("OK", "green"), " deployed to ", link("github", "https://github.com/…")),
+ *   `${ansi.yellow}warning:${ansi.reset} cache is cold`,
+ * ];
+ * -----------------------------------------------------------------------------
+ */
+
+// -----------------------------------------------------------------------------
+// Types
+// -----------------------------------------------------------------------------
+
+export type SpanColor =
+  | "black"
+  | "red"
+  | "green"
+  | "yellow"
+  | "blue"
+  | "magenta"
+  | "cyan"
+  | "white"
+  | "gray";
+
+export interface Span {
+  text: string;
+  color?: SpanColor;
+  bold?: boolean;
+  dim?: boolean;
+  italic?: boolean;
+  underline?: boolean;
+  /** Clickable link target; opened via the session's `open`. */
+  href?: string;
+  /** Render as a small pill (e.g. status tags). */
+  badge?: boolean;
+}
+
+export interface RichLine {
+  spans: Span[];
+}
+
+/** Anything a handler may print or return as one line. */
+export type OutputLine = string | RichLine;
+
+// -----------------------------------------------------------------------------
+// Builders
+// -----------------------------------------------------------------------------
+
+export const span = (text: string, style: Omit<Span, "text"> = {}): Span => ({ text, ...style });
+
+export const link = (text: string, href = text, style: Omit<Span, "text" | "href"> = {}): Span => ({
+  text,
+  href,
+  ...style,
+});
+
+export const badge = (text: string, color: SpanColor = "cyan"): Span => ({ text, color, badge: true });
+
+/** Build a line from strings (ANSI-aware) and spans. */
+export function line(...parts: (string | Span)[]): RichLine {
+  return { spans: parts.flatMap((p) => (typeof p === "string" ? parseAnsi(p) : [p])) };
+}
+
+export const isRichLine = (v: unknown): v is RichLine =>
+  !!v && typeof v === "object" && Array.isArray((v as RichLine).spans);
+
+// -----------------------------------------------------------------------------
+// ANSI
+// -----------------------------------------------------------------------------
+
+/** Common SGR sequences for string handlers. */
+export const ansi = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  italic: "\x1b[3m",
+  underline: "\x1b[4m",
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  magenta: "\x1b[35m",
+  cyan: "\x1b[36m",
+  white: "\x1b[37m",
+  gray: "\x1b[90m",
+} as const;
+
+const SGR_COLORS: SpanColor[] = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"];
+// eslint-disable-next-line no-control-regex
+const SGR_RE = /\x1b\[([\d;]*)m/g;
+// eslint-disable-next-line no-control-regex
+const ANY_ESCAPE_RE = /\x1b\[[\d;?]*[A-Za-z]/g;
+
+/** Apply one SGR parameter list to a style. */
+function applySgr(style: Omit<Span, "text">, params: number[]): Omit<Span, "text"> {
+  const next = { ...style };
+  for (const p of params.length ? params : [0]) {
+    if (p === 0) return {};
+    if (p === 1) next.bold = true;
+    else if (p === 2) next.dim = true;
+    else if (p === 3) next.italic = true;
+    else if (p === 4) next.underline = true;
+    else if (p === 22) next.bold = next.dim = undefined;
+    else if (p === 23) next.italic = undefined;
+    else if (p === 24) next.underline = undefined;
+    else if (p >= 30 && p <= 37) next.color = SGR_COLORS[p - 30];
+    else if (p === 39) next.color = undefined;
+    else if (p === 90) next.color = "gray";
+    else if (p >= 91 && p <= 97) next.color = SGR_COLORS[p - 90];
+  }
+  return next;
+}
+
+/** Split a string with SGR escapes into styled spans (other escapes are dropped). */
+export function parseAnsi(text: string): Span[] {
+  if (!text.includes("\x1b")) return [{ text }];
+  const spans: Span[] = [];
+  let style: Omit<Span, "text"> = {};
+  let last = 0;
+  let m: RegExpExecArray | null;
+  SGR_RE.lastIndex = 0;
+  while ((m = SGR_RE.exec(text))) {
+    if (m.index > last) spans.push({ text: text.slice(last, m.index).replace(ANY_ESCAPE_RE, ""), ...style });
+    style = applySgr(style, m[1].split(";").filter(Boolean).map(Number));
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) spans.push({ text: text.slice(last).replace(ANY_ESCAPE_RE, ""), ...style });
+  return spans.filter((s) => s.text);
+}
+
+// -----------------------------------------------------------------------------
+// Tables
+// -----------------------------------------------------------------------------
+
+export type Cell = string | Span;
+
+/**
+ * Align rows into columns under a bold header and a dim rule. Cells may be
+ * spans (links, colors); widths come from the visible text.
+ */
+export function table(
+  headers: string[],
+  rows: Cell[][],
+  options: { align?: ("left" | "right")[]; gap?: number } = {}
+): RichLine[] {
+  const { align = [], gap = 2 } = options;
+  const text = (c: Cell | undefined) => (c == null ? "" : typeof c === "string" ? c : c.text);
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => text(r[i]).length)));
+
+  const render = (cells: Cell[], style: Omit<Span, "text"> = {}): RichLine => {
+    const spans: Span[] = [];
+    widths.forEach((w, i) => {
+      const cell = cells[i] ?? "";
+      const s = typeof cell === "string" ? { text: cell, ...style } : { ...style, ...cell };
+      const pad = " ".repeat(w - s.text.length);
+      const last = i === widths.length - 1;
+      if (align[i] === "right") spans.push({ text: pad }, s);
+      else spans.push(s, { text: last ? "" : pad });
+      if (!last) spans.push({ text: " ".repeat(gap) });
+    });
+    return { spans: spans.filter((s) => s.text) };
+  };
+
+  const rule = widths.map((w) => "─".repeat(w)).join(" ".repeat(gap));
+  return [render(headers, { bold: true }), { spans: [{ text: rule, dim: true }] }, ...rows.map((r) => render(r))];
+}
+
+// -----------------------------------------------------------------------------
+// Progress (pair with api.update)
+// -----------------------------------------------------------------------------
+
+/** Braille spinner frames: `api.update(`${SPINNER[i % SPINNER.length]} loading`)`. */
+export const SPINNER = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+/** "[██████░░░░]  60%" for `done` out of `total`. */
+export function progressBar(done: number, total: number, width = 20): string {
+  const ratio = total > 0 ? Math.min(1, Math.max(0, done / total)) : 0;
+  const filled = Math.round(ratio * width);
+  return `[${"█".repeat(filled)}${"░".repeat(width - filled)}] ${String(Math.round(ratio * 100)).padStart(3)}%`;
+}
+
+// -----------------------------------------------------------------------------
+// Conversions
+// -----------------------------------------------------------------------------
+
+export function toRichLine(value: OutputLine): RichLine {
+  return isRichLine(value) ? value : { spans: parseAnsi(String(value)) };
+}
+
+/** Text-only fallback (no escapes, badges as [TEXT]). */
+export function plainText(value: OutputLine): string {
+  if (!isRichLine(value)) return String(value).replace(ANY_ESCAPE_RE, "");
+  return value.spans.map((s) => (s.badge ? `[${s.text}]` : s.text)).join("");
+}
+
+const SGR_CODES: Record<SpanColor, number> = {
+  black: 30,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  magenta: 35,
+  cyan: 36,
+  white: 37,
+  gray: 90,
+};
+
+/** The line as a string with SGR escapes (badges as bold [TEXT], links underlined). */
+export function toAnsi(value: OutputLine): string {
+  if (!isRichLine(value)) return String(value);
+  return value.spans
+    .map((s) => {
+      const codes = [
+        s.bold || s.badge ? 1 : 0,
+        s.dim ? 2 : 0,
+        s.italic ? 3 : 0,
+        s.underline || s.href ? 4 : 0,
+        s.color ? SGR_CODES[s.color] : 0,
+      ].filter(Boolean);
+      const text = s.badge ? `[${s.text}]` : s.text;
+      return codes.length ? `\x1b[${codes.join(";")}m${text}\x1b[0m` : text;
+    })
+    .join("");
+}
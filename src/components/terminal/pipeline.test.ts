@@ -0,0 +1,98 @@
+/**
+ * src/components/terminal/pipeline.test.ts
+ * -----------------------------------------------------------------------------
+ * Command line splitting and parsing (quotes, operators, syntax errors):
+ * `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { parseCommandLine, splitChain, type ChainLink } from "./pipeline";
+
+test("splitChain: top-level &&, || and ; only", () => {
+  const cases: [string, ReturnType<typeof splitChain>][] = [
+    [
+      "a && b || c; d",
+      [
+        { op: null, text: "a " },
+        { op: "&&", text: " b " },
+        { op: "||", text: " c" },
+        { op: ";", text: " d" },
+      ],
+    ],
+    // Pipes stay inside their part
+    ["a | b && c", [{ op: null, text: "a | b " }, { op: "&&", text: " c" }]],
+    // Quoted operators are text, and a quote of the other kind does not end one
+    [`echo "a && b" ; echo 'c || d'`, [{ op: null, text: `echo "a && b" ` }, { op: ";", text: ` echo 'c || d'` }]],
+    [`echo "it's; ok" && x`, [{ op: null, text: `echo "it's; ok" ` }, { op: "&&", text: " x" }]],
+    // Empty parts are dropped (parseCommandLine reports them first)
+    ["a ;; b", [{ op: null, text: "a " }, { op: ";", text: " b" }]],
+    ["", []],
+    // An unterminated quote swallows the rest of the line
+    [`echo "a && b`, [{ op: null, text: `echo "a && b` }]],
+  ];
+  for (const [input, expected] of cases) assert.deepEqual(splitChain(input), expected, input);
+});
+
+test("parseCommandLine: pipelines, operators and quoted words", () => {
+  const cases: [string, ChainLink[]][] = [
+    [
+      "projects | grep -i python && theme dark",
+      [
+        { op: null, pipeline: [["projects"], ["grep", "-i", "python"]] },
+        { op: "&&", pipeline: [["theme", "dark"]] },
+      ],
+    ],
+    // Operators inside quotes are plain text
+    [
+      `grep "&&" | wc -l ; echo '||'`,
+      [
+        { op: null, pipeline: [["grep", "&&"], ["wc", "-l"]] },
+        { op: ";", pipeline: [["echo", "||"]] },
+      ],
+    ],
+    // Nested quotes of the other kind, and quoted sections inside one word
+    [
+      `echo "it's | fine" && echo 'say "hi"; ok'`,
+      [
+        { op: null, pipeline: [["echo", "it's | fine"]] },
+        { op: "&&", pipeline: [["echo", 'say "hi"; ok']] },
+      ],
+    ],
+    [`echo a"b|c"d`, [{ op: null, pipeline: [["echo", "ab|cd"]] }]],
+    // A trailing ";" is allowed
+    ["a;", [{ op: null, pipeline: [["a"]] }]],
+    ["   ", []],
+  ];
+  for (const [input, expected] of cases) assert.deepEqual(parseCommandLine(input), expected, input);
+});
+
+test("parseCommandLine: empty segments and unterminated quotes are syntax errors", () => {
+  const cases: [string, string][] = [
+    ["a ;; b", "syntax error near ';'"],
+    ["; a", "syntax error near ';'"],
+    ["| a", "syntax error near '|'"],
+    ["a | | b", "syntax error near '|'"],
+    ["a |", "syntax error near '|'"],
+    ["a &&", "syntax error near '&&'"],
+    ["a || && b", "syntax error near '&&'"],
+    [`echo "open`, `unterminated " quote`],
+    [`echo 'it"s`, "unterminated ' quote"],
+  ];
+  for (const [input, message] of cases) {
+    assert.throws(() => parseCommandLine(input), { name: "SyntaxError", message }, input);
+  }
+});
+
+test("parseCommandLine: variables and aliases", () => {
+  assert.deepEqual(parseCommandLine(`echo $X "$X" '$X'`, { vars: { X: "1" } }), [
+    { op: null, pipeline: [["echo", "1", "1", "$X"]] },
+  ]);
+  const aliases = { ll: "ls -l | head", ls: "ls --color" };
+  assert.deepEqual(parseCommandLine("ll && 'll'", { aliases }), [
+    { op: null, pipeline: [["ls", "--color", "-l"], ["head"]] },
+    { op: "&&", pipeline: [["ll"]] },
+  ]);
+});
@@ -0,0 +1,184 @@
+/**
+ * src/components/terminal/pipeline.ts
+ * -----------------------------------------------------------------------------
+ * Shell-style command line parser for TerminalSession.
+ *
+ * Grammar (no nesting, left to right):
+ *   line      := pipeline (op pipeline)*
+ *   op        := "&&" | "||" | ";"
+ *   pipeline  := command ("|" command)*
+ *   command   := word+            (words may be "double" or 'single' quoted)
+ *
+ * Example
+ * -------
+ * parseCommandLine(`projects | grep -i "python" && theme dark`)
+ * // → [
+ * //   { op: null, pipeline: [["projects"], ["grep", "-i", "python"]] },
+ * //   { op: "&&", pipeline: [["theme", "dark"]] },
+ * // ]
+ *
+ * Notes
+ * -----
+ * - Operators inside quotes are plain text.
+ * - Empty segments (e.g. "a ;; b" or a trailing "|") are a syntax error.
+ * - With `options.vars`, `$NAME` / `${NAME}` expand outside single quotes.
+ * - With `options.aliases`, an unquoted first word naming an alias is
+ *   replaced by the alias text (which may itself contain `|`, `&&`, `;`);
+ *   an alias is not expanded again inside its own replacement.
+ * -----------------------------------------------------------------------------
+ */
+
+import { expandVars } from "./env";
+
+export type ChainOp = "&&" | "||" | ";";
+
+/** One `|`-separated pipeline plus the operator that joins it to the previous one. */
+export interface ChainLink {
+  op: ChainOp | null;
+  pipeline: string[][];
+}
+
+export interface ParseOptions {
+  /** Variables for `$NAME` expansion. */
+  vars?: Readonly<Record<string, string>>;
+  /** Aliases (name → replacement text) applied to command words. */
+  aliases?: Readonly<Record<string, string>>;
+}
+
+type Token =
+  | { kind: "word"; value: string; quoted: boolean; alias?: string[] }
+  | { kind: "op"; value: ChainOp | "|" };
+
+/** Split a raw line into words and operators, honouring quotes. */
+function lex(input: string, vars?: Readonly<Record<string, string>>): Token[] {
+  const expand = (text: string) => (vars ? expandVars(text, vars) : text);
+  const out: Token[] = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const two = input.slice(i, i + 2);
+    if (two === "&&" || two === "||") {
+      out.push({ kind: "op", value: two });
+      i += 2;
+      continue;
+    }
+    if (ch === "|" || ch === ";") {
+      out.push({ kind: "op", value: ch });
+      i++;
+      continue;
+    }
+
+    // Word: run of unquoted chars and quoted sections up to whitespace/operator
+    let word = "";
+    let quoted = false;
+    let plain = "";
+    const flush = () => {
+      word += expand(plain);
+      plain = "";
+    };
+    while (i < input.length && !/\s/.test(input[i])) {
+      const c = input[i];
+      if (c === "|" || c === ";" || input.slice(i, i + 2) === "&&") break;
+      if (c === '"' || c === "'") {
+        const end = input.indexOf(c, i + 1);
+        if (end < 0) throw new SyntaxError(`unterminated ${c} quote`);
+        flush();
+        const body = input.slice(i + 1, end);
+        word += c === '"' ? expand(body) : body;
+        quoted = true;
+        i = end + 1;
+        continue;
+      }
+      plain += c;
+      i++;
+    }
+    flush();
+    out.push({ kind: "word", value: word, quoted });
+  }
+  return out;
+}
+
+/**
+ * Split a raw line at top-level `&&`, `||` and `;` without lexing words, so
+ * each part can be expanded (`$VAR`, aliases) right before it runs.
+ */
+export function splitChain(input: string): { op: ChainOp | null; text: string }[] {
+  const parts: { op: ChainOp | null; text: string }[] = [];
+  let op: ChainOp | null = null;
+  let start = 0;
+  let quote: string | null = null;
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      quote = c;
+      continue;
+    }
+    const two = input.slice(i, i + 2);
+    const next = two === "&&" || two === "||" ? two : c === ";" ? ";" : null;
+    if (!next) continue;
+    parts.push({ op, text: input.slice(start, i) });
+    op = next;
+    i += next.length - 1;
+    start = i + 1;
+  }
+  parts.push({ op, text: input.slice(start) });
+  return parts.filter((p) => p.text.trim());
+}
+
+/** Parse a raw command line into `&&`/`||`/`;` links of `|` pipelines. */
+export function parseCommandLine(input: string, options: ParseOptions = {}): ChainLink[] {
+  const { vars, aliases = {} } = options;
+  const links: ChainLink[] = [];
+  let op: ChainOp | null = null;
+  let pipeline: string[][] = [];
+  let words: string[] = [];
+
+  const endCommand = (near: string) => {
+    if (!words.length) throw new SyntaxError(`syntax error near '${near}'`);
+    pipeline.push(words);
+    words = [];
+  };
+
+  let last: Token | null = null;
+  const tokens = lex(input, vars);
+  for (let t = 0; t < tokens.length; t++) {
+    const tok = tokens[t];
+    last = tok;
+    if (tok.kind === "word") {
+      // Alias in command position: splice in its tokens (no self-recursion)
+      const seen = tok.alias ?? [];
+      const isAlias = !words.length && !tok.quoted && Object.hasOwn(aliases, tok.value);
+      if (isAlias && !seen.includes(tok.value)) {
+        const expansion = lex(aliases[tok.value], vars).map((x) =>
+          x.kind === "word" ? { ...x, alias: [...seen, tok.value] } : x
+        );
+        tokens.splice(t + 1, 0, ...expansion);
+        continue;
+      }
+      words.push(tok.value);
+    } else if (tok.value === "|") {
+      endCommand("|");
+    } else {
+      endCommand(tok.value);
+      links.push({ op, pipeline });
+      op = tok.value;
+      pipeline = [];
+    }
+  }
+
+  // A trailing ";" is fine ("a;"), a trailing "|", "&&" or "||" is not
+  if (last?.kind === "op" && last.value !== ";") {
+    throw new SyntaxError(`syntax error near '${last.value}'`);
+  }
+  if (words.length) pipeline.push(words);
+  if (pipeline.length) links.push({ op, pipeline });
+  return links;
+}
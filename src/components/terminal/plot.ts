@@ -0,0 +1,337 @@
+/**
+ * src/components/terminal/plot.ts
+ * -----------------------------------------------------------------------------
+ * `plot`: numeric series as Unicode charts in the scrollback.
+ *
+ *   plot systematic-backtester          a project's spark series
+ *   plot /projects/mlms/spark.json      any JSON file in the VFS
+ *   plot 3 1 4 1 5 9 --type bar         numbers on the command line
+ *   cat spark.json | plot -t spark      numbers (or JSON) from a pipe
+ *
+ * Charts:
+ * - spark  one line of ▁▂▃▄▅▆▇█ with min / max / last
+ * - bar    horizontal bars in eighth blocks, one row per value (or label)
+ * - line   braille (2×4 dots per cell) with a y axis and index labels
+ *
+ * The largest value is marked green and the smallest red. Width follows the
+ * overlay (`api.columns`) unless `--width` asks for less.
+ *
+ * Ships as a lazy plugin (./plugins.ts): this module loads the first time
+ * `plot` runs or completes.
+ * -----------------------------------------------------------------------------
+ */
+
+import projectData from "../../data/projects.json";
+import { projectSlugs } from "./builtins";
+import { CommandError } from "./errors";
+import { line, span, type OutputLine, type Span, type SpanColor } from "./output";
+import type { TerminalPlugin } from "./plugins";
+import { projectSlug } from "./siteFS";
+import type { CommandSpec } from "./spec";
+import type { CmdAPI } from "./TerminalSession";
+import { resolvePath } from "./vfs";
+
+export const CHART_TYPES = ["line", "bar", "spark"];
+
+/** Values to plot, with optional per-value labels (bar rows, x axis). */
+export interface Series {
+  values: number[];
+  labels?: string[];
+}
+
+const SPARK = "▁▂▃▄▅▆▇█";
+const EIGHTHS = ["", "▏", "▎", "▍", "▌", "▋", "▊", "▉"];
+const NUMBER_RE = /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/gi;
+const MAX_COLOR: SpanColor = "green";
+const MIN_COLOR: SpanColor = "red";
+
+// -----------------------------------------------------------------------------
+// Data
+// -----------------------------------------------------------------------------
+
+/** 35 → "35", 0.123 → "0.12", 12500 → "12.5k". */
+export function formatNumber(n: number): string {
+  const abs = Math.abs(n);
+  if (abs >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+  if (abs >= 1e4) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(Number.isInteger(n) ? n : +n.toFixed(2));
+}
+
+function fromJSON(data: unknown): Series | null {
+  if (Array.isArray(data)) {
+    if (data.every((v) => typeof v === "number")) return { values: data };
+    // [{ label, value }]: first string field labels, first number field plots
+    const rows = data.filter((v): v is Record<string, unknown> => !!v && typeof v === "object");
+    const values = rows.map((r) => Object.values(r).find((v) => typeof v === "number"));
+    if (!rows.length || values.some((v) => v === undefined)) return null;
+    return {
+      values: values as number[],
+      labels: rows.map((r, i) => String(Object.values(r).find((v) => typeof v === "string") ?? i)),
+    };
+  }
+  if (data && typeof data === "object") {
+    const entries = Object.entries(data);
+    // { "Python": 5, "Go": 2 } → labeled values
+    if (entries.length && entries.every(([, v]) => typeof v === "number")) {
+      return { values: entries.map(([, v]) => v as number), labels: entries.map(([k]) => k) };
+    }
+    // { "series": [1, 2, 3], … } → the first numeric series
+    for (const [, v] of entries) {
+      const inner = fromJSON(v);
+      if (inner) return inner;
+    }
+  }
+  return null;
+}
+
+/**
+ * Numbers from text: JSON (array, object or list of records), "label value"
+ * lines, or else every number in the text.
+ */
+export function parseSeries(text: string): Series {
+  try {
+    const fromJson = fromJSON(JSON.parse(text));
+    if (fromJson) return fromJson;
+  } catch {
+    /* not JSON */
+  }
+  const rows = text.split("\n").filter((l) => l.trim());
+  const labeled = rows.map((l) => /^\s*(.*?\S)[\s:=,]+(-?\d+(?:\.\d+)?)\s*$/.exec(l));
+  // A label needs a word in it: "3 1 4 1 5" is five numbers, not "3 1 4 1" = 5
+  const isLabel = (text: string) => text.split(/[\s:=,]+/).some((t) => Number.isNaN(Number(t)));
+  if (rows.length && labeled.every((m) => m && isLabel(m[1]))) {
+    return { values: labeled.map((m) => Number(m![2])), labels: labeled.map((m) => m![1]) };
+  }
+  return { values: (text.match(NUMBER_RE) ?? []).map(Number) };
+}
+
+/** Average adjacent values so at most `width` remain (labels are dropped). */
+function resample(values: number[], width: number): number[] {
+  if (values.length <= width) return values;
+  return Array.from({ length: width }, (_, i) => {
+    const from = Math.floor((i * values.length) / width);
+    const to = Math.max(from + 1, Math.floor(((i + 1) * values.length) / width));
+    const bucket = values.slice(from, to);
+    return bucket.reduce((a, b) => a + b, 0) / bucket.length;
+  });
+}
+
+const extremes = (values: number[]) => ({
+  min: Math.min(...values),
+  max: Math.max(...values),
+  minAt: values.indexOf(Math.min(...values)),
+  maxAt: values.indexOf(Math.max(...values)),
+});
+
+/** Group per-character colors into spans (cyan where `colorAt` has none). */
+function colorRun(chars: string[], colorAt: (i: number) => SpanColor | undefined): Span[] {
+  const out: Span[] = [];
+  chars.forEach((ch, i) => {
+    const color = colorAt(i) ?? "cyan";
+    const last = out[out.length - 1];
+    if (last?.color === color) last.text += ch;
+    else out.push(span(ch, { color }));
+  });
+  return out;
+}
+
+const markers = ({ min, max, minAt, maxAt }: ReturnType<typeof extremes>, labels?: string[]) => {
+  const at = (i: number) => (labels ? labels[i] : `#${i + 1}`);
+  return line(
+    span(`▲ max ${formatNumber(max)}`, { color: MAX_COLOR }),
+    span(` (${at(maxAt)})  `, { dim: true }),
+    span(`▼ min ${formatNumber(min)}`, { color: MIN_COLOR }),
+    span(` (${at(minAt)})`, { dim: true })
+  );
+};
+
+// -----------------------------------------------------------------------------
+// Charts
+// -----------------------------------------------------------------------------
+
+/** ▁▂▃▅▇ plus a dim "min · max · last" summary, within `width` columns. */
+export function sparkline({ values }: Series, width: number): OutputLine[] {
+  const summary = `  min ${formatNumber(Math.min(...values))} · max ${formatNumber(Math.max(...values))} · last ${formatNumber(values[values.length - 1])} · n=${values.length}`;
+  const points = resample(values, Math.max(8, width - summary.length));
+  const { min, max, minAt, maxAt } = extremes(points);
+  const chars = points.map((v) => SPARK[max === min ? 3 : Math.round(((v - min) / (max - min)) * 7)]);
+  const colors = (i: number) => (i === maxAt ? MAX_COLOR : i === minAt && min !== max ? MIN_COLOR : undefined);
+  return [line(...colorRun(chars, colors), span(summary, { dim: true }))];
+}
+
+/** One horizontal bar per value, scaled from 0 (or the minimum if negative). */
+export function barChart({ values, labels }: Series, width: number): OutputLine[] {
+  const names = values.map((_, i) => labels?.[i] ?? String(i + 1));
+  const nameW = Math.min(24, Math.max(...names.map((n) => n.length)));
+  const nums = values.map(formatNumber);
+  const numW = Math.max(...nums.map((n) => n.length));
+  const ext = extremes(values);
+  const base = Math.min(0, ext.min);
+  const barW = Math.max(4, width - nameW - numW - 4);
+  const scale = ext.max === base ? 0 : (barW * 8) / (ext.max - base);
+
+  const rows = values.map((v, i) => {
+    const eighths = Math.round((v - base) * scale);
+    const bar = "█".repeat(Math.floor(eighths / 8)) + EIGHTHS[eighths % 8];
+    const color = i === ext.maxAt ? MAX_COLOR : i === ext.minAt && ext.min !== ext.max ? MIN_COLOR : "cyan";
+    const name = names[i].length > nameW ? `${names[i].slice(0, nameW - 1)}…` : names[i];
+    return line(
+      `${name.padEnd(nameW)} `,
+      span("│", { dim: true }),
+      span(bar, { color }),
+      ` ${nums[i]}`
+    );
+  });
+  const lo = formatNumber(base);
+  const hi = formatNumber(ext.max);
+  return [
+    ...rows,
+    line(span(`${" ".repeat(nameW + 1)}└${"─".repeat(barW)}`, { dim: true })),
+    line(span(`${" ".repeat(nameW + 2)}${lo}${hi.padStart(Math.max(1, barW - lo.length))}`, { dim: true })),
+    markers(ext, labels),
+  ];
+}
+
+/** Braille line chart: `height` rows of 4 dots, 2 dots per column. */
+export function lineChart({ values, labels }: Series, width: number, height = 8): OutputLine[] {
+  const ext = extremes(values);
+  const { min, max } = ext;
+  const axis = [formatNumber(max), formatNumber((max + min) / 2), formatNumber(min)];
+  const labelW = Math.max(...axis.map((a) => a.length));
+  const cols = Math.max(4, width - labelW - 2);
+  const dotsX = cols * 2;
+  const dotsY = height * 4;
+
+  // Dot grid, then connect consecutive points so steep moves stay continuous
+  const grid = Array.from({ length: dotsY }, () => new Uint8Array(dotsX));
+  const toX = (i: number) => (values.length === 1 ? 0 : Math.round((i * (dotsX - 1)) / (values.length - 1)));
+  const toY = (v: number) => dotsY - 1 - (max === min ? dotsY >> 1 : Math.round(((v - min) / (max - min)) * (dotsY - 1)));
+  values.forEach((v, i) => {
+    const x1 = toX(i);
+    const y1 = toY(v);
+    if (i === 0) {
+      grid[y1][x1] = 1;
+      return;
+    }
+    const x0 = toX(i - 1);
+    const y0 = toY(values[i - 1]);
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    for (let s = 0; s <= steps; s++) {
+      grid[Math.round(y0 + ((y1 - y0) * s) / steps)][Math.round(x0 + ((x1 - x0) * s) / steps)] = 1;
+    }
+  });
+
+  // Braille dot bits by [row][column] inside a 2×4 cell
+  const BITS = [
+    [0x01, 0x08],
+    [0x02, 0x10],
+    [0x04, 0x20],
+    [0x40, 0x80],
+  ];
+  const cellOf = (i: number) => ({ row: Math.floor(toY(values[i]) / 4), col: Math.floor(toX(i) / 2) });
+  const maxCell = cellOf(ext.maxAt);
+  const minCell = cellOf(ext.minAt);
+  const mid = Math.floor((height - 1) / 2);
+
+  const rows: OutputLine[] = [];
+  for (let row = 0; row < height; row++) {
+    const chars = Array.from({ length: cols }, (_, col) => {
+      let bits = 0;
+      for (let dy = 0; dy < 4; dy++) {
+        for (let dx = 0; dx < 2; dx++) if (grid[row * 4 + dy][col * 2 + dx]) bits |= BITS[dy][dx];
+      }
+      return String.fromCharCode(0x2800 + bits);
+    });
+    const label = row === 0 ? axis[0] : row === height - 1 ? axis[2] : row === mid ? axis[1] : "";
+    const colorAt = (col: number) =>
+      row === maxCell.row && col === maxCell.col
+        ? MAX_COLOR
+        : min !== max && row === minCell.row && col === minCell.col
+          ? MIN_COLOR
+          : undefined;
+    rows.push(line(span(`${label.padStart(labelW)} ${label ? "┤" : "│"}`, { dim: true }), ...colorRun(chars, colorAt)));
+  }
+
+  const first = labels?.[0] ?? "1";
+  const last = labels?.[values.length - 1] ?? String(values.length);
+  return [
+    ...rows,
+    line(span(`${" ".repeat(labelW + 1)}└${"─".repeat(cols)}`, { dim: true })),
+    line(span(`${" ".repeat(labelW + 2)}${first}${values.length > 1 ? last.padStart(Math.max(1, cols - first.length)) : ""}`, { dim: true })),
+    markers(ext, labels),
+  ];
+}
+
+// -----------------------------------------------------------------------------
+// Command
+// -----------------------------------------------------------------------------
+
+/** Series and a title from the command line: numbers, a project, or a file. */
+function readSource(api: CmdAPI, source: string[]): { series: Series; title?: string } {
+  if (!source.length) {
+    if (!api.stdin) {
+      throw new CommandError("plot: nothing to plot (try: plot systematic-backtester, plot 3 1 4 1 5, cat spark.json | plot)", 2);
+    }
+    return { series: parseSeries(api.stdin.join("\n")) };
+  }
+  if (source.every((s) => !Number.isNaN(Number(s)))) return { series: { values: source.map(Number) } };
+  if (source.length > 1) throw new CommandError(`plot: expected numbers, a project or one file, got '${source.join(" ")}'`, 2);
+
+  const project = projectData.projects.find((p) => projectSlug(p.href) === source[0]);
+  if (project) return { series: { values: project.spark }, title: project.title };
+  const path = resolvePath(api.cwd, source[0]);
+  if (!api.fs.stat(path)) throw new CommandError(`plot: ${source[0]}: not a project, file or number`);
+  return { series: parseSeries(api.fs.read("plot", path).join("\n")), title: path };
+}
+
+export function createPlotCommands(): Record<string, CommandSpec> {
+  return {
+    plot: {
+      description: "Chart numbers: a project's spark, a JSON file or piped values",
+      usage: "[project|file|numbers...] [--type line|bar|spark] [--width N] [--height N]",
+      args: [
+        {
+          name: "source",
+          optional: true,
+          variadic: true,
+          description: "Project slug, JSON file, or numbers (default: stdin)",
+          complete: (partial, ctx) => [...projectSlugs(), ...ctx.fs.complete(ctx.cwd, partial)],
+        },
+      ],
+      flags: [
+        { name: "type", short: "t", type: "string", choices: CHART_TYPES, description: "Chart type (default: line, bar for labeled data)" },
+        { name: "width", short: "w", type: "number", valueName: "N", description: "Columns to use (default: overlay width)" },
+        { name: "height", type: "number", valueName: "N", default: 8, description: "line: rows" },
+      ],
+      examples: [
+        "plot systematic-backtester",
+        "plot 3 1 4 1 5 9 2 6 --type bar",
+        "cat /projects/mlms/spark.json | plot -t spark",
+      ],
+      run: (_args, api) => {
+        const { series, title } = readSource(api, api.params.source as string[]);
+        if (!series.values.length) throw new CommandError("plot: no numbers found in the input");
+
+        const requested = api.flags.width as number | undefined;
+        const width = Math.max(16, Math.min(api.columns, requested ?? api.columns));
+        const height = Math.max(2, Math.min(24, Math.round(api.flags.height as number)));
+        const type = (api.flags.type as string | undefined) ?? (series.labels && series.values.length <= 30 ? "bar" : "line");
+
+        const chart =
+          type === "spark"
+            ? sparkline(series, width)
+            : type === "bar"
+              ? barChart(series, width)
+              : lineChart(series, width, height);
+        return title && type !== "spark" ? [line(span(title, { bold: true })), ...chart] : chart;
+      },
+    },
+  };
+}
+
+/** Loaded on first use by ./plugins.ts. */
+export const plotPlugin: TerminalPlugin = {
+  name: "plot",
+  description: "Sparkline, bar and braille line charts",
+  commands: createPlotCommands(),
+};
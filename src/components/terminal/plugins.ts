@@ -0,0 +1,249 @@
+/**
+ * src/components/terminal/plugins.ts
+ * -----------------------------------------------------------------------------
+ * Terminal plugins: bundles of commands (plus completers and a boot hook)
+ * registered once for every TerminalSession on the page, instead of being
+ * passed into each island through `commands`.
+ *
+ *   registerPlugin({
+ *     name: "weather",
+ *     commands: { weather: { description: "Forecast", run: () => "☀ 21°C" } },
+ *     completers: { open: () => ["https://wttr.in"] },
+ *     onBoot: (session) => session.setEnv("CITY", "Toronto"),
+ *   });
+ *
+ * A plugin can also be registered lazily: describe its commands (enough for
+ * `help` and command-name completion) and give a `load` that imports the
+ * real thing. The module is fetched the first time one of its commands runs,
+ * completes an argument or is looked up with `help <cmd>`:
+ *
+ *   registerPlugin({
+ *     name: "gh",
+ *     commands: { gh: { description: "GitHub activity", group: "GitHub" } },
+ *     load: () => import("./gh").then((m) => m.githubPlugin),
+ *   });
+ *
+ * `gh` and `plot` ship this way (see the bottom of this file), so their code
+ * and data cost nothing until used. `plugins` lists what is registered.
+ *
+ * Design Notes
+ * ------------
+ * - The registry is module state shared by every session. Sessions compare
+ *   `pluginRevision()` with the one they built their command table from and
+ *   rebuild when it moved, so plugins registered (or loaded) later show up
+ *   everywhere without subscriptions to clean up.
+ * - Session commands passed through `commands` still win over plugins.
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import { badge, line, span, table, type RichLine } from "./output";
+import { toSpec, type CommandSpec, type Completer } from "./spec";
+import type { CommandRegistry, TerminalSession } from "./TerminalSession";
+
+// -----------------------------------------------------------------------------
+// Types
+// -----------------------------------------------------------------------------
+
+export interface TerminalPlugin {
+  name: string;
+  description?: string;
+  commands?: CommandRegistry;
+  /**
+   * Extra Tab completion by command name (any command, not only the
+   * plugin's own). Used when the command's spec has nothing to offer for the
+   * word being typed.
+   */
+  completers?: Record<string, Completer>;
+  /** Runs once per session: when it is created, or when a lazy plugin loads. */
+  onBoot?: (session: TerminalSession) => void | Promise<void>;
+}
+
+/** What `help` shows for a lazy plugin's command before it loads. */
+export type PluginCommandInfo = Pick<CommandSpec, "description" | "usage" | "group" | "hidden">;
+
+export interface LazyPlugin {
+  name: string;
+  description?: string;
+  commands: Record<string, PluginCommandInfo>;
+  load: () => Promise<TerminalPlugin>;
+}
+
+export interface PluginInfo {
+  name: string;
+  description: string;
+  commands: string[];
+  loaded: boolean;
+}
+
+interface Entry {
+  description: string;
+  /** Command descriptions of a lazy plugin that has not loaded yet. */
+  stubs: Record<string, PluginCommandInfo>;
+  load: (() => Promise<TerminalPlugin>) | null;
+  loading: Promise<TerminalPlugin> | null;
+  plugin: TerminalPlugin | null;
+}
+
+// -----------------------------------------------------------------------------
+// Registry
+// -----------------------------------------------------------------------------
+
+const entries = new Map<string, Entry>();
+let revision = 0;
+
+const isLazy = (plugin: TerminalPlugin | LazyPlugin): plugin is LazyPlugin =>
+  typeof (plugin as LazyPlugin).load === "function";
+
+/**
+ * Register (or replace) a plugin for every session. Returns a function that
+ * unregisters it again.
+ */
+export function registerPlugin(plugin: TerminalPlugin | LazyPlugin): () => void {
+  const entry: Entry = isLazy(plugin)
+    ? { description: plugin.description ?? "", stubs: plugin.commands, load: plugin.load, loading: null, plugin: null }
+    : { description: plugin.description ?? "", stubs: {}, load: null, loading: null, plugin };
+  entries.set(plugin.name, entry);
+  revision++;
+  return () => {
+    if (entries.get(plugin.name) !== entry) return;
+    entries.delete(plugin.name);
+    revision++;
+  };
+}
+
+/** Bumped whenever a plugin is registered, removed or loaded. */
+export const pluginRevision = () => revision;
+
+export const isPluginLoaded = (name: string) => !!entries.get(name)?.plugin;
+
+/** Load a lazy plugin (once; concurrent callers share the import). */
+export function loadPlugin(name: string): Promise<TerminalPlugin> {
+  const entry = entries.get(name);
+  if (!entry) return Promise.reject(new CommandError(`plugins: unknown plugin: ${name}`));
+  if (entry.plugin) return Promise.resolve(entry.plugin);
+  entry.loading ??= entry.load!().then(
+    (plugin) => {
+      entry.plugin = plugin;
+      revision++;
+      return plugin;
+    },
+    (err) => {
+      // Let the next invocation retry (e.g. a chunk that failed to download)
+      entry.loading = null;
+      throw new CommandError(`${name}: plugin failed to load: ${err?.message || err}`);
+    }
+  );
+  return entry.loading;
+}
+
+/**
+ * Command table contributed by plugins: the real specs of loaded plugins,
+ * and stand-ins (tagged with `plugin`) for lazy ones that have not loaded.
+ */
+export function pluginCommands(): Record<string, CommandSpec> {
+  const out: Record<string, CommandSpec> = {};
+  for (const [name, entry] of entries) {
+    if (entry.plugin) {
+      for (const [cmd, value] of Object.entries(entry.plugin.commands ?? {})) {
+        out[cmd] = { ...toSpec(value), plugin: name };
+      }
+      continue;
+    }
+    for (const [cmd, info] of Object.entries(entry.stubs)) {
+      out[cmd] = {
+        ...info,
+        plugin: name,
+        // The session loads the plugin before running; this only fires if it could not
+        run: () => {
+          throw new CommandError(`${cmd}: plugin ${name} is not loaded`);
+        },
+      };
+    }
+  }
+  return out;
+}
+
+/** Completers loaded plugins add for `command`. */
+export function pluginCompleters(command: string): Completer[] {
+  return [...entries.values()].flatMap((e) => {
+    const fn = e.plugin?.completers?.[command];
+    return fn ? [fn] : [];
+  });
+}
+
+/** Loaded plugins, in registration order. */
+export const loadedPlugins = (): TerminalPlugin[] =>
+  [...entries.values()].flatMap((e) => (e.plugin ? [e.plugin] : []));
+
+export function listPlugins(): PluginInfo[] {
+  return [...entries].map(([name, entry]) => ({
+    name,
+    description: entry.plugin?.description || entry.description,
+    commands: Object.keys(entry.plugin ? entry.plugin.commands ?? {} : entry.stubs).sort(),
+    loaded: !!entry.plugin,
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// Command
+// -----------------------------------------------------------------------------
+
+export function createPluginCommands(): Record<string, CommandSpec> {
+  return {
+    plugins: {
+      description: "List plugins: loaded, and available to load on first use",
+      flags: [{ name: "load", short: "l", description: "Load every available plugin now" }],
+      run: async (_args, api) => {
+        if (api.flags.load) await Promise.all(listPlugins().filter((p) => !p.loaded).map((p) => loadPlugin(p.name)));
+        const plugins = listPlugins();
+        if (!plugins.length) return "No plugins registered.";
+        const rows = plugins.map((p) => [
+          p.name,
+          p.loaded ? span("loaded", { color: "green" }) : span("available", { dim: true }),
+          p.commands.join(", "),
+          p.description,
+        ]);
+        const loaded = plugins.filter((p) => p.loaded).length;
+        const out: RichLine[] = [
+          ...table(["PLUGIN", "STATUS", "COMMANDS", "DESCRIPTION"], rows),
+          line(),
+          line(
+            badge(`${loaded}/${plugins.length}`),
+            span(" loaded. Available plugins load the first time one of their commands runs.", { dim: true })
+          ),
+        ];
+        return out;
+      },
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Bundled plugins
+// -----------------------------------------------------------------------------
+
+registerPlugin({
+  name: "gh",
+  description: "GitHub activity, repos, languages and stars",
+  commands: {
+    gh: {
+      group: "GitHub",
+      description: "GitHub activity, repos, languages and stars",
+      usage: "<events|repo|langs|stars|rate> [repo] [options]",
+    },
+  },
+  load: () => import("./gh").then((m) => m.githubPlugin),
+});
+
+registerPlugin({
+  name: "plot",
+  description: "Sparkline, bar and braille line charts",
+  commands: {
+    plot: {
+      description: "Chart numbers: a project's spark, a JSON file or piped values",
+      usage: "[project|file|numbers...] [--type line|bar|spark] [--width N] [--height N]",
+    },
+  },
+  load: () => import("./plot").then((m) => m.plotPlugin),
+});
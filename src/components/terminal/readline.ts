@@ -0,0 +1,155 @@
+/**
+ * src/components/terminal/readline.ts
+ * -----------------------------------------------------------------------------
+ * Emacs-style line editing for the terminal input, as pure functions over
+ * `{ value, cursor }` so the hook can keep its controlled `input` state:
+ *
+ *   Ctrl+A / Ctrl+E     start / end of line
+ *   Alt+B / Alt+F       back / forward one word
+ *   Ctrl+W              kill the word before the cursor
+ *   Ctrl+U / Ctrl+K     kill to start / end of line
+ *   Ctrl+Y              yank (paste) the last kill
+ *
+ * Kills go to a small kill ring; consecutive kills join into one entry, as
+ * in readline, so Ctrl+W Ctrl+W Ctrl+Y puts both words back.
+ * -----------------------------------------------------------------------------
+ */
+
+export interface LineState {
+  value: string;
+  cursor: number;
+}
+
+export type EditAction =
+  | "start"
+  | "end"
+  | "word-back"
+  | "word-forward"
+  | "kill-word"
+  | "kill-start"
+  | "kill-end"
+  | "yank";
+
+const KILLS: EditAction[] = ["kill-word", "kill-start", "kill-end"];
+
+export const isKill = (action: string | null) => KILLS.includes(action as EditAction);
+
+/** The readline action for a key event, or null. */
+export function editAction(e: {
+  key: string;
+  code?: string;
+  ctrlKey: boolean;
+  altKey: boolean;
+  metaKey: boolean;
+  shiftKey?: boolean;
+}): EditAction | null {
+  if (e.metaKey) return null;
+  if (e.ctrlKey && !e.altKey) {
+    switch (e.key.toLowerCase()) {
+      case "a":
+        return "start";
+      case "e":
+        return "end";
+      case "w":
+        return "kill-word";
+      case "u":
+        return "kill-start";
+      case "k":
+        return "kill-end";
+      case "y":
+        return "yank";
+    }
+    return null;
+  }
+  // Alt+letter types a symbol on macOS ("∫"), so match the physical key
+  if (e.altKey && !e.ctrlKey) {
+    if (e.code === "KeyB" || e.key === "b") return "word-back";
+    if (e.code === "KeyF" || e.key === "f") return "word-forward";
+  }
+  return null;
+}
+
+const isWordChar = (ch: string) => /[\p{L}\p{N}_]/u.test(ch);
+
+/** Start of the alphanumeric word before `cursor` (Alt+B). */
+export function wordBack(value: string, cursor: number): number {
+  let i = cursor;
+  while (i > 0 && !isWordChar(value[i - 1])) i--;
+  while (i > 0 && isWordChar(value[i - 1])) i--;
+  return i;
+}
+
+/** End of the alphanumeric word after `cursor` (Alt+F). */
+export function wordForward(value: string, cursor: number): number {
+  let i = cursor;
+  while (i < value.length && !isWordChar(value[i])) i++;
+  while (i < value.length && isWordChar(value[i])) i++;
+  return i;
+}
+
+/** Start of the whitespace-delimited word before `cursor` (Ctrl+W). */
+function bigWordBack(value: string, cursor: number): number {
+  let i = cursor;
+  while (i > 0 && /\s/.test(value[i - 1])) i--;
+  while (i > 0 && !/\s/.test(value[i - 1])) i--;
+  return i;
+}
+
+/** Recently killed text, newest last. */
+export class KillRing {
+  private entries: string[] = [];
+
+  constructor(private max = 10) {}
+
+  /**
+   * Remember killed text. With `join`, it extends the newest entry instead
+   * (before it for backward kills, after it for forward ones).
+   */
+  push(text: string, join: "before" | "after" | false = false) {
+    if (!text) return;
+    const last = this.entries.length - 1;
+    if (join && last >= 0) {
+      this.entries[last] = join === "before" ? text + this.entries[last] : this.entries[last] + text;
+      return;
+    }
+    this.entries = [...this.entries, text].slice(-this.max);
+  }
+
+  /** Newest entry ("" when empty). */
+  yank(): string {
+    return this.entries[this.entries.length - 1] ?? "";
+  }
+}
+
+/**
+ * Apply `action` to the line. `joinKill` continues the previous kill (the
+ * last key was a kill too).
+ */
+export function applyEdit(state: LineState, action: EditAction, ring: KillRing, joinKill = false): LineState {
+  const { value, cursor } = state;
+  const kill = (from: number, to: number, direction: "before" | "after"): LineState => {
+    ring.push(value.slice(from, to), joinKill && direction);
+    return { value: value.slice(0, from) + value.slice(to), cursor: from };
+  };
+
+  switch (action) {
+    case "start":
+      return { value, cursor: 0 };
+    case "end":
+      return { value, cursor: value.length };
+    case "word-back":
+      return { value, cursor: wordBack(value, cursor) };
+    case "word-forward":
+      return { value, cursor: wordForward(value, cursor) };
+    case "kill-word":
+      return kill(bigWordBack(value, cursor), cursor, "before");
+    case "kill-start":
+      return kill(0, cursor, "before");
+    case "kill-end":
+      return kill(cursor, value.length, "after");
+    case "yank": {
+      const text = ring.yank();
+      return { value: value.slice(0, cursor) + text + value.slice(cursor), cursor: cursor + text.length };
+    }
+  }
+}
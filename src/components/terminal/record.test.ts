@@ -0,0 +1,80 @@
+/**
+ * src/components/terminal/record.test.ts
+ * -----------------------------------------------------------------------------
+ * Cast files, the screen model and replay: `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { CommandError } from "./errors";
+import { parseCast, Screen, toCastText, type Cast } from "./record";
+import { TerminalSession } from "./TerminalSession";
+import { dir, file, VirtualFS } from "./vfs";
+
+const header = { version: 2, width: 80, height: 24 } as const;
+const castText = (events: unknown[]) => [JSON.stringify(header), ...events.map((e) => JSON.stringify(e))].join("\n");
+
+test("parseCast rejects a missing or malformed header", () => {
+  const cases = [
+    "",
+    "not json",
+    JSON.stringify({ version: 1, width: 80, height: 24 }),
+    JSON.stringify([0, "o", "hi"]),
+    `${JSON.stringify(header)}\n[0, "o", "unterminated`,
+  ];
+  for (const text of cases) {
+    assert.throws(() => parseCast(text, "demo"), (err) => {
+      assert.ok(err instanceof CommandError, text);
+      assert.equal(err.message, "replay: demo: not an asciicast v2 file");
+      return true;
+    });
+  }
+});
+
+test("parseCast round-trips toCastText and skips entries that are not events", () => {
+  const cast: Cast = { header, events: [[0, "o", "a\r\n"], [0.5, "i", "ls\r"], [1.25, "o", "b\r\n"]] };
+  assert.deepEqual(parseCast(toCastText(cast)), cast);
+  assert.deepEqual(parseCast(castText([[0, "o", "a"], { t: 1 }, ["1", "o", "b"], [1, "o"], [2, "o", "c"]])).events, [
+    [0, "o", "a"],
+    [2, "o", "c"],
+  ]);
+});
+
+test("parseCast keeps out-of-order events in file order on a clock that never runs backwards", () => {
+  const { events } = parseCast(castText([[1, "o", "a"], [0.5, "o", "b"], [-3, "o", "c"], [2, "o", "d"]]));
+  assert.deepEqual(events, [
+    [1, "o", "a"],
+    [1, "o", "b"],
+    [1, "o", "c"],
+    [2, "o", "d"],
+  ]);
+});
+
+test("Screen: cursor moves, line and below-cursor erase, clear", () => {
+  const screen = new Screen();
+  screen.write("one\r\ntwo\r\nthree\r\n");
+  screen.write("\x1b[2A\r\x1b[2KTWO\x1b[2B\r");
+  assert.deepEqual(screen.lines, ["one", "TWO", "three"]);
+  screen.write("\x1b[1A\r\x1b[J");
+  assert.deepEqual(screen.lines, ["one", "TWO"]);
+  screen.write("\x1b[31mred\x1b[0m");
+  assert.deepEqual(screen.lines, ["one", "TWO", "\x1b[31mred\x1b[0m"]);
+  screen.write("\x1b[2J\x1b[Hafter\r\n");
+  assert.deepEqual(screen.lines, ["after"]);
+  assert.equal(screen.clears, 1);
+});
+
+test("a recorded clear only removes the replay's own lines", async () => {
+  // All at t=0, so the replay never sleeps
+  const cast = castText([
+    [0, "o", "one\r\ntwo\r\n"],
+    [0, "o", "\x1b[2J\x1b[H"],
+    [0, "o", "three\r\n"],
+  ]);
+  const session = new TerminalSession({ initialLines: [], fs: new VirtualFS(dir({ "demo.cast": file(cast) })) });
+  await session.execute("echo before");
+  assert.equal(await session.execute("replay demo.cast"), 0);
+  assert.deepEqual(session.lines, ["$ echo before", "before", "$ replay demo.cast", "three"]);
+});
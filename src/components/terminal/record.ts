@@ -0,0 +1,416 @@
+/**
+ * src/components/terminal/record.ts
+ * -----------------------------------------------------------------------------
+ * Session recordings for demos and walkthroughs.
+ *
+ *   record start [name]        capture input, output and timing from here on
+ *   record stop                save it (localStorage) under its name
+ *   record list | rm <name>
+ *   record export <name> [--format cast|txt] [--print]
+ *   replay <name|file|url> [--speed 2] [--idle 1]
+ *
+ * Recordings are asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/):
+ * a JSON header line, then one `[seconds, "o"|"i", data]` event per line.
+ * Output is written as ANSI text, in-place updates move the cursor up and
+ * rewrite the line, so the files also play in asciinema itself.
+ *
+ * `replay` plays a cast back into the scrollback as the command's own output
+ * (it never runs the recorded commands), from a saved recording, a file in
+ * the virtual filesystem or a URL, e.g. a scripted walkthrough in /public.
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import { defaultStorage, type KeyValueStorage } from "./history";
+import { plainText, table, toAnsi } from "./output";
+import type { CommandSpec } from "./spec";
+import type { CmdAPI, LiveLine, TerminalSession } from "./TerminalSession";
+import { resolvePath } from "./vfs";
+
+export const RECORDINGS_KEY = "terminal:recordings";
+
+/** Rows announced in cast headers (the overlay has no fixed height). */
+const CAST_ROWS = 24;
+
+export interface CastHeader {
+  version: 2;
+  width: number;
+  height: number;
+  timestamp?: number;
+  duration?: number;
+  title?: string;
+  env?: Record<string, string>;
+}
+
+/** `[seconds since start, "o" (output) | "i" (input) | other, data]`. */
+export type CastEvent = [number, string, string];
+
+export interface Cast {
+  header: CastHeader;
+  events: CastEvent[];
+}
+
+// -----------------------------------------------------------------------------
+// Recording
+// -----------------------------------------------------------------------------
+
+/** Follows a session's events and turns them into asciicast events. */
+export class Recorder {
+  private events: CastEvent[] = [];
+  private started = Date.now();
+  private unsubscribe: (() => void)[];
+
+  constructor(
+    private session: TerminalSession,
+    readonly name: string
+  ) {
+    const at = () => (Date.now() - this.started) / 1000;
+    this.unsubscribe = [
+      session.on("input", (line) => this.events.push([at(), "i", `${line}\r`])),
+      session.on("output", (lines) => {
+        const rich = session.richLines.slice(-lines.length);
+        this.events.push([at(), "o", rich.map((l) => `${toAnsi(l)}\r\n`).join("")]);
+      }),
+      session.on("update", ({ index }) => {
+        // Cursor up to the line, rewrite it, and back down
+        const up = session.lines.length - index;
+        this.events.push([at(), "o", `\x1b[${up}A\r\x1b[2K${toAnsi(session.richLines[index])}\x1b[${up}B\r`]);
+      }),
+      session.on("clear", () => this.events.push([at(), "o", "\x1b[2J\x1b[H"])),
+      // Back up to the first removed line and erase below
+      session.on("truncate", ({ count }) => this.events.push([at(), "o", `\x1b[${count}A\r\x1b[J`])),
+    ];
+  }
+
+  /** Stop listening. Events from the last submitted line (`record stop`) are dropped. */
+  stop(): Cast {
+    this.unsubscribe.forEach((fn) => fn());
+    let lastInput = -1;
+    this.events.forEach((e, i) => e[1] === "i" && (lastInput = i));
+    const events = lastInput >= 0 ? this.events.slice(0, lastInput) : this.events;
+    return {
+      header: {
+        version: 2,
+        width: this.session.columns,
+        height: CAST_ROWS,
+        timestamp: Math.floor(this.started / 1000),
+        duration: events.length ? events[events.length - 1][0] : 0,
+        title: this.name,
+        env: { TERM: "xterm-256color", SHELL: "/bin/sh" },
+      },
+      events,
+    };
+  }
+}
+
+const recorders = new WeakMap<TerminalSession, Recorder>();
+
+// -----------------------------------------------------------------------------
+// Cast files
+// -----------------------------------------------------------------------------
+
+export function toCastText(cast: Cast): string {
+  return [JSON.stringify(cast.header), ...cast.events.map((e) => JSON.stringify([+e[0].toFixed(3), e[1], e[2]]))].join("\n") + "\n";
+}
+
+/**
+ * Header and events of an asciicast v2 file. Entries that are not
+ * `[time, type, data]` are skipped, and a time earlier than the one before
+ * it is raised to it, so replay never waits on a clock that ran backwards.
+ */
+export function parseCast(text: string, source = "recording"): Cast {
+  const [first, ...rest] = text.split("\n").filter((l) => l.trim());
+  try {
+    const header = JSON.parse(first);
+    if (header?.version !== 2) throw new Error();
+    let clock = 0;
+    const events: CastEvent[] = rest
+      .map((l) => JSON.parse(l))
+      .filter((e) => Array.isArray(e) && Number.isFinite(e[0]) && typeof e[2] === "string")
+      .map(([time, type, data]) => [(clock = Math.max(clock, time)), String(type), data]);
+    return { header, events };
+  } catch {
+    throw new CommandError(`replay: ${source}: not an asciicast v2 file`);
+  }
+}
+
+// Cursor moves, line and below-cursor erase, and clear screen: what
+// recordings (and most shells' prompts) use. Other escapes are skipped; SGR
+// stays in the text.
+// eslint-disable-next-line no-control-regex
+const TOKEN_RE = /\x1b\[([\d;?]*)([A-Za-z])|\r\n|\n|\r|[^\x1b\r\n]+|\x1b/g;
+
+/** Minimal terminal model: rows of text and the cursor row. */
+export class Screen {
+  rows: string[] = [""];
+  row = 0;
+  private overwrite = false;
+  /** Bumped on clear so renderers know to start over. */
+  clears = 0;
+
+  write(data: string) {
+    TOKEN_RE.lastIndex = 0;
+    let m: RegExpExecArray | null;
+    while ((m = TOKEN_RE.exec(data))) {
+      const [tok, params, cmd] = m;
+      const n = Math.max(1, Number(params) || 1);
+      if (cmd === "m") this.text(tok);
+      else if (cmd === "A") this.row = Math.max(0, this.row - n);
+      else if (cmd === "B") this.moveDown(n);
+      else if (cmd === "K") this.rows[this.row] = "";
+      else if (cmd === "J" && (params === "" || params === "0")) {
+        this.rows = this.rows.slice(0, this.row + 1);
+        this.rows[this.row] = "";
+      }
+      else if (cmd === "J" && params === "2") {
+        this.rows = [""];
+        this.row = 0;
+        this.clears++;
+      } else if (cmd === "H") this.row = 0;
+      else if (cmd) continue;
+      else if (tok === "\r\n" || tok === "\n") {
+        this.moveDown(1);
+        this.overwrite = false;
+      } else if (tok === "\r") this.overwrite = true;
+      else if (tok !== "\x1b") this.text(tok);
+    }
+  }
+
+  /** Finished lines plus the cursor line when it has text. */
+  get lines(): string[] {
+    const last = this.rows.length - 1;
+    return this.row === last && !this.rows[last] ? this.rows.slice(0, last) : this.rows.slice();
+  }
+
+  private text(text: string) {
+    this.rows[this.row] = this.overwrite ? text : this.rows[this.row] + text;
+    this.overwrite = false;
+  }
+
+  private moveDown(n: number) {
+    this.row += n;
+    while (this.rows.length <= this.row) this.rows.push("");
+  }
+}
+
+/** Plain-text transcript of a cast (final screen, escapes removed). */
+export function transcript(cast: Cast): string[] {
+  const screen = new Screen();
+  cast.events.forEach(([, type, data]) => type === "o" && screen.write(data));
+  return screen.lines.map((l) => plainText(l));
+}
+
+// -----------------------------------------------------------------------------
+// Storage / export
+// -----------------------------------------------------------------------------
+
+type Saved = Record<string, string>;
+
+function loadRecordings(storage: KeyValueStorage | null = defaultStorage()): Saved {
+  if (!storage) return {};
+  try {
+    const parsed = JSON.parse(storage.getItem(RECORDINGS_KEY) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveRecordings(saved: Saved, storage: KeyValueStorage | null = defaultStorage()): boolean {
+  if (!storage) return false;
+  try {
+    if (Object.keys(saved).length) storage.setItem(RECORDINGS_KEY, JSON.stringify(saved));
+    else storage.removeItem(RECORDINGS_KEY);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const recordingNames = () => Object.keys(loadRecordings()).sort();
+
+/** Offer `text` as a file download; false outside a browser. */
+export function download(filename: string, text: string, type = "text/plain"): boolean {
+  if (typeof document === "undefined" || typeof URL.createObjectURL !== "function") return false;
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return true;
+}
+
+const seconds = (s: number) => `${s.toFixed(1)}s`;
+
+function savedCast(name: string, cmd: string): Cast {
+  const text = loadRecordings()[name];
+  if (!text) throw new CommandError(`${cmd}: ${name}: no such recording (see record list)`);
+  return parseCast(text, name);
+}
+
+// -----------------------------------------------------------------------------
+// Replay
+// -----------------------------------------------------------------------------
+
+/** A saved recording, a VFS file, or a URL / site path to fetch. */
+async function readCast(api: CmdAPI, source: string): Promise<Cast> {
+  if (loadRecordings()[source]) return savedCast(source, "replay");
+  const path = resolvePath(api.cwd, source);
+  if (api.fs.stat(path)) return parseCast(api.fs.read("replay", path).join("\n"), source);
+  if (/^(https?:\/\/|\/)/.test(source)) {
+    const res = await fetch(source, { signal: api.signal });
+    if (!res.ok) throw new CommandError(`replay: ${source}: ${res.status} ${res.statusText}`);
+    return parseCast(await res.text(), source);
+  }
+  throw new CommandError(`replay: ${source}: no such recording or file`);
+}
+
+async function replay(api: CmdAPI, cast: Cast, speed: number, idle: number) {
+  const screen = new Screen();
+  // A recorded clear only wipes what the replay drew, not the visitor's scrollback
+  const rewind = api.checkpoint();
+  let handles: LiveLine[] = [];
+  let shown: string[] = [];
+  let clears = 0;
+  let clock = 0;
+
+  for (const [time, type, data] of cast.events) {
+    if (type !== "o") continue;
+    const wait = Math.min(Math.max(0, time - clock), idle) / speed;
+    clock = time;
+    if (wait > 0.01) await api.sleep(wait * 1000);
+    screen.write(data);
+
+    if (screen.clears !== clears) {
+      clears = screen.clears;
+      handles.forEach((h) => h.done());
+      rewind();
+      handles = [];
+      shown = [];
+    }
+    // Rewrite changed lines in place, append new ones
+    screen.lines.forEach((text, i) => {
+      if (shown[i] === text) return;
+      (handles[i] ??= api.liveLine()).set(text);
+      shown[i] = text;
+    });
+  }
+  handles.forEach((h) => h.done());
+}
+
+// -----------------------------------------------------------------------------
+// Commands
+// -----------------------------------------------------------------------------
+
+export function createRecordCommands(): Record<string, CommandSpec> {
+  return {
+    record: {
+      description: "Record this session (asciicast v2) for demos",
+      usage: "[start [name]|stop|list|export <name>|rm <name>] [--format cast|txt] [--print]",
+      args: [
+        { name: "action", optional: true, choices: ["start", "stop", "list", "export", "rm"] },
+        {
+          name: "name",
+          optional: true,
+          complete: (_partial, ctx) => (["export", "rm"].includes(ctx.words[1]) ? recordingNames() : []),
+        },
+      ],
+      flags: [
+        { name: "format", short: "f", type: "string", choices: ["cast", "txt"], default: "cast", description: "export: asciicast or plain transcript" },
+        { name: "print", short: "p", description: "export: print instead of downloading" },
+      ],
+      examples: ["record start demo", "record stop", "record export demo --format txt", "replay demo --speed 2"],
+      run: (_args, api) => {
+        const action = api.params.action as string | undefined;
+        const name = api.params.name as string | undefined;
+        const active = recorders.get(api.session);
+
+        if (!action) {
+          return active ? `Recording '${active.name}' (record stop to save).` : "Not recording (record start [name]).";
+        }
+
+        if (action === "start") {
+          if (active) throw new CommandError(`record: already recording '${active.name}' (record stop)`);
+          const saved = loadRecordings();
+          let auto = 1;
+          while (saved[`recording-${auto}`]) auto++;
+          const title = name ?? `recording-${auto}`;
+          if (!/^[\w.-]+$/.test(title)) throw new CommandError(`record: '${title}': use letters, digits, . _ -`, 2);
+          api.print(`Recording '${title}'… (record stop to save)`);
+          recorders.set(api.session, new Recorder(api.session, title));
+          return;
+        }
+
+        if (action === "stop") {
+          if (!active) throw new CommandError("record: not recording");
+          recorders.delete(api.session);
+          const cast = active.stop();
+          const kept = saveRecordings({ ...loadRecordings(), [active.name]: toCastText(cast) });
+          const summary = `'${active.name}': ${seconds(cast.header.duration ?? 0)}, ${cast.events.length} events`;
+          if (!kept) {
+            const exported = download(`${active.name}.cast`, toCastText(cast), "application/x-asciicast");
+            return `Could not keep ${summary} in storage${exported ? "; downloaded it instead" : ""}.`;
+          }
+          return [`Saved ${summary}.`, `Try: replay ${active.name} · record export ${active.name}`];
+        }
+
+        if (action === "list") {
+          const saved = loadRecordings();
+          const names = Object.keys(saved).sort();
+          if (!names.length) return "No recordings yet (record start [name]).";
+          return table(
+            ["NAME", "LENGTH", "EVENTS", "RECORDED"],
+            names.map((n) => {
+              const { header, events } = parseCast(saved[n], n);
+              const when = header.timestamp ? new Date(header.timestamp * 1000).toLocaleString() : "";
+              return [n, seconds(header.duration ?? events[events.length - 1]?.[0] ?? 0), String(events.length), when];
+            }),
+            { align: ["left", "right", "right", "left"] }
+          );
+        }
+
+        if (!name) throw new CommandError(`record ${action}: missing recording name\nUsage: record ${action} <name>`, 2);
+
+        if (action === "rm") {
+          const { [name]: gone, ...rest } = loadRecordings();
+          if (!gone) throw new CommandError(`record: ${name}: no such recording`);
+          saveRecordings(rest);
+          return `Removed '${name}'.`;
+        }
+
+        // export
+        const cast = savedCast(name, "record");
+        const txt = api.flags.format === "txt";
+        const lines = txt ? transcript(cast) : toCastText(cast).replace(/\n$/, "").split("\n");
+        if (api.flags.print) return lines;
+        const file = `${name}.${txt ? "txt" : "cast"}`;
+        const ok = download(file, `${lines.join("\n")}\n`, txt ? "text/plain" : "application/x-asciicast");
+        return ok ? `Downloading ${file}…` : lines;
+      },
+    },
+
+    replay: {
+      description: "Play a recording back (saved name, file or URL)",
+      args: [
+        {
+          name: "source",
+          description: "Recording name, .cast file, or URL",
+          complete: (partial, ctx) => [...recordingNames(), ...ctx.fs.complete(ctx.cwd, partial)],
+        },
+      ],
+      flags: [
+        { name: "speed", short: "s", type: "number", valueName: "x", default: 1, description: "Playback speed" },
+        { name: "idle", short: "i", type: "number", valueName: "sec", default: 2, description: "Longest pause" },
+      ],
+      examples: ["replay demo", "replay demo --speed 3", "replay /casts/walkthrough.cast"],
+      run: async (_args, api) => {
+        const speed = api.flags.speed as number;
+        const idle = api.flags.idle as number;
+        if (!(speed > 0)) throw new CommandError("replay: --speed must be positive", 2);
+        const cast = await readCast(api, api.params.source as string);
+        await replay(api, cast, speed, Math.max(0, idle));
+      },
+    },
+  };
+}
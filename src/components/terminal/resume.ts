@@ -0,0 +1,149 @@
+/**
+ * src/components/terminal/resume.ts
+ * -----------------------------------------------------------------------------
+ * `resume` sections rendered straight from src/data/resume.json (the same
+ * source as the Resume page, /resume in the VFS and about/skills/contact):
+ *
+ *   resume                          open the PDF
+ *   resume experience [--since Y]   roles (still active in / after year Y)
+ *   resume education [--since Y]
+ *   resume skills [category]        all categories, or one skill per line
+ *   resume certs [--since Y]
+ *   resume timeline [--since Y]
+ *
+ * `--json` prints the (filtered) data instead, for piping or copying.
+ * -----------------------------------------------------------------------------
+ */
+
+import resume from "../../data/resume.json";
+import { CommandError } from "./errors";
+import { line, span, type OutputLine } from "./output";
+import type { CommandSpec } from "./spec";
+
+export const RESUME_SECTIONS = ["experience", "education", "skills", "certs", "timeline"];
+
+export const skillCategories = () => Object.keys(resume.skills);
+
+/** "Languages", "Frameworks"… */
+const titleCase = (s: string) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Last year a period covers: "August 2023 – February 2024" → 2024,
+ * "February 2025 - Present" → this year, "2023" → 2023.
+ */
+export function periodEnd(period: string): number {
+  if (/present/i.test(period)) return new Date().getFullYear();
+  const years = period.match(/\d{4}/g);
+  return years ? Number(years[years.length - 1]) : NaN;
+}
+
+const bullet = (text: string): OutputLine => line(span("  • ", { dim: true }), text);
+
+/** Skills as "Category: a, b, c" lines (also used by `skills`). */
+export const skillLines = (): OutputLine[] =>
+  Object.entries(resume.skills).map(([cat, list]) => line(span(`${titleCase(cat)}: `, { bold: true }), list.join(", ")));
+
+function section(name: string, category: string | undefined, since: number | undefined) {
+  const recent = <T>(items: T[], year: (item: T) => number) =>
+    since == null ? items : items.filter((item) => year(item) >= since);
+
+  switch (name) {
+    case "experience": {
+      const items = recent(resume.experience, (e) => periodEnd(e.period));
+      return {
+        data: items,
+        render: () =>
+          items.flatMap((e, i) => [
+            ...(i ? [""] : []),
+            line(span(e.role, { bold: true }), " @ ", span(e.company, { color: "cyan" }), span(`  ${e.period}`, { dim: true })),
+            ...e.details.map(bullet),
+          ]),
+      };
+    }
+    case "education": {
+      const items = recent(resume.education, (e) => periodEnd(e.period));
+      return {
+        data: items,
+        render: () =>
+          items.flatMap((e, i) => [
+            ...(i ? [""] : []),
+            line(span(e.degree, { bold: true }), " — ", span(e.institution, { color: "cyan" })),
+            line(span(`  ${e.period}${e.gpa ? ` · GPA ${e.gpa}` : ""}`, { dim: true })),
+            ...(e.achievements ?? []).map(bullet),
+          ]),
+      };
+    }
+    case "skills": {
+      if (category) {
+        const list = (resume.skills as Record<string, string[]>)[category];
+        return { data: list, render: () => list };
+      }
+      return { data: resume.skills, render: skillLines };
+    }
+    case "certs": {
+      const items = recent(resume.certifications, (c) => c.year);
+      return {
+        data: items,
+        render: () =>
+          items.flatMap((c) => [
+            line(span(c.title, { bold: true }), span(` — ${c.issuer}, ${c.year}`, { dim: true })),
+            `  ${c.details}`,
+          ]),
+      };
+    }
+    default: {
+      const items = recent(resume.timeline, (t) => Number(t.year));
+      return {
+        data: items,
+        render: () => items.map((t) => line(span(t.year, { color: "cyan", bold: true }), `  ${t.event}`)),
+      };
+    }
+  }
+}
+
+export function createResumeCommands(): Record<string, CommandSpec> {
+  return {
+    resume: {
+      description: "Open the resume PDF, or print a section",
+      usage: "[experience|education|skills [category]|certs|timeline] [--since YEAR] [--json]",
+      args: [
+        { name: "section", optional: true, choices: RESUME_SECTIONS },
+        {
+          name: "category",
+          optional: true,
+          description: "Skill category (resume skills <category>)",
+          complete: (_partial, ctx) => (ctx.words[1] === "skills" ? skillCategories() : []),
+        },
+      ],
+      flags: [
+        { name: "since", type: "number", valueName: "year", description: "Only entries active in or after year" },
+        { name: "json", description: "Print raw JSON from resume.json" },
+      ],
+      examples: ["resume experience --since 2023", "resume skills languages", "resume timeline --json"],
+      run: (_args, api) => {
+        const name = api.params.section as string | undefined;
+        const category = api.params.category as string | undefined;
+        const since = api.flags.since as number | undefined;
+
+        if (!name) {
+          api.open("/resume.pdf");
+          return "Opening resume… (or try: resume experience, resume skills, resume timeline)";
+        }
+        if (category && name !== "skills") {
+          throw new CommandError(`resume ${name}: unexpected argument '${category}'`, 2);
+        }
+        if (category && !skillCategories().includes(category)) {
+          throw new CommandError(
+            `resume skills: unknown category '${category}' (expected ${skillCategories().join(", ")})`,
+            2
+          );
+        }
+
+        const { data, render } = section(name, category, since);
+        if (api.flags.json) return JSON.stringify(data, null, 2).split("\n");
+        const out = render();
+        return out.length ? out : `No ${name} entries since ${since}.`;
+      },
+    },
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * src/components/terminal/scrollback.test.ts
+ * -----------------------------------------------------------------------------
+ * Viewport windowing and in-scrollback find: `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import type { Span } from "./output";
+import { findLines, markSpans, windowRows, type RowWindow } from "./scrollback";
+
+test("windowRows: visible lines, overscan and spacers", () => {
+  const even = new Array<number>(100).fill(10);
+  const cases: [number[], number, number, number, RowWindow][] = [
+    [even, 0, 30, 0, { start: 0, end: 3, before: 0, after: 970 }],
+    // A partly visible line at either edge is rendered
+    [even, 25, 30, 0, { start: 2, end: 6, before: 20, after: 940 }],
+    [even, 25, 30, 2, { start: 0, end: 8, before: 0, after: 920 }],
+    [even, 980, 30, 10, { start: 88, end: 100, before: 880, after: 0 }],
+    // Measured heights differ per line
+    [[10, 50, 10, 10], 15, 10, 0, { start: 1, end: 2, before: 10, after: 20 }],
+    // Scrolled past the end, or nothing to show
+    [[10, 10], 100, 30, 0, { start: 2, end: 2, before: 20, after: 0 }],
+    [[], 0, 30, 10, { start: 0, end: 0, before: 0, after: 0 }],
+  ];
+  for (const [heights, scrollTop, height, overscan, expected] of cases) {
+    const rows = windowRows(heights, scrollTop, height, overscan);
+    assert.deepEqual(rows, expected, `scrollTop ${scrollTop}, overscan ${overscan}`);
+    // Spacers plus rendered lines always add up to the full height
+    const rendered = heights.slice(rows.start, rows.end).reduce((a, b) => a + b, 0);
+    assert.equal(rows.before + rendered + rows.after, heights.reduce((a, b) => a + b, 0));
+  }
+});
+
+test("findLines ignores case and treats the query as text", () => {
+  const lines = ["Hello World", "hello", "a.b", "axb", "İstanbul"];
+  assert.deepEqual(findLines(lines, "HELLO"), [0, 1]);
+  assert.deepEqual(findLines(lines, "."), [2]);
+  assert.deepEqual(findLines(lines, "İst"), [4]);
+  assert.deepEqual(findLines(lines, ""), []);
+});
+
+test("markSpans splits at matches, across spans, keeping span styles", () => {
+  const spans: Span[] = [{ text: "Say hel", color: "cyan" }, { text: "lo, HELLO" }];
+  assert.deepEqual(markSpans(spans, "hello"), [
+    { text: "Say ", color: "cyan" },
+    { text: "hel", color: "cyan", mark: true },
+    { text: "lo", mark: true },
+    { text: ", " },
+    { text: "HELLO", mark: true },
+  ]);
+  assert.deepEqual(markSpans(spans, "bye"), spans);
+  assert.deepEqual(markSpans(spans, ""), spans);
+  // Matches do not overlap
+  assert.deepEqual(markSpans([{ text: "aaa" }], "aa"), [{ text: "aa", mark: true }, { text: "a" }]);
+});
+
+test("markSpans keeps offsets where lowercasing changes the length", () => {
+  // "İ".toLowerCase() is two code units, which used to shift every later match
+  assert.deepEqual(markSpans([{ text: "İİ ok OK" }], "ok"), [
+    { text: "İİ " },
+    { text: "ok", mark: true },
+    { text: " " },
+    { text: "OK", mark: true },
+  ]);
+  assert.deepEqual(markSpans([{ text: "İstanbul" }, { text: " İST" }], "İst"), [
+    { text: "İst", mark: true },
+    { text: "anbul" },
+    { text: " " },
+    { text: "İST", mark: true },
+  ]);
+});
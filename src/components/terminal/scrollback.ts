@@ -0,0 +1,109 @@
+/**
+ * src/components/terminal/scrollback.ts
+ * -----------------------------------------------------------------------------
+ * Helpers for rendering a long scrollback cheaply in TerminalOverlay:
+ *
+ * - windowRows: which lines intersect the viewport (plus some overscan), and
+ *   the space to reserve above and below them, from per-line heights that
+ *   the overlay measures as lines render (an estimate until then)
+ * - findLines / markSpans: in-scrollback find (Ctrl+F): matching line
+ *   indices, and spans split so the matches can be highlighted
+ *
+ * Pure functions over arrays; the DOM side lives in the overlay.
+ * -----------------------------------------------------------------------------
+ */
+
+import type { Span } from "./output";
+
+export interface RowWindow {
+  /** First rendered line. */
+  start: number;
+  /** One past the last rendered line. */
+  end: number;
+  /** Pixels above `start` and below `end` (spacers keep the scroll height). */
+  before: number;
+  after: number;
+}
+
+/** A span inside or outside a find match. */
+export type MarkedSpan = Span & { mark?: boolean };
+
+/**
+ * Lines to render for a viewport at `scrollTop` (relative to the first line)
+ * that is `height` pixels tall, with `overscan` extra lines on each side.
+ */
+export function windowRows(heights: number[], scrollTop: number, height: number, overscan = 10): RowWindow {
+  let y = 0;
+  let start = 0;
+  while (start < heights.length && y + heights[start] <= scrollTop) y += heights[start++];
+  let end = start;
+  let bottom = y;
+  while (end < heights.length && bottom < scrollTop + height) bottom += heights[end++];
+
+  const from = Math.max(0, start - overscan);
+  const to = Math.min(heights.length, end + overscan);
+  let before = y;
+  for (let i = from; i < start; i++) before -= heights[i];
+  let after = 0;
+  for (let i = to; i < heights.length; i++) after += heights[i];
+  return { start: from, end: to, before, after };
+}
+
+/** Pixels from the first line to the top of line `index`. */
+export function rowOffset(heights: number[], index: number): number {
+  let y = 0;
+  for (let i = 0; i < index && i < heights.length; i++) y += heights[i];
+  return y;
+}
+
+/**
+ * `query` as literal text, ignoring case, or null when empty. Matched on the
+ * original text so offsets stay valid where lowercasing changes the length
+ * ("İ" becomes two code units).
+ */
+function findPattern(query: string): RegExp | null {
+  return query ? new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "giu") : null;
+}
+
+/** Indices of lines containing `query`, ignoring case. */
+export function findLines(lines: readonly string[], query: string): number[] {
+  const re = findPattern(query);
+  if (!re) return [];
+  const out: number[] = [];
+  lines.forEach((line, i) => {
+    if (line.search(re) >= 0) out.push(i);
+  });
+  return out;
+}
+
+/**
+ * Split `spans` at the boundaries of `query` matches (ignoring case, and
+ * across span boundaries) and flag the pieces inside a match with `mark`.
+ */
+export function markSpans(spans: readonly Span[], query: string): MarkedSpan[] {
+  const re = findPattern(query);
+  const text = spans.map((s) => s.text).join("");
+  // Match ranges [from, to) in the joined text
+  const ranges = re ? [...text.matchAll(re)].map((m): [number, number] => [m.index, m.index + m[0].length]) : [];
+  if (!ranges.length) return spans.slice();
+
+  const out: MarkedSpan[] = [];
+  let offset = 0;
+  for (const span of spans) {
+    const end = offset + span.text.length;
+    // Cut points inside this span, from every range edge
+    const cuts = [offset, end];
+    for (const [from, to] of ranges) {
+      if (from > offset && from < end) cuts.push(from);
+      if (to > offset && to < end) cuts.push(to);
+    }
+    const points = [...new Set(cuts)].sort((a, b) => a - b);
+    for (let i = 0; i < points.length - 1; i++) {
+      const [a, b] = [points[i], points[i + 1]];
+      const mark = ranges.some(([from, to]) => a >= from && b <= to);
+      out.push({ ...span, text: span.text.slice(a - offset, b - offset), ...(mark ? { mark } : {}) });
+    }
+    offset = end;
+  }
+  return out;
+}
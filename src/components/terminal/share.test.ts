@@ -0,0 +1,54 @@
+/**
+ * src/components/terminal/share.test.ts
+ * -----------------------------------------------------------------------------
+ * Shared links: commands in, the same commands out, bad links rejected:
+ * `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { sharedCommands, shareURL } from "./share";
+
+const BASE = "https://example.com/";
+
+test("shareURL and sharedCommands round-trip", () => {
+  const cases: string[][] = [
+    ["gh stars"],
+    ["gh stars", "plot systematic-backtester"],
+    // Characters the hash format itself uses
+    [`grep -i "a+b" | head -3`, "echo 'x&run=rm' ; echo #not-a-hash", "echo 100% && echo =="],
+    ["echo İstanbul 🚀"],
+    new Array<string>(20).fill("echo hi"),
+    ["x".repeat(500)],
+  ];
+  for (const commands of cases) {
+    const url = shareURL(commands, BASE);
+    assert.ok(url.startsWith(`${BASE}#run=`), url);
+    assert.deepEqual(sharedCommands(url), commands);
+    assert.deepEqual(sharedCommands(new URL(url).hash), commands);
+  }
+  // The base's own hash is replaced
+  assert.equal(shareURL(["ls"], `${BASE}#old`), `${BASE}#run=ls`);
+});
+
+test("sharedCommands reads a bare or #-prefixed hash and skips empty commands", () => {
+  assert.deepEqual(sharedCommands("#run=ls&run=+&run=&other=x&run=+pwd+"), ["ls", "pwd"]);
+  assert.deepEqual(sharedCommands("run=gh+stars"), ["gh stars"]);
+  for (const hash of ["", "#", "#other=ls", "#run=", "https://example.com/", "#%%%"]) {
+    assert.deepEqual(sharedCommands(hash), [], hash);
+  }
+});
+
+test("sharedCommands rejects oversized or malformed links whole", () => {
+  const ok = "run=ls";
+  const cases: [string, string][] = [
+    ["more than 20 commands", new Array<string>(21).fill(ok).join("&")],
+    ["a command over 500 characters", `${ok}&run=${"x".repeat(501)}`],
+    ["a newline", `${ok}&run=ls%0Arm`],
+    ["an escape sequence", `${ok}&run=echo+%1B%5B2J`],
+    ["a broken %-escape", `${ok}&run=echo+%E0%A4%A`],
+  ];
+  for (const [what, hash] of cases) assert.deepEqual(sharedCommands(`#${hash}`), [], what);
+});
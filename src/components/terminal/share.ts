@@ -0,0 +1,185 @@
+/**
+ * src/components/terminal/share.ts
+ * -----------------------------------------------------------------------------
+ * Getting output out of the terminal:
+ *
+ *   save [file.txt|file.json]    download the scrollback (or piped lines)
+ *   share [-n 3]                 link that re-runs your last 3 commands
+ *   share "gh stars" "plot mlms" link that runs exactly these
+ *
+ * Shared links carry the commands in the URL hash, readable in the address
+ * bar: `/#run=gh+stars&run=plot+mlms`. Opening one lists the commands and
+ * asks before running anything (`share --replay`, which the overlay runs on
+ * load and on `hashchange`); the hash is removed either way so a reload
+ * does not ask again.
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import { line, link, span, type RichLine } from "./output";
+import { download } from "./record";
+import type { CommandSpec } from "./spec";
+import type { CmdAPI } from "./TerminalSession";
+
+/** Hash parameter holding one command each. */
+export const SHARE_PARAM = "run";
+
+/** Where links point when there is no page to take the address from. */
+const SITE_URL = "https://zeshanbasaran.github.io/";
+
+/** Limits for commands taken from a link. */
+const MAX_SHARED = 20;
+const MAX_SHARED_LENGTH = 500;
+
+// -----------------------------------------------------------------------------
+// Links
+// -----------------------------------------------------------------------------
+
+/** Link to `base` (default: this page) that replays `commands`. */
+export function shareURL(commands: string[], base?: string): string {
+  const page = base ?? (typeof location !== "undefined" ? location.origin + location.pathname : SITE_URL);
+  const params = new URLSearchParams(commands.map((c) => [SHARE_PARAM, c]));
+  return `${page.replace(/#.*$/, "")}#${params}`;
+}
+
+/**
+ * Commands in a shared link's hash ("" / "#…" / a full URL); [] if none. A
+ * link `share` could not have made is rejected whole rather than cut down:
+ * too many commands, one too long, or one with control characters or a
+ * broken %-escape.
+ */
+export function sharedCommands(hashOrURL: string): string[] {
+  const hash = hashOrURL.includes("#") ? hashOrURL.slice(hashOrURL.indexOf("#") + 1) : hashOrURL;
+  const commands = new URLSearchParams(hash)
+    .getAll(SHARE_PARAM)
+    .map((c) => c.trim())
+    .filter(Boolean);
+  const valid = (c: string) => c.length <= MAX_SHARED_LENGTH && !/[\p{Cc}\uFFFD]/u.test(c);
+  return commands.length <= MAX_SHARED && commands.every(valid) ? commands : [];
+}
+
+/** Drop the shared commands from the address bar (no reload, no history entry). */
+function clearSharedHash() {
+  if (typeof location === "undefined" || typeof history === "undefined") return;
+  history.replaceState(history.state, "", location.pathname + location.search);
+}
+
+// -----------------------------------------------------------------------------
+// Save
+// -----------------------------------------------------------------------------
+
+const stamp = () => new Date().toISOString().slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+
+/** Scrollback to save: without the `$ save …` echo of the running line. */
+function scrollback(api: CmdAPI): { lines: string[]; richLines: RichLine[] } {
+  const { session } = api;
+  const echoed = session.running != null && session.lines[session.lines.length - 1] === `$ ${session.running}`;
+  const end = echoed ? -1 : undefined;
+  return { lines: session.lines.slice(0, end), richLines: session.richLines.slice(0, end) };
+}
+
+async function copyText(text: string): Promise<boolean> {
+  try {
+    if (typeof navigator === "undefined" || !navigator.clipboard) return false;
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Commands
+// -----------------------------------------------------------------------------
+
+export function createShareCommands(): Record<string, CommandSpec> {
+  return {
+    save: {
+      description: "Download the scrollback (or piped output) as text or JSON",
+      usage: "[file.txt|file.json]",
+      args: [{ name: "file", optional: true, description: "Name ending in .txt (default) or .json" }],
+      examples: ["save", "save session.json", "gh stars | save stars.txt"],
+      run: (_args, api) => {
+        const requested = (api.params.file as string | undefined) ?? `terminal-${stamp()}.txt`;
+        const file = /\.(txt|json)$/i.test(requested) ? requested : `${requested}.txt`;
+        const json = /\.json$/i.test(file);
+        // Piped input is saved instead of the screen: `grep x | save x.txt`
+        const piped = api.stdin;
+        const { lines, richLines } = piped ? { lines: piped, richLines: null } : scrollback(api);
+        const text = json
+          ? JSON.stringify(
+              { savedAt: new Date().toISOString(), cwd: api.cwd, lines: richLines ?? lines.map((l) => ({ spans: [{ text: l }] })) },
+              null,
+              2
+            )
+          : `${lines.join("\n")}\n`;
+        if (!download(file, text, json ? "application/json" : "text/plain")) {
+          throw new CommandError("save: downloads need a browser");
+        }
+        return `Saved ${lines.length} line${lines.length === 1 ? "" : "s"} to ${file}.`;
+      },
+    },
+
+    share: {
+      description: "Make a link that re-runs commands when opened",
+      usage: "[command...] [-n N] [--replay]",
+      args: [
+        {
+          name: "commands",
+          optional: true,
+          variadic: true,
+          description: "Command lines to share (quote each); default: your last N",
+        },
+      ],
+      flags: [
+        { name: "count", short: "n", type: "number", default: 1, valueName: "N", description: "How many recent commands to share" },
+        { name: "replay", description: "Run the commands in this page's link (asks first)" },
+      ],
+      examples: ["share", "share -n 3", 'share "gh stars" "plot systematic-backtester"'],
+      run: async (args, api) => {
+        if (api.flags.replay) return replayShared(api);
+
+        let commands = args;
+        if (!commands.length) {
+          const n = Math.max(1, Math.floor(Number(api.flags.count)));
+          // History already holds this `share` line; leave it (and other shares) out
+          commands = api.history.filter((h) => !/^share\b/.test(h)).slice(-n);
+        }
+        if (!commands.length) throw new CommandError("share: nothing to share yet (run a command first)");
+        if (commands.length > MAX_SHARED) throw new CommandError(`share: at most ${MAX_SHARED} commands`, 2);
+        if (commands.some((c) => c.length > MAX_SHARED_LENGTH)) {
+          throw new CommandError(`share: commands can be at most ${MAX_SHARED_LENGTH} characters`, 2);
+        }
+
+        const url = shareURL(commands);
+        const copied = await copyText(url);
+        const out: RichLine[] = [
+          line(span(`Link runs ${commands.length} command${commands.length === 1 ? "" : "s"}: `, { dim: true }), span(commands.join(" ; "), { color: "cyan" })),
+          line(link(url)),
+        ];
+        if (copied) out.push(line(span("Copied to clipboard.", { dim: true })));
+        return out;
+      },
+    },
+  };
+}
+
+/** `share --replay`: list the link's commands, ask, then queue them. */
+async function replayShared(api: CmdAPI) {
+  const hash = typeof location === "undefined" ? "" : location.hash;
+  if (!new URLSearchParams(hash.slice(1)).has(SHARE_PARAM)) return;
+  clearSharedHash();
+  const commands = sharedCommands(hash);
+  if (!commands.length) {
+    api.print(line(span("Ignored this page's shared link: it is malformed or too long.", { dim: true })));
+    return;
+  }
+  api.print(line(span(`This link wants to run ${commands.length} command${commands.length === 1 ? "" : "s"}:`, { bold: true })));
+  commands.forEach((c) => api.print(line(span("  $ ", { dim: true }), span(c, { color: "cyan" }))));
+  if (!(await api.confirm("Run them?", false))) {
+    api.print(line(span("Skipped.", { dim: true })));
+    return;
+  }
+  // Queued behind this line, so they run (echoed, into history) once it finishes
+  for (const c of commands) void api.session.execute(c);
+}
@@ -0,0 +1,175 @@
+/**
+ * src/components/terminal/siteFS.ts
+ * -----------------------------------------------------------------------------
+ * Builds the terminal's read-only virtual filesystem from site content:
+ *
+ *   /README
+ *   /projects/<slug>/README        src/data/projects.json
+ *   /projects/<slug>/spark.json
+ *   /resume/basics                 src/data/resume.json
+ *   /resume/experience/<company>
+ *   /resume/education/<institution>
+ *   /resume/skills/<category>
+ *   /resume/projects/<name>
+ *   /resume/certifications/<title>
+ *   /resume/timeline
+ *   /facts/today                   getDailyFacts() — changes daily
+ *   /facts/<id>                    src/data/facts.json
+ *   /nav/<group>                   src/data/nav.json
+ * -----------------------------------------------------------------------------
+ */
+
+import factsData from "../../data/facts.json";
+import navData from "../../data/nav.json";
+import projectData from "../../data/projects.json";
+import resume from "../../data/resume.json";
+import { getDailyFacts } from "../../scripts/facts";
+import { dir, file, slugify, VirtualFS, type VDir } from "./vfs";
+
+/** Site route of a project ("./projects/x" → "/projects/x"). */
+export function projectRoute(href: string): string {
+  return "/" + href.replace(/^\.?\//, "");
+}
+
+/** Project slug as used under /projects ("/projects/x" → "x"). */
+export function projectSlug(href: string): string {
+  return href.split("/").filter(Boolean).pop() ?? slugify(href);
+}
+
+/** "Label ..... value" rows with aligned values. */
+function rows(pairs: [string, string | number | undefined][]): string {
+  const w = Math.max(...pairs.map(([k]) => k.length)) + 1;
+  return pairs
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `${`${k}:`.padEnd(w + 1)}${v}`)
+    .join("\n");
+}
+
+const bullets = (items: string[] = []) => items.map((d) => `- ${d}`).join("\n");
+
+function projectsDir(): VDir {
+  const out = dir();
+  for (const p of projectData.projects) {
+    out.children[projectSlug(p.href)] = dir({
+      README: file(
+        [
+          `# ${p.title}`,
+          rows([
+            ["Category", p.category],
+            ["Year", p.year],
+            ["Stars", p.stars],
+            ["Tech", p.tech.join(", ")],
+            ["Page", projectRoute(p.href)],
+          ]),
+          "",
+          p.summary,
+        ].join("\n")
+      ),
+      "spark.json": file(JSON.stringify(p.spark)),
+    });
+  }
+  return out;
+}
+
+function resumeDir(): VDir {
+  const { basics, skills, experience, education, projects, certifications, timeline } = resume;
+
+  const byName = <T>(items: T[], name: (item: T) => string, render: (item: T) => string) =>
+    dir(Object.fromEntries(items.map((item) => [slugify(name(item)), file(render(item))])));
+
+  return dir({
+    basics: file(
+      rows([
+        ["Name", basics.name],
+        ["Title", basics.title],
+        ["Location", basics.location],
+        ["Email", basics.email],
+        ["GitHub", basics.github],
+        ["LinkedIn", basics.linkedin],
+      ]) + `\n\n${basics.tagline}`
+    ),
+    experience: byName(
+      experience,
+      (e) => e.company,
+      (e) => `${e.role} @ ${e.company}\n${e.period}\n\n${bullets(e.details)}`
+    ),
+    education: byName(
+      education,
+      (e) => e.institution,
+      (e) =>
+        [
+          `${e.degree} — ${e.institution}`,
+          rows([["Period", e.period], ["GPA", e.gpa]]),
+          e.achievements?.length ? `\n${bullets(e.achievements)}` : "",
+        ]
+          .filter(Boolean)
+          .join("\n")
+    ),
+    skills: dir(
+      Object.fromEntries(Object.entries(skills).map(([k, list]) => [k, file(list.join("\n"))]))
+    ),
+    projects: byName(
+      projects,
+      (p) => p.name,
+      (p) => `${p.name}\n${p.link}\n\n${p.description}`
+    ),
+    certifications: byName(
+      certifications,
+      (c) => c.title,
+      (c) => `${c.title}\n${c.issuer}, ${c.year}\n\n${c.details}`
+    ),
+    timeline: file(timeline.map((t) => `${t.year}  ${t.event}`).join("\n")),
+  });
+}
+
+function factsDir(): VDir {
+  const out = dir({
+    today: file(() => getDailyFacts(5).map((f) => `• ${f.text}`).join("\n")),
+  });
+  for (const f of factsData.facts) {
+    out.children[f.id] = file(
+      [f.text, "", rows([["Tags", f.tags?.join(", ")], ["URL", (f as { url?: string }).url]])]
+        .join("\n")
+        .trimEnd()
+    );
+  }
+  return out;
+}
+
+function navDir(): VDir {
+  const links = (items: { label: string; href: string }[]) =>
+    file(rows(items.map((i) => [i.label, i.href])));
+  return dir({
+    primary: links(navData.primary),
+    secondary: links(navData.secondary),
+    social: links(navData.social),
+    footer: links(navData.footer),
+    shortcuts: file(
+      navData.shortcuts.map((s) => `${s.keys.join(" ").padEnd(5)} ${s.href}`).join("\n")
+    ),
+  });
+}
+
+/** The site content tree mounted at "/". */
+export function createSiteFS(): VirtualFS {
+  return new VirtualFS(
+    dir({
+      README: file(
+        [
+          `${resume.basics.name} — ${resume.basics.title}`,
+          resume.basics.tagline,
+          "",
+          "This is a read-only view of the site. Try:",
+          "  ls projects",
+          "  cat projects/systematic-backtester/README",
+          "  cat /facts/today",
+          "  tree -L 2",
+        ].join("\n")
+      ),
+      projects: projectsDir(),
+      resume: resumeDir(),
+      facts: factsDir(),
+      nav: navDir(),
+    })
+  );
+}
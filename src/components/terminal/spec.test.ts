@@ -0,0 +1,76 @@
+/**
+ * src/components/terminal/spec.test.ts
+ * -----------------------------------------------------------------------------
+ * Argument parsing against command specs (flags, -N, --, positionals):
+ * `npm test`.
+ * -----------------------------------------------------------------------------
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { parseArgs, toSpec, UsageError, type CommandSpec } from "./spec";
+import { createStreamCommands } from "./streams";
+
+const { head } = createStreamCommands();
+
+/** `grep`-like: one flag, a required pattern and optional files. */
+const find: CommandSpec = {
+  description: "",
+  flags: [
+    { name: "ignore-case", short: "i" },
+    { name: "max", short: "m", type: "number" },
+  ],
+  args: [{ name: "pattern" }, { name: "files", optional: true, variadic: true }],
+  run: () => undefined,
+};
+
+test("head -n N, -nN and -N all set the count", () => {
+  const cases: [string[], number][] = [
+    [[], 10],
+    [["-n", "3"], 3],
+    [["-n3"], 3],
+    [["-3"], 3],
+    [["--lines", "4"], 4],
+    [["--lines=5"], 5],
+    // The last one wins
+    [["-3", "-n", "7"], 7],
+  ];
+  for (const [raw, lines] of cases) {
+    assert.equal(parseArgs("head", head, raw).flags.lines, lines, raw.join(" "));
+  }
+});
+
+test("-- ends the flags", () => {
+  const parsed = parseArgs("find", find, ["-i", "--", "-m", "--", "a.txt"]);
+  assert.deepEqual(parsed.flags, { "ignore-case": true });
+  assert.deepEqual(parsed.params, { pattern: "-m", files: ["--", "a.txt"] });
+  // After "--", "-3" is a word, and head takes none
+  assert.throws(() => parseArgs("head", head, ["--", "-3"]), /unexpected argument '-3'/);
+});
+
+test("bare handlers take any words, flags and -N included", () => {
+  const words = ["-x", "--y", "-3", "--", "z"];
+  assert.deepEqual(parseArgs("echo", toSpec(() => undefined), words).positionals, words);
+});
+
+test("usage errors name the problem, then print the usage", () => {
+  const specs: Record<string, CommandSpec> = { head, find };
+  const cases: [string, string[], string][] = [
+    ["head", ["-x"], "unknown option -x\nUsage: head [-n N]"],
+    ["head", ["--bytes", "4"], "unknown option --bytes\nUsage: head [-n N]"],
+    ["head", ["-n"], "-n needs a value\nUsage: head [-n N]"],
+    ["head", ["-n", "many"], "-n must be a number\nUsage: head [-n N]"],
+    ["head", ["file.txt"], "unexpected argument 'file.txt'\nUsage: head [-n N]"],
+    ["find", [], "missing <pattern>\nUsage: find [-i] [-m MAX] <pattern> [files...]"],
+    ["find", ["-i"], "missing <pattern>\nUsage: find [-i] [-m MAX] <pattern> [files...]"],
+    ["find", ["-iz", "x"], "unknown option -z\nUsage: find [-i] [-m MAX] <pattern> [files...]"],
+  ];
+  for (const [name, raw, message] of cases) {
+    assert.throws(() => parseArgs(name, specs[name], raw), (err) => {
+      assert.ok(err instanceof UsageError, raw.join(" "));
+      assert.equal(err.message, message);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,408 @@
+/**
+ * src/components/terminal/spec.ts
+ * -----------------------------------------------------------------------------
+ * Declarative command metadata for TerminalSession.
+ *
+ * A registry entry is either a bare handler (legacy, no validation) or a
+ * CommandSpec describing its arguments. From a spec the session derives:
+ * - argument parsing + validation before the handler runs (UsageError)
+ * - the usage line and `help` / `help <cmd>` text
+ * - Tab completion for flags, enum choices, paths and async completers
+ *
+ * Example
+ * -------
+ * const greet: CommandSpec = {
+ *   description: "Say hello",
+ *   args: [{ name: "who", choices: ["world", "mars"] }],
+ *   flags: [{ name: "loud", short: "l", description: "Shout it" }],
+ *   run: (_args, api) => {
+ *     const msg = `hello ${api.params.who}`;
+ *     return api.flags.loud ? msg.toUpperCase() : msg;
+ *   },
+ * };
+ *
+ * Parsing rules
+ * -------------
+ * - `--flag`, `--flag=value`, `--flag value`, `-f value`, `-abc` (booleans),
+ *   and find(1)-style `-name value` when "name" is a long flag
+ * - `--` ends flag parsing; "-3" style tokens are treated as values, unless
+ *   a number flag is `numeric` (`head -3` is `head -n 3`)
+ * - Positionals are required unless `optional`; a `variadic` last arg takes
+ *   the rest. A spec without `args` takes none: extra words are an error
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import type { CommandHandler } from "./TerminalSession";
+import type { VirtualFS } from "./vfs";
+
+// -----------------------------------------------------------------------------
+// Types
+// -----------------------------------------------------------------------------
+
+export type ArgValue = string | number | boolean | string[] | undefined;
+
+/** What a completer gets to work with. */
+export interface CompletionContext {
+  fs: VirtualFS;
+  cwd: string;
+  /** Tokens of the current command before the word being completed. */
+  words: string[];
+  /** All registered command names (sorted). */
+  commandNames: string[];
+  /** Aliases defined in the session (name → replacement text). */
+  aliases: Readonly<Record<string, string>>;
+}
+
+/** Returns candidates for `partial` (filtering by prefix is done for you). */
+export type Completer = (
+  partial: string,
+  ctx: CompletionContext
+) => string[] | Promise<string[]>;
+
+export interface ArgSpec {
+  name: string;
+  description?: string;
+  /** "path" values complete against the virtual filesystem. */
+  type?: "string" | "number" | "path";
+  choices?: string[];
+  optional?: boolean;
+  /** Collects all remaining positionals (last arg only). */
+  variadic?: boolean;
+  complete?: Completer;
+}
+
+export interface FlagSpec {
+  /** Long name, used as `--name` and as the key in `api.flags`. */
+  name: string;
+  /** Single-letter alias, used as `-x`. */
+  short?: string;
+  description?: string;
+  /** Booleans take no value (default). */
+  type?: "boolean" | "string" | "number";
+  choices?: string[];
+  default?: string | number | boolean;
+  /** Placeholder in usage, e.g. "N" in `[-n N]`. */
+  valueName?: string;
+  /** A bare `-N` sets this (number) flag to N, like `head -3`. */
+  numeric?: boolean;
+  complete?: Completer;
+}
+
+export interface CommandSpec {
+  description: string;
+  /** Overrides the generated usage line (without the command name). */
+  usage?: string;
+  args?: ArgSpec[];
+  flags?: FlagSpec[];
+  /** Section in `help` (default "Commands"). */
+  group?: string;
+  /** Extra lines for `help <cmd>`. */
+  examples?: string[];
+  /** Callable but not listed in `help`. */
+  hidden?: boolean;
+  /** Plugin that provides the command (set by ./plugins.ts). */
+  plugin?: string;
+  run: CommandHandler;
+}
+
+export interface ParsedArgs {
+  /** Positional tokens (flags removed). */
+  positionals: string[];
+  params: Record<string, ArgValue>;
+  flags: Record<string, ArgValue>;
+}
+
+/** Thrown when arguments don't match the spec; prints reason + usage. */
+export class UsageError extends CommandError {
+  constructor(reason: string, usage: string) {
+    super(reason ? `${reason}\nUsage: ${usage}` : `Usage: ${usage}`, 2);
+    this.name = "UsageError";
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/** Wrap a bare handler so every registry entry is a spec (taking any words). */
+export function toSpec(entry: CommandHandler | CommandSpec): CommandSpec {
+  return typeof entry === "function"
+    ? { description: "", args: [{ name: "args", optional: true, variadic: true }], run: entry }
+    : entry;
+}
+
+const isFlagToken = (tok: string) => /^-[^\d-]|^--./.test(tok);
+
+function flagLabel(f: FlagSpec): string {
+  const name = f.short ? `-${f.short}` : `--${f.name}`;
+  if ((f.type ?? "boolean") === "boolean") return name;
+  const value = f.choices ? f.choices.join("|") : f.valueName ?? f.name.toUpperCase();
+  return `${name} ${value}`;
+}
+
+function argLabel(a: ArgSpec): string {
+  const inner = (a.choices ? a.choices.join("|") : a.name) + (a.variadic ? "..." : "");
+  return a.optional ? `[${inner}]` : `<${inner}>`;
+}
+
+/** `theme <holo|dark|light>`, `head [-n N]`, … */
+export function formatUsage(name: string, spec: CommandSpec): string {
+  if (spec.usage != null) return `${name} ${spec.usage}`.trim();
+  const parts = [
+    name,
+    ...(spec.flags ?? []).map((f) => `[${flagLabel(f)}]`),
+    ...(spec.args ?? []).map(argLabel),
+  ];
+  return parts.join(" ");
+}
+
+function coerce(
+  value: string,
+  type: ArgSpec["type"] | FlagSpec["type"],
+  choices: string[] | undefined,
+  label: string,
+  usage: string
+): string | number {
+  if (choices && !choices.includes(value)) {
+    throw new UsageError(`invalid ${label}: '${value}' (expected ${choices.join(", ")})`, usage);
+  }
+  if (type === "number") {
+    const n = Number(value);
+    if (value === "" || !Number.isFinite(n)) throw new UsageError(`${label} must be a number`, usage);
+    return n;
+  }
+  return value;
+}
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+/** Parse and validate raw args against a spec; throws UsageError. */
+export function parseArgs(name: string, spec: CommandSpec, raw: string[]): ParsedArgs {
+  const usage = formatUsage(name, spec);
+  const flagSpecs = spec.flags ?? [];
+  const flags: Record<string, ArgValue> = {};
+  const positionals: string[] = [];
+
+  for (const f of flagSpecs) {
+    if (f.default !== undefined) flags[f.name] = f.default;
+    else if ((f.type ?? "boolean") === "boolean") flags[f.name] = false;
+  }
+
+  const byLong = (n: string) => flagSpecs.find((f) => f.name === n);
+  const byShort = (c: string) => flagSpecs.find((f) => f.short === c);
+  const numeric = flagSpecs.find((f) => f.numeric);
+
+  const setFlag = (f: FlagSpec, label: string, value: string | undefined) => {
+    if ((f.type ?? "boolean") === "boolean") {
+      if (value !== undefined) throw new UsageError(`${label} takes no value`, usage);
+      flags[f.name] = true;
+      return;
+    }
+    if (value === undefined) throw new UsageError(`${label} needs a value`, usage);
+    flags[f.name] = coerce(value, f.type, f.choices, label, usage);
+  };
+
+  for (let i = 0; i < raw.length; i++) {
+    const tok = raw[i];
+    if (tok === "--" && flagSpecs.length) {
+      positionals.push(...raw.slice(i + 1));
+      break;
+    }
+    if (numeric && /^-\d+$/.test(tok)) {
+      setFlag(numeric, tok, tok.slice(1));
+      continue;
+    }
+    if (!isFlagToken(tok) || !flagSpecs.length) {
+      positionals.push(tok);
+      continue;
+    }
+
+    const takesValue = (f: FlagSpec) => (f.type ?? "boolean") !== "boolean";
+
+    // "--name" or find(1)-style "-name" for multi-letter long names
+    const singleDashLong = !tok.startsWith("--") && tok.length > 2 && byLong(tok.slice(1).split("=")[0]);
+    if (tok.startsWith("--") || singleDashLong) {
+      const [long, inline] = tok.replace(/^--?/, "").split(/=(.*)/s, 2);
+      const f = byLong(long);
+      if (!f) throw new UsageError(`unknown option --${long}`, usage);
+      const value = inline ?? (takesValue(f) ? raw[++i] : undefined);
+      setFlag(f, `--${long}`, value);
+      continue;
+    }
+
+    // Short flags: "-n 5", "-n5", "-iv"
+    const letters = tok.slice(1);
+    for (let j = 0; j < letters.length; j++) {
+      const f = byShort(letters[j]);
+      if (!f) throw new UsageError(`unknown option -${letters[j]}`, usage);
+      if (takesValue(f)) {
+        const rest = letters.slice(j + 1);
+        setFlag(f, `-${letters[j]}`, rest || raw[++i]);
+        break;
+      }
+      setFlag(f, `-${letters[j]}`, undefined);
+    }
+  }
+
+  // Positionals
+  const params: Record<string, ArgValue> = {};
+  const argSpecs = spec.args ?? [];
+  let k = 0;
+  for (const a of argSpecs) {
+    if (a.variadic) {
+      const rest = positionals.slice(k);
+      if (!rest.length && !a.optional) throw new UsageError(`missing <${a.name}>`, usage);
+      rest.forEach((v) => coerce(v, a.type, a.choices, `<${a.name}>`, usage));
+      params[a.name] = rest;
+      k = positionals.length;
+      continue;
+    }
+    const v = positionals[k];
+    if (v === undefined) {
+      if (!a.optional) throw new UsageError(`missing <${a.name}>`, usage);
+      continue;
+    }
+    params[a.name] = coerce(v, a.type, a.choices?.length ? a.choices : undefined, `<${a.name}>`, usage);
+    k++;
+  }
+  if (k < positionals.length) {
+    throw new UsageError(`unexpected argument '${positionals[k]}'`, usage);
+  }
+
+  return { positionals, params, flags };
+}
+
+// -----------------------------------------------------------------------------
+// Completion
+// -----------------------------------------------------------------------------
+
+/**
+ * Candidates for the last word of a command (`words` = tokens before it).
+ * Handles flag names, flag values and positional args.
+ */
+export async function completeArgs(
+  spec: CommandSpec,
+  words: string[],
+  partial: string,
+  ctx: Omit<CompletionContext, "words">
+): Promise<string[]> {
+  const flagSpecs = spec.flags ?? [];
+  const full: CompletionContext = { ...ctx, words };
+  const source = async (
+    s: { type?: string; choices?: string[]; complete?: Completer } | undefined
+  ): Promise<string[]> => {
+    if (!s) return [];
+    if (s.choices) return s.choices;
+    if (s.complete) return s.complete(partial, full);
+    if (s.type === "path") return ctx.fs.complete(ctx.cwd, partial);
+    return [];
+  };
+
+  // Flag a token refers to: "--name", "-name" or the last letter of "-abc"
+  const flagFor = (tok: string) =>
+    tok.startsWith("--")
+      ? flagSpecs.find((x) => x.name === tok.slice(2))
+      : flagSpecs.find((x) => x.name === tok.slice(1)) ??
+        flagSpecs.find((x) => x.short === tok.slice(-1));
+
+  // Value for the previous flag?
+  const prev = words[words.length - 1];
+  if (prev && isFlagToken(prev) && !prev.includes("=")) {
+    const f = flagFor(prev);
+    if (f && (f.type ?? "boolean") !== "boolean") {
+      return (await source(f)).filter((c) => c.startsWith(partial));
+    }
+  }
+
+  // Flag names
+  if (partial.startsWith("-")) {
+    return flagSpecs
+      .flatMap((f) => (partial.startsWith("--") || !f.short ? [`--${f.name}`] : [`-${f.short}`, `--${f.name}`]))
+      .filter((c) => c.startsWith(partial));
+  }
+
+  // Positional: count positionals before the cursor (skip flags and their values)
+  let index = 0;
+  for (let i = 1; i < words.length; i++) {
+    const w = words[i];
+    if (isFlagToken(w)) {
+      const f = flagFor(w);
+      if (f && (f.type ?? "boolean") !== "boolean" && !w.includes("=")) i++;
+      continue;
+    }
+    index++;
+  }
+  const args = spec.args ?? [];
+  const arg = args[index] ?? (args[args.length - 1]?.variadic ? args[args.length - 1] : undefined);
+  return (await source(arg)).filter((c) => c.startsWith(partial));
+}
+
+// -----------------------------------------------------------------------------
+// Help
+// -----------------------------------------------------------------------------
+
+/** `help` overview: commands grouped, aligned usage + description. */
+export function formatHelp(registry: Record<string, CommandSpec>): string[] {
+  const groups = new Map<string, [string, string][]>();
+  for (const name of Object.keys(registry).sort()) {
+    const spec = registry[name];
+    if (spec.hidden) continue;
+    const group = spec.group ?? "Commands";
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group)!.push([formatUsage(name, spec), spec.description]);
+  }
+
+  const rows = [...groups.values()].flat();
+  const width = Math.min(34, Math.max(...rows.map(([u]) => u.length)) + 2);
+  const out: string[] = [];
+  for (const [group, entries] of groups) {
+    if (out.length) out.push("");
+    out.push(`${group}:`);
+    for (const [usage, desc] of entries) {
+      out.push(
+        usage.length + 2 > width
+          ? `  ${usage}\n  ${"".padEnd(width)}${desc}`.trimEnd()
+          : `  ${usage.padEnd(width)}${desc}`.trimEnd()
+      );
+    }
+  }
+  out.push("", "Type 'help <command>' for details. Chain with |, &&, ||, ;");
+  return out.flatMap((l) => l.split("\n"));
+}
+
+/** `help <cmd>`: usage, description, arguments and options. */
+export function formatCommandHelp(name: string, spec: CommandSpec): string[] {
+  const out = [`Usage: ${formatUsage(name, spec)}`];
+  if (spec.description) out.push("", spec.description);
+
+  const table = (title: string, rows: [string, string][]) => {
+    if (!rows.length) return;
+    const w = Math.max(...rows.map(([k]) => k.length)) + 2;
+    out.push("", `${title}:`, ...rows.map(([k, d]) => `  ${k.padEnd(w)}${d}`.trimEnd()));
+  };
+
+  table(
+    "Arguments",
+    (spec.args ?? []).map((a) => [
+      argLabel(a),
+      [a.description, a.choices && !a.description ? `one of ${a.choices.join(", ")}` : ""]
+        .filter(Boolean)
+        .join(" "),
+    ])
+  );
+  table(
+    "Options",
+    (spec.flags ?? []).map((f) => [
+      [f.short ? `-${f.short}` : "", `--${f.name}`].filter(Boolean).join(", ") +
+        ((f.type ?? "boolean") === "boolean" ? "" : ` ${f.valueName ?? f.name.toUpperCase()}`),
+      [f.description, f.default !== undefined && f.default !== false ? `(default ${f.default})` : ""]
+        .filter(Boolean)
+        .join(" "),
+    ])
+  );
+  if (spec.examples?.length) out.push("", "Examples:", ...spec.examples.map((e) => `  ${e}`));
+  return out;
+}
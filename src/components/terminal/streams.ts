@@ -0,0 +1,146 @@
+/**
+ * src/components/terminal/streams.ts
+ * -----------------------------------------------------------------------------
+ * Stream built-ins for pipelines: grep, head, tail, wc, sort, uniq.
+ *
+ * Each reads `api.stdin` (the previous stage's output lines) and returns the
+ * transformed lines, so they compose like their Unix namesakes:
+ *
+ *   projects | grep -i python | wc -l
+ *   help | grep -v Show | sort | head -3
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+import type { CommandSpec } from "./spec";
+import type { CmdAPI } from "./TerminalSession";
+
+const GROUP = "Pipes";
+
+function readStdin(name: string, api: CmdAPI): string[] {
+  if (!api.stdin) {
+    throw new CommandError(`${name}: no input (pipe something in, e.g. projects | ${name})`, 2);
+  }
+  return api.stdin;
+}
+
+const countFlag = {
+  name: "lines",
+  short: "n",
+  type: "number",
+  valueName: "N",
+  default: 10,
+  numeric: true,
+  description: "Number of lines (also -N: head -3)",
+} as const;
+
+export function createStreamCommands(): Record<string, CommandSpec> {
+  return {
+    grep: {
+      group: GROUP,
+      description: "Keep lines matching a pattern (regex or text)",
+      args: [{ name: "pattern" }],
+      flags: [
+        { name: "ignore-case", short: "i", description: "Case-insensitive match" },
+        { name: "invert", short: "v", description: "Keep non-matching lines" },
+        { name: "line-number", short: "n", description: "Prefix line numbers" },
+        { name: "count", short: "c", description: "Print only the number of matches" },
+      ],
+      examples: ["projects | grep -i python"],
+      run: (_args, api) => {
+        const pattern = api.params.pattern as string;
+        const { flags } = api;
+        const input = readStdin("grep", api);
+
+        const reFlags = flags["ignore-case"] ? "i" : "";
+        let re: RegExp;
+        try {
+          re = new RegExp(pattern, reFlags);
+        } catch {
+          re = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), reFlags);
+        }
+        const hits = input
+          .map((line, i) => ({ line, n: i + 1 }))
+          .filter(({ line }) => re.test(line) !== flags.invert);
+
+        if (flags.count) return String(hits.length);
+        // Like grep(1): no match is a (quiet) failure so `&&` chains stop
+        if (!hits.length) throw new CommandError("", 1);
+        return hits.map(({ line, n }) => (flags["line-number"] ? `${n}:${line}` : line));
+      },
+    },
+
+    head: {
+      group: GROUP,
+      description: "First N lines",
+      flags: [countFlag],
+      run: (_args, api) => readStdin("head", api).slice(0, api.flags.lines as number),
+    },
+
+    tail: {
+      group: GROUP,
+      description: "Last N lines",
+      flags: [countFlag],
+      run: (_args, api) => {
+        const n = api.flags.lines as number;
+        return n <= 0 ? [] : readStdin("tail", api).slice(-n);
+      },
+    },
+
+    wc: {
+      group: GROUP,
+      description: "Count lines, words and characters",
+      flags: [
+        { name: "lines", short: "l", description: "Lines only" },
+        { name: "words", short: "w", description: "Words only" },
+        { name: "chars", short: "c", description: "Characters only" },
+      ],
+      run: (_args, api) => {
+        const input = readStdin("wc", api);
+        const counts = {
+          lines: input.length,
+          words: input.reduce((sum, l) => sum + (l.match(/\S+/g)?.length ?? 0), 0),
+          chars: input.reduce((sum, l) => sum + l.length + 1, 0),
+        };
+        const keys = ["lines", "words", "chars"] as const;
+        const picked = keys.filter((k) => api.flags[k]);
+        return (picked.length ? picked : keys).map((k) => String(counts[k])).join(" ");
+      },
+    },
+
+    sort: {
+      group: GROUP,
+      description: "Sort lines",
+      flags: [
+        { name: "reverse", short: "r", description: "Descending" },
+        { name: "numeric", short: "n", description: "Compare as numbers" },
+        { name: "unique", short: "u", description: "Drop repeated lines" },
+      ],
+      run: (_args, api) => {
+        const { flags } = api;
+        const out = readStdin("sort", api).slice();
+        if (flags.numeric) out.sort((a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0));
+        else out.sort((a, b) => a.localeCompare(b));
+        if (flags.reverse) out.reverse();
+        return flags.unique ? out.filter((l, i) => i === 0 || l !== out[i - 1]) : out;
+      },
+    },
+
+    uniq: {
+      group: GROUP,
+      description: "Collapse adjacent repeated lines",
+      flags: [{ name: "count", short: "c", description: "Prefix occurrence counts" }],
+      run: (_args, api) => {
+        const groups: { line: string; count: number }[] = [];
+        for (const line of readStdin("uniq", api)) {
+          const last = groups[groups.length - 1];
+          if (last && last.line === line) last.count++;
+          else groups.push({ line, count: 1 });
+        }
+        return groups.map(({ line, count }) =>
+          api.flags.count ? `${String(count).padStart(4)} ${line}` : line
+        );
+      },
+    },
+  };
+}
@@ -4,8 +4,8 @@
  * A reusable React hook that powers a sci-fi terminal:
  * - Scrollback lines w/ typewriter helper
  * - Command registry (sync/async), history, autocomplete
- * - Built-in commands: help, clear, echo, date, time, theme, open, about, skills,
- *   projects, contact, github, resume
+ * - Built-in commands from the session (see ./builtins.ts and the modules
+ *   TerminalSession.ts merges in: files, streams, env, plugins…)
  *
  * Pair it with a UI shell (e.g., TerminalOverlay.jsx) or build your own:
  *
@@ -25,9 +25,40 @@
  *
  * Design Notes
  * ------------
+ * - Thin React binding over TerminalSession (./TerminalSession.ts), which owns
+ *   the registry, tokenizer, history and output buffer. Pass `session` to
+ *   share one session between islands or drive it from outside React.
  * - No DOM dependencies; UI handles focus/scroll.
- * - Typed command API; easy to extend/override built-ins via options.commands.
- * - Autocomplete on first token (Tab) and history nav (↑/↓).
+ * - Typed command API; easy to extend/override built-ins via options.commands,
+ *   or for every island at once with `registerPlugin` (./plugins.ts), which
+ *   can defer importing a plugin until one of its commands is used.
+ * - Autocomplete (Tab) for commands, flags and arguments (from command
+ *   metadata, see ./spec.ts); pressing Tab again cycles through the
+ *   candidates (Shift+Tab backwards). Typos fall back to fuzzy matches
+ *   (./fuzzy.ts), both in `suggestion` and for Tab. History nav (↑/↓).
+ * - Readline editing (./readline.ts): Ctrl+A/E, Alt+B/F, Ctrl+W/U/K with a
+ *   kill ring for Ctrl+Y, and Ctrl+L to clear the screen. The cursor is
+ *   read from and written back to the input element the handler is bound to.
+ * - History persists in localStorage; Ctrl+R starts a reverse incremental
+ *   search (type to filter, Ctrl+R for older matches, Enter runs the match,
+ *   Esc / Ctrl+G cancels, arrows / Tab accept it for editing).
+ * - `cwd` / `prompt` expose the session's current directory for the prompt.
+ * - While a command asks a question (`question`), Enter answers it (never
+ *   recorded in history), Tab cycles its choices and Esc / Ctrl+C cancel.
+ * - Ctrl+C (with no text selected) interrupts the running command, or
+ *   abandons the current input line like a shell; `running` / `busy` let the
+ *   UI show that a command is in flight.
+ * - `richLines` carries styled spans, links and badges (./output.ts) for
+ *   renderers that want them; `lines` is the plain-text mirror. Route link
+ *   clicks through `open` so onOpenURL applies.
+ * - `useTerminalTabs` keeps several sessions as tabs (./TerminalTabs.ts);
+ *   pass its `active` session to `useTerminal` to drive the visible one.
+ * - `announcement` is text for a screen reader live region: each command's
+ *   output once it finishes (not line by line, so spinners and typing stay
+ *   quiet), questions, and Tab completion candidates. `announceOutput()`
+ *   flushes output printed outside a command (e.g. a boot banner).
+ * - `appendType` prints the whole line at once when the visitor prefers
+ *   reduced motion (`reducedMotion` overrides the media query).
  *
  * License
  * -------
@@ -37,293 +68,403 @@
 
 import * as React from "react";
 
+import type { OutputLine, RichLine } from "./output";
+import { applyEdit, editAction, isKill, KillRing } from "./readline";
+import type { CommandSpec } from "./spec";
+import { TerminalTabs, type TabsSnapshot, type TerminalTabsOptions } from "./TerminalTabs";
+import {
+  TerminalSession,
+  tokenizeQuoted,
+  type PendingQuestion,
+  type TerminalSessionOptions,
+  type TerminalTheme,
+} from "./TerminalSession";
+
+export { TerminalSession, tokenizeQuoted } from "./TerminalSession";
+export { TerminalTabs } from "./TerminalTabs";
+export type { TabInfo, TabsSnapshot, TerminalTabsOptions } from "./TerminalTabs";
+export type {
+  CmdAPI,
+  CommandHandler,
+  CommandRegistry,
+  CommandResult,
+  ExecuteOptions,
+  LiveLine,
+  OutputChunk,
+  PendingQuestion,
+  PromptOptions,
+  TerminalTheme,
+} from "./TerminalSession";
+export type { ArgSpec, CommandSpec, Completer, FlagSpec } from "./spec";
+export { ansi, badge, line, link, progressBar, span, SPINNER } from "./output";
+export type { OutputLine, RichLine, Span, SpanColor } from "./output";
+export { UsageError } from "./spec";
+export { listPlugins, loadPlugin, registerPlugin } from "./plugins";
+export type { LazyPlugin, PluginCommandInfo, PluginInfo, TerminalPlugin } from "./plugins";
+
 // -----------------------------------------------------------------------------
 // Types
 // -----------------------------------------------------------------------------
 
-/** API given to command handlers for side-effects. */
-export interface CmdAPI {
-  /** Append a line to the scrollback. */
-  print: (line: string) => void;
-  /** Open a URL (default opens new tab, can be overridden by onOpenURL). */
-  open: (url: string) => void;
-  /** Set terminal theme token. */
-  setTheme: (theme: TerminalTheme) => void;
+export interface UseTerminalOptions extends TerminalSessionOptions {
+  /**
+   * Existing session to bind to. When given, `initialLines` and `startTheme`
+   * are ignored (the session already has its own state).
+   */
+  session?: TerminalSession;
+  /**
+   * Skip the typewriter in `appendType`. Defaults to the visitor's
+   * `prefers-reduced-motion` setting.
+   */
+  reducedMotion?: boolean;
 }
 
-export type CommandResult = void | string | string[] | Promise<void | string | string[]>;
-
-export type CommandHandler = (args: string[], api: CmdAPI) => CommandResult;
-
-export type CommandRegistry = Record<string, CommandHandler>;
-
-export type TerminalTheme = "holo" | "dark" | "light";
-
-export interface UseTerminalOptions {
-  /** Initial scrollback lines shown after boot/typewriter. */
-  initialLines?: string[];
-  /** Starting theme token. */
-  startTheme?: TerminalTheme;
-  /** Custom / overriding commands. */
-  commands?: CommandRegistry;
-  /** Intercept URL openings (tests, in-app router, analytics, etc.). */
-  onOpenURL?: (url: string) => void;
-  /** Maximum history length (default 100). */
-  historyMax?: number;
+/** Text for a live region; `id` changes with every announcement, even a repeated one. */
+export interface Announcement {
+  id: number;
+  text: string;
 }
 
 export interface UseTerminalReturn {
   // State
   lines: string[];
+  /** Same scrollback as `lines`, with styling (spans, links, badges). */
+  richLines: RichLine[];
+  /** Lines dropped off the top (the buffer keeps the newest `scrollback`). */
+  trimmed: number;
   input: string;
   suggestion: string;
   theme: TerminalTheme;
   history: string[];
   historyIndex: number;
+  /** Current directory (absolute) and its prompt form ("~/projects"). */
+  cwd: string;
+  prompt: string;
+  /** Command line currently executing (null when idle) and its boolean form. */
+  running: string | null;
+  busy: boolean;
+  /** Question a command is waiting on; the input line answers it. */
+  question: PendingQuestion | null;
+  /**
+   * Active Ctrl+R search, or null. While searching, `input` holds the query
+   * and `match` the history entry that Enter would run.
+   */
+  search: { query: string; match: string } | null;
 
   // Core actions
   setInput: React.Dispatch<React.SetStateAction<string>>;
   setTheme: (t: TerminalTheme) => void;
-  appendLine: (line: string) => void;
-  appendType: (line: string, charDelay?: number) => Promise<void>;
+  appendLine: (line: OutputLine) => void;
+  /**
+   * Type `line` out character by character on one line. Aborting `signal`
+   * finishes the line at once (e.g. to skip a boot banner).
+   */
+  appendType: (line: string, charDelay?: number, signal?: AbortSignal) => Promise<void>;
   clear: () => void;
+  /** Open a URL through the session (honours onOpenURL). */
+  open: (url: string) => void;
+  /** Latest screen reader announcement (render it in an aria-live region). */
+  announcement: Announcement | null;
+  /** Announce `text` now. */
+  announce: (text: string) => void;
+  /** Announce output printed since the last announcement (outside commands). */
+  announceOutput: () => void;
   runCommand: (raw: string) => Promise<void>;
+  /** Run a script silently (no echo/history), e.g. `session.rc`. */
+  runScript: (script: string) => Promise<number>;
+  /** Abort the running command (Ctrl+C). Returns false when idle. */
+  interrupt: () => boolean;
 
   // Keyboard helper (bind to your input)
   onKeyDown: (e: React.KeyboardEvent<HTMLInputElement>) => void;
 
-  // Registry (read-only)
-  commands: CommandRegistry;
+  // Registry (read-only, normalized to specs)
+  commands: Readonly<Record<string, CommandSpec>>;
+
+  // Underlying framework-free session
+  session: TerminalSession;
 
   // Utils
   tokenize: (s: string) => string[];
 }
 
 // -----------------------------------------------------------------------------
-// Utilities
+// Hook
 // -----------------------------------------------------------------------------
 
-const clamp = (v: number, lo: number, hi: number) => Math.max(lo, Math.min(hi, v));
+/** Lines read out after a command; the rest are summarized. */
+const ANNOUNCE_MAX_LINES = 20;
 
-const nowHHMMSS = () => new Date().toLocaleTimeString();
-const fmtDate = () =>
-  new Date().toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+const prefersReducedMotion = () =>
+  typeof window !== "undefined" && !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
 
-/** Tokenize preserving quoted substrings. */
-export function tokenizeQuoted(input: string): string[] {
-  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
-  const out: string[] = [];
-  let m: RegExpExecArray | null;
-  while ((m = re.exec(input))) out.push(m[1] ?? m[2] ?? m[3]);
-  return out;
+/** Read-out form of new output lines (blank lines dropped, long output cut short). */
+function outputText(lines: readonly string[]): string {
+  const said = lines.filter((l) => l.trim());
+  if (said.length <= ANNOUNCE_MAX_LINES) return said.join("\n");
+  const rest = said.length - ANNOUNCE_MAX_LINES;
+  return [...said.slice(0, ANNOUNCE_MAX_LINES), `…and ${rest} more line${rest === 1 ? "" : "s"} in the scrollback.`].join("\n");
 }
 
-// -----------------------------------------------------------------------------
-// Built-in commands (can be overridden by options.commands)
-// -----------------------------------------------------------------------------
+export function useTerminal(options: UseTerminalOptions = {}): UseTerminalReturn {
+  const { commands: overrides, onOpenURL, historyMax = 100, autoCorrect, scrollback, reducedMotion } = options;
 
-function createBuiltinCommands(): CommandRegistry {
-  return {
-    help: (_args, _api) => [
-      "Available commands:",
-      "  help                      Show this help",
-      "  clear                     Clear the screen",
-      "  echo <text>               Print text",
-      "  about                     Who is Zeshan?",
-      "  skills                    Tech stack overview",
-      "  projects                  List featured projects",
-      "  contact                   How to reach me",
-      "  date | time               Show current date / time",
-      "  github                    Open GitHub profile",
-      "  resume                    Open resume PDF",
-      "  open <url>                Open a URL",
-      "  theme <holo|dark|light>   Switch terminal theme",
-    ],
-    clear: (_args, api) => {
-      api.print("__CLEAR__"); // sentinel handled by hook
-    },
-    echo: (args) => args.join(" "),
-    about: () => [
-      "User: Zeshan Basaran",
-      "Specialization: Pattern Recognition & Predictive Modeling",
-      "Clearance: Data Analyst / Computer Scientist",
-      "Motto: Analyzing patterns, engineering solutions, shaping the future.",
-    ],
-    skills: () => [
-      "Languages: Python, Java, Kotlin, SQL, JS/TS, Go (learning)",
-      "Data: pandas, scikit-learn, Plotly, Dash, Streamlit, NumPy",
-      "Web: Astro, React, Tailwind, Node, REST APIs",
-      "DB: SQLite, MySQL, Postgres",
-      "Tools: Git, Docker, Jupyter, VS Code",
-    ],
-    projects: () => [
-      "1) Systematic Trading Backtester & Risk Monitor  —  Python + Streamlit",
-      "2) Quantitative Factor Analytics Platform        —  Python + Dash",
-      "3) Sci-Fi Portfolio (this site)                 —  Astro + Tailwind",
-      "Tip: open the Projects page for interactive previews.",
-    ],
-    contact: () => [
-      "Email: zeshanbasaran@gmail.com",
-      "LinkedIn: /in/zeshanbasaran",
-      "Location: Baltimore, MD (US-ET)",
-    ],
-    date: () => fmtDate(),
-    time: () => nowHHMMSS(),
-    github: (_args, api) => {
-      api.open("https://github.com/zeshanbasaran");
-      return "Opening GitHub in a new tab…";
-    },
-    resume: (_args, api) => {
-      api.open("/resume.pdf");
-      return "Opening resume…";
-    },
-    open: (args, api) => {
-      if (!args[0]) return "Usage: open <url>";
-      const url = /^https?:\/\//i.test(args[0]) ? args[0] : `https://${args[0]}`;
-      api.open(url);
-      return `Opening ${url}…`;
-    },
-    theme: (args, api) => {
-      const t = (args[0] || "").toLowerCase() as TerminalTheme;
-      if (!["holo", "dark", "light"].includes(t)) {
-        return "Usage: theme <holo|dark|light>";
-      }
-      api.setTheme(t);
-      return `Theme set to ${t}.`;
-    },
-  };
-}
+  const sessionRef = React.useRef<TerminalSession | null>(null);
+  if (!sessionRef.current || (options.session && sessionRef.current !== options.session)) {
+    sessionRef.current = options.session ?? new TerminalSession(options);
+  }
+  const session = sessionRef.current;
 
-// -----------------------------------------------------------------------------
-// Hook
-// -----------------------------------------------------------------------------
+  // Keep late-changing options in sync with the session
+  React.useEffect(() => {
+    session.configure({ commands: overrides, onOpenURL, historyMax, autoCorrect, scrollback });
+  }, [session, overrides, onOpenURL, historyMax, autoCorrect, scrollback]);
+
+  const { lines, richLines, trimmed, theme, history, historyIndex, cwd, running, question } =
+    React.useSyncExternalStore(session.subscribe, session.getSnapshot, session.getSnapshot);
 
-export function useTerminal(options: UseTerminalOptions = {}): UseTerminalReturn {
-  const {
-    initialLines = ["Type 'help' to list commands.", "Try: projects, skills, about, theme holo"],
-    startTheme = "holo",
-    commands: overrides,
-    onOpenURL,
-    historyMax = 100,
-  } = options;
-
-  const [lines, setLines] = React.useState<string[]>([...initialLines]);
   const [input, setInput] = React.useState<string>("");
   const [suggestion, setSuggestion] = React.useState<string>("");
-  const [theme, setTheme] = React.useState<TerminalTheme>(startTheme);
-  const [history, setHistory] = React.useState<string[]>([]);
-  const [historyIndex, setHistoryIndex] = React.useState<number>(-1);
-
-  // registry (built-ins overridden by user commands)
-  const registry = React.useMemo<CommandRegistry>(
-    () => ({ ...createBuiltinCommands(), ...(overrides || {}) }),
-    [overrides]
-  );
-
-  const commandNames = React.useMemo<string[]>(
-    () => Object.keys(registry).sort(),
-    [registry]
+  const [search, setSearch] = React.useState<{
+    query: string;
+    index: number;
+    original: string;
+  } | null>(null);
+
+  // Readline state: kill ring, the previous key's action (kills join, Tab
+  // cycles) and the cursor to restore once a new `input` has rendered
+  const killRing = React.useRef(new KillRing());
+  const lastActionRef = React.useRef<string | null>(null);
+  const cycleRef = React.useRef<{ stem: string; after: string; candidates: string[]; index: number } | null>(null);
+  const cursorRef = React.useRef<{ el: HTMLInputElement; at: number } | null>(null);
+
+  React.useLayoutEffect(() => {
+    const pending = cursorRef.current;
+    cursorRef.current = null;
+    pending?.el.setSelectionRange(pending.at, pending.at);
+  }, [input]);
+
+  /** Set the line and put the caret at `at` (now, or after the re-render). */
+  const setLine = React.useCallback(
+    (el: HTMLInputElement, value: string, at: number) => {
+      if (value === el.value) el.setSelectionRange(at, at);
+      else {
+        cursorRef.current = { el, at };
+        setInput(value);
+      }
+    },
+    []
   );
 
-  // API provided to commands
-  const api = React.useMemo<CmdAPI>(
-    () => ({
-      print: (line: string) => {
-        if (line === "__CLEAR__") {
-          setLines([]);
-          return;
-        }
-        setLines((prev) => [...prev, line]);
-      },
-      open: (url: string) => {
-        if (onOpenURL) onOpenURL(url);
-        else if (typeof window !== "undefined") {
-          window.open(url, "_blank", "noopener,noreferrer");
-        }
-      },
-      setTheme: (t: TerminalTheme) => setTheme(t),
-    }),
-    [onOpenURL]
-  );
+  // A different session (tab switch) starts with a clean input line
+  React.useEffect(() => {
+    setInput("");
+    setSearch(null);
+  }, [session]);
 
   // External helpers
-  const appendLine = React.useCallback((line: string) => {
-    setLines((prev) => [...prev, line]);
-  }, []);
+  const setTheme = React.useCallback((t: TerminalTheme) => session.setTheme(t), [session]);
+
+  const appendLine = React.useCallback((line: OutputLine) => session.print(line), [session]);
 
   const appendType = React.useCallback(
-    (line: string, charDelay = 8) =>
+    (line: string, charDelay = 8, signal?: AbortSignal) =>
       new Promise<void>((resolve) => {
+        if (reducedMotion ?? prefersReducedMotion()) {
+          session.print(line);
+          resolve();
+          return;
+        }
+        const live = session.liveLine();
         let i = 0;
         const tick = () => {
-          setLines((prev) => [...prev, line.slice(0, i + 1)]);
-          i++;
+          i = signal?.aborted ? line.length : i + 1;
+          live.set(line.slice(0, i));
           if (i < line.length) setTimeout(tick, charDelay);
-          else resolve();
+          else {
+            live.done();
+            resolve();
+          }
         };
         tick();
       }),
-    []
+    [session, reducedMotion]
+  );
+
+  // Screen reader announcements. `heardRef` is the absolute line number
+  // (counting trimmed lines) up to which output has been announced.
+  const [announcement, setAnnouncement] = React.useState<Announcement | null>(null);
+  const heardRef = React.useRef(0);
+  const announce = React.useCallback((text: string) => {
+    if (text) setAnnouncement((a) => ({ id: (a?.id ?? 0) + 1, text }));
+  }, []);
+
+  const announceOutput = React.useCallback(
+    (extra = "") => {
+      const end = session.trimmed + session.lines.length;
+      const fresh = session.lines.slice(Math.max(heardRef.current - session.trimmed, 0));
+      heardRef.current = end;
+      announce([outputText(fresh), extra].filter(Boolean).join("\n"));
+    },
+    [session, announce]
   );
 
-  const clear = React.useCallback(() => setLines([]), []);
+  React.useEffect(() => {
+    // A (new) session's existing output was not produced in front of the visitor
+    heardRef.current = session.trimmed + session.lines.length;
+    setAnnouncement(null);
+    const offs = [
+      // Skip the `$ command` echo that follows: the visitor just typed it
+      session.on("input", () => {
+        heardRef.current = session.trimmed + session.lines.length + 1;
+      }),
+      session.on("command", () => announceOutput()),
+      session.on("clear", () => {
+        heardRef.current = session.trimmed;
+      }),
+      session.on("truncate", () => {
+        heardRef.current = Math.min(heardRef.current, session.trimmed + session.lines.length);
+      }),
+    ];
+    return () => offs.forEach((off) => off());
+  }, [session, announceOutput]);
+
+  // A question stops the command midway: read what it printed, then the question
+  React.useEffect(() => {
+    if (question) announceOutput(question.text);
+  }, [question, announceOutput]);
+
+  const clear = React.useCallback(() => session.clear(), [session]);
+
+  const open = React.useCallback((url: string) => session.open(url), [session]);
 
   // Command execution
   const runCommand = React.useCallback(
     async (raw: string) => {
-      const trimmed = raw.trim();
-      if (!trimmed) return;
+      await session.execute(raw);
+    },
+    [session]
+  );
+
+  const runScript = React.useCallback((script: string) => session.runScript(script), [session]);
+
+  const interrupt = React.useCallback(() => session.interrupt(), [session]);
+
+  // Keyboard handler (bind to your input element)
+  const onKeyDown = React.useCallback(
+    (e: React.KeyboardEvent<HTMLInputElement>) => {
+      if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+      const previous = lastActionRef.current;
+      lastActionRef.current = null;
 
-      // Echo the prompt + command
-      setLines((prev) => [...prev, `$ ${trimmed}`]);
+      // Ctrl+C: interrupt / abandon the line (but let it copy a selection)
+      const el = e.currentTarget;
+      if (e.ctrlKey && e.key.toLowerCase() === "c" && el.selectionStart === el.selectionEnd) {
+        e.preventDefault();
+        if (search) {
+          setSearch(null);
+          setInput(search.original);
+          return;
+        }
+        if (!session.interrupt()) session.print(`$ ${input}^C`);
+        setInput("");
+        setSuggestion("");
+        return;
+      }
 
-      // Maintain history
-      setHistory((prev) => [...prev.slice(-historyMax + 1), trimmed]);
-      setHistoryIndex(-1);
+      // Ctrl+L: clear the screen, keep the line
+      if (e.ctrlKey && !e.altKey && e.key.toLowerCase() === "l") {
+        e.preventDefault();
+        session.clear();
+        return;
+      }
 
-      // Tokenize and execute
-      const [cmd, ...args] = tokenizeQuoted(trimmed);
-      const handler = registry[cmd];
+      // Readline editing (also while answering a question, not while searching)
+      const action = search ? null : editAction(e);
+      if (action) {
+        e.preventDefault();
+        const next = applyEdit(
+          { value: el.value, cursor: el.selectionStart ?? el.value.length },
+          action,
+          killRing.current,
+          isKill(previous) && isKill(action)
+        );
+        setLine(el, next.value, next.cursor);
+        lastActionRef.current = action;
+        return;
+      }
 
-      if (!handler) {
-        setLines((prev) => [...prev, `Command not found: ${cmd}. Type 'help'.`]);
+      // A command is asking: the line answers it (and stays out of history)
+      if (question) {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          session.answer(input);
+          setInput("");
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          session.interrupt();
+          setInput("");
+        } else if (e.key === "Tab" && question.choices?.length) {
+          e.preventDefault();
+          const { choices } = question;
+          const at = choices.indexOf(input);
+          const match = choices.find((c) => c.toLowerCase().startsWith(input.toLowerCase()));
+          setInput(at >= 0 ? choices[(at + 1) % choices.length] : match ?? choices[0]);
+        } else if (e.key === "ArrowUp" || e.key === "ArrowDown" || e.key === "Tab") {
+          e.preventDefault();
+        }
         return;
       }
 
-      try {
-        const out = await handler(args, api);
-        if (Array.isArray(out)) setLines((prev) => [...prev, ...out.map(String)]);
-        else if (typeof out === "string" && out.length) setLines((prev) => [...prev, out]);
-      } catch (err: any) {
-        setLines((prev) => [...prev, String(err?.message || err || "Unknown error")]);
+      // Reverse search: start, or jump to the next older match
+      if (e.ctrlKey && e.key.toLowerCase() === "r") {
+        e.preventDefault();
+        if (!search) {
+          setSearch({ query: "", index: -1, original: input });
+          setInput("");
+          setSuggestion("");
+        } else if (search.index > 0) {
+          const older = session.searchHistory(search.query, search.index);
+          if (older >= 0) setSearch({ ...search, index: older });
+        }
+        return;
+      }
+      if (search) {
+        const match = search.index >= 0 ? history[search.index] : "";
+        if (e.key === "Enter") {
+          e.preventDefault();
+          setSearch(null);
+          setInput("");
+          void runCommand(match || search.query);
+          return;
+        }
+        if (e.key === "Escape" || (e.ctrlKey && e.key.toLowerCase() === "g")) {
+          e.preventDefault();
+          setSearch(null);
+          setInput(search.original);
+          return;
+        }
+        if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Tab"].includes(e.key)) {
+          e.preventDefault();
+          setSearch(null);
+          setInput(match || search.query);
+          return;
+        }
+        // Anything else edits the query through the input's onChange
+        return;
       }
-    },
-    [api, registry, historyMax]
-  );
 
-  // Keyboard handler (bind to your input element)
-  const onKeyDown = React.useCallback(
-    (e: React.KeyboardEvent<HTMLInputElement>) => {
       // History navigation
       if (e.key === "ArrowUp") {
         e.preventDefault();
-        if (!history.length) return;
-        const ni = historyIndex < 0 ? history.length - 1 : Math.max(0, historyIndex - 1);
-        setHistoryIndex(ni);
-        setInput(history[ni]);
+        const prev = session.historyPrev();
+        if (prev != null) setInput(prev);
         return;
       }
       if (e.key === "ArrowDown") {
         e.preventDefault();
-        if (historyIndex < 0) return;
-        const ni = historyIndex + 1;
-        if (ni >= history.length) {
-          setHistoryIndex(-1);
-          setInput("");
-        } else {
-          setHistoryIndex(ni);
-          setInput(history[ni]);
-        }
+        const next = session.historyNext();
+        if (next != null) setInput(next);
         return;
       }
 
@@ -337,44 +478,95 @@ export function useTerminal(options: UseTerminalOptions = {}): UseTerminalReturn
         return;
       }
 
-      // Autocomplete (first token)
+      // Autocomplete (command names, flags, argument values) of the text
+      // before the caret; Tab again cycles the candidates, Shift+Tab back
       if (e.key === "Tab") {
         e.preventDefault();
-        const [tok] = tokenizeQuoted(input);
-        if (!tok) return;
-        const matches = commandNames.filter((c) => c.startsWith(tok));
-        if (matches.length === 1) {
-          const rest = input.replace(/^\S+/, matches[0]);
-          setInput(rest);
-          setSuggestion("");
-        } else if (matches.length > 1) {
-          setSuggestion(matches.join("  "));
+        lastActionRef.current = "tab";
+        const cycle = cycleRef.current;
+        if (previous === "tab" && cycle) {
+          const n = cycle.candidates.length;
+          cycle.index = cycle.index < 0 && e.shiftKey ? n - 1 : (cycle.index + (e.shiftKey ? n - 1 : 1)) % n;
+          const value = cycle.stem + cycle.candidates[cycle.index];
+          setLine(el, value + cycle.after, value.length);
+          setSuggestion(cycle.candidates.map((c, i) => (i === cycle.index ? `[${c}]` : c)).join("  "));
+          announce(`${cycle.candidates[cycle.index]}, ${cycle.index + 1} of ${n}`);
+          return;
         }
+        const at = el.selectionStart ?? input.length;
+        const before = input.slice(0, at);
+        const after = input.slice(at);
+        void session.complete(before).then(({ input: completed, candidates }) => {
+          setLine(el, completed + after, completed.length);
+          setSuggestion(candidates.length > 1 ? candidates.join("  ") : "");
+          announce(
+            candidates.length > 1
+              ? `${candidates.length} completions: ${candidates.join(", ")}`
+              : completed === before
+                ? "No completions"
+                : `Completed: ${completed.trim().split(/\s+/).pop()}`
+          );
+          const word = /\s$/.test(completed) ? "" : completed.match(/\S+$/)?.[0] ?? "";
+          cycleRef.current =
+            candidates.length > 1
+              ? { stem: completed.slice(0, completed.length - word.length), after, candidates, index: -1 }
+              : null;
+        });
         return;
       }
     },
-    [history, historyIndex, input, runCommand, commandNames]
+    [session, input, runCommand, search, history, question, setLine, announce]
   );
 
+  // Reverse search follows the query as it is typed
+  React.useEffect(() => {
+    setSearch((s) =>
+      s && s.query !== input
+        ? { ...s, query: input, index: input ? session.searchHistory(input) : -1 }
+        : s
+    );
+  }, [session, input]);
+
   // Live suggestion update while typing
   React.useEffect(() => {
-    const [tok] = tokenizeQuoted(input);
-    if (!tok) {
-      setSuggestion("");
+    let stale = false;
+    if (search) return;
+    if (question) {
+      setSuggestion(question.choices?.join("  ") ?? "");
       return;
     }
-    const matches = commandNames.filter((c) => c.startsWith(tok));
-    setSuggestion(matches.length === 1 ? matches[0] : "");
-  }, [input, commandNames]);
+    // Keep the candidate list while Tab cycles through it
+    if (lastActionRef.current === "tab" && cycleRef.current) return;
+    void (async () => {
+      const matches = await session.completions(input);
+      // Nothing starts with the word: show what it looks like instead
+      const close = matches.length ? [] : await session.fuzzyCompletions(input);
+      if (!stale) setSuggestion(matches.length === 1 ? matches[0] : close.join("  "));
+    })();
+    return () => {
+      stale = true;
+    };
+  }, [session, input, search, question]);
 
   return {
     // state
     lines,
+    richLines,
+    trimmed,
     input,
     suggestion,
     theme,
     history,
     historyIndex,
+    cwd,
+    prompt: session.prompt,
+    running,
+    busy: running != null,
+    question,
+    search: search && {
+      query: search.query,
+      match: search.index >= 0 ? history[search.index] ?? "" : "",
+    },
 
     // actions
     setInput,
@@ -382,18 +574,73 @@ export function useTerminal(options: UseTerminalOptions = {}): UseTerminalReturn
     appendLine,
     appendType,
     clear,
+    open,
+    announcement,
+    announce,
+    announceOutput,
     runCommand,
+    runScript,
+    interrupt,
 
     // keyboard
     onKeyDown,
 
     // registry
-    commands: registry,
+    commands: session.commands,
+    session,
 
     // utils
     tokenize: tokenizeQuoted,
   };
 }
 
+// -----------------------------------------------------------------------------
+// Tabs
+// -----------------------------------------------------------------------------
+
+export interface UseTerminalTabsReturn extends TabsSnapshot {
+  /** Session of the active tab (pass it to `useTerminal({ session })`). */
+  active: TerminalSession;
+  /** Open a tab and switch to it (null when `max` tabs are open). */
+  openTab: (title?: string) => string | null;
+  /** Close a tab (default: active); false when it was the last one. */
+  closeTab: (id?: string) => boolean;
+  activate: (id: string) => void;
+  rename: (id: string, title: string) => void;
+  /** Underlying framework-free tab manager. */
+  manager: TerminalTabs;
+}
+
+/**
+ * Sessions as tabs, restored from sessionStorage. Options are read once;
+ * the tab list is saved on changes and when the page is hidden.
+ */
+export function useTerminalTabs(options: TerminalTabsOptions = {}): UseTerminalTabsReturn {
+  const managerRef = React.useRef<TerminalTabs | null>(null);
+  managerRef.current ??= new TerminalTabs(options);
+  const manager = managerRef.current;
+
+  const snapshot = React.useSyncExternalStore(manager.subscribe, manager.getSnapshot, manager.getSnapshot);
+
+  React.useEffect(() => {
+    const flush = () => manager.flush();
+    window.addEventListener("pagehide", flush);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      flush();
+    };
+  }, [manager]);
+
+  return {
+    ...snapshot,
+    active: manager.session(snapshot.activeId)!,
+    openTab: React.useCallback((title?: string) => manager.open(title), [manager]),
+    closeTab: React.useCallback((id?: string) => manager.close(id), [manager]),
+    activate: React.useCallback((id: string) => manager.activate(id), [manager]),
+    rename: React.useCallback((id: string, title: string) => manager.rename(id, title), [manager]),
+    manager,
+  };
+}
+
 // Default export for convenience
 export default useTerminal;
@@ -0,0 +1,134 @@
+/**
+ * src/components/terminal/vfs.ts
+ * -----------------------------------------------------------------------------
+ * Tiny read-only virtual filesystem for the terminal.
+ *
+ * - Nodes are plain objects: directories hold children, files hold text (or a
+ *   function producing text, for content that changes, e.g. /facts/today)
+ * - POSIX-ish paths: absolute ("/a/b"), relative ("b", "../c"), "~" = "/"
+ * - Helpers for listing, walking and Tab-completing paths
+ *
+ * The site content tree itself is assembled in ./siteFS.ts.
+ * -----------------------------------------------------------------------------
+ */
+
+import { CommandError } from "./errors";
+
+// -----------------------------------------------------------------------------
+// Types
+// -----------------------------------------------------------------------------
+
+export interface VFile {
+  type: "file";
+  content: string | (() => string);
+}
+
+export interface VDir {
+  type: "dir";
+  children: Record<string, VNode>;
+}
+
+export type VNode = VFile | VDir;
+
+export const file = (content: VFile["content"]): VFile => ({ type: "file", content });
+export const dir = (children: Record<string, VNode> = {}): VDir => ({ type: "dir", children });
+
+// -----------------------------------------------------------------------------
+// Paths
+// -----------------------------------------------------------------------------
+
+/** Resolve `path` against `cwd` into a normalized absolute path. */
+export function resolvePath(cwd: string, path = ""): string {
+  let p = path.trim();
+  if (p === "~" || p.startsWith("~/")) p = "/" + p.slice(1);
+  const parts = (p.startsWith("/") ? p : `${cwd}/${p}`).split("/");
+  const out: string[] = [];
+  for (const part of parts) {
+    if (!part || part === ".") continue;
+    if (part === "..") out.pop();
+    else out.push(part);
+  }
+  return "/" + out.join("/");
+}
+
+/** Shorten an absolute path for prompts: "/" → "~", "/a" → "~/a". */
+export function displayPath(abs: string): string {
+  return abs === "/" ? "~" : `~${abs}`;
+}
+
+/** Turn free text into a path-safe segment ("True Chesapeake" → "true-chesapeake"). */
+export function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// -----------------------------------------------------------------------------
+// Filesystem
+// -----------------------------------------------------------------------------
+
+export class VirtualFS {
+  constructor(readonly root: VDir) {}
+
+  /** Node at an absolute path, or null. */
+  stat(abs: string): VNode | null {
+    let node: VNode = this.root;
+    for (const part of abs.split("/").filter(Boolean)) {
+      if (node.type !== "dir" || !Object.hasOwn(node.children, part)) return null;
+      node = node.children[part];
+    }
+    return node;
+  }
+
+  /** Like stat, but throws a `cmd: path: reason` CommandError when missing. */
+  require(cmd: string, abs: string, type?: VNode["type"]): VNode {
+    const node = this.stat(abs);
+    if (!node) throw new CommandError(`${cmd}: ${abs}: No such file or directory`);
+    if (type === "dir" && node.type !== "dir") throw new CommandError(`${cmd}: ${abs}: Not a directory`);
+    if (type === "file" && node.type !== "file") throw new CommandError(`${cmd}: ${abs}: Is a directory`);
+    return node;
+  }
+
+  /** Sorted child names of a directory (directories suffixed with "/"). */
+  list(abs: string): string[] {
+    const node = this.stat(abs);
+    if (!node || node.type !== "dir") return [];
+    return Object.keys(node.children)
+      .sort()
+      .map((name) => (node.children[name].type === "dir" ? `${name}/` : name));
+  }
+
+  /** File contents split into lines. */
+  read(cmd: string, abs: string): string[] {
+    const node = this.require(cmd, abs, "file") as VFile;
+    const text = typeof node.content === "function" ? node.content() : node.content;
+    return text.replace(/\n$/, "").split("\n");
+  }
+
+  /** Depth-first walk (pre-order, sorted) below and including `abs`. */
+  *walk(abs: string, depth = 0): Generator<{ path: string; node: VNode; depth: number }> {
+    const node = this.stat(abs);
+    if (!node) return;
+    yield { path: abs, node, depth };
+    if (node.type !== "dir") return;
+    for (const name of Object.keys(node.children).sort()) {
+      yield* this.walk(abs === "/" ? `/${name}` : `${abs}/${name}`, depth + 1);
+    }
+  }
+
+  /**
+   * Tab-complete a (possibly relative) path fragment. Candidates keep the
+   * fragment's own prefix, and directories end in "/" so Tab can keep going.
+   */
+  complete(cwd: string, partial: string): string[] {
+    const slash = partial.lastIndexOf("/");
+    const head = slash >= 0 ? partial.slice(0, slash + 1) : "";
+    const tail = slash >= 0 ? partial.slice(slash + 1) : partial;
+    const base = resolvePath(cwd, head || ".");
+    return this.list(base)
+      .filter((name) => name.startsWith(tail))
+      .map((name) => head + name);
+  }
+}
@@ -12,7 +12,11 @@
  *   - Fetch recent public events for a user
  *   - Fetch repository metadata (stars, forks, language, description)
  *   - Optional token authentication for higher rate limits
+ *   - Fetch a user's repositories and a repository's language breakdown
  *   - Simple in‑memory cache with optional TTL
+ *   - Rate-limit tracking from response headers (getRateLimit) and a
+ *     GitHubError that says when the limit resets
+ *   - Optional AbortSignal on every call
  *   - TypeScript interfaces for strong typing
  *
  * Usage
@@ -47,6 +51,38 @@ export interface GitHubRepo {
   stargazers_count: number;
   forks_count: number;
   language?: string;
+  fork?: boolean;
+  pushed_at?: string;
+}
+
+/** Bytes of code per language, as returned by /repos/{repo}/languages. */
+export type GitHubLanguages = Record<string, number>;
+
+/** Rate-limit state from the last response's x-ratelimit-* headers. */
+export interface RateLimit {
+  limit: number;
+  remaining: number;
+  used: number;
+  /** When the window resets. */
+  reset: Date;
+  resource?: string;
+}
+
+/** Non-2xx response; `rateLimited` is true when the quota is exhausted. */
+export class GitHubError extends Error {
+  status: number;
+  rateLimit: RateLimit | null;
+
+  constructor(status: number, statusText: string, rateLimit: RateLimit | null) {
+    super(`GitHub ${status}: ${statusText}`);
+    this.name = "GitHubError";
+    this.status = status;
+    this.rateLimit = rateLimit;
+  }
+
+  get rateLimited() {
+    return (this.status === 403 || this.status === 429) && this.rateLimit?.remaining === 0;
+  }
 }
 
 // ----------------------------
@@ -77,6 +113,35 @@ function setCached<T>(key: string, data: T) {
   memoryCache[key] = { ts: Date.now(), data };
 }
 
+let lastRateLimit: RateLimit | null = null;
+
+/** Rate-limit state seen on the most recent response (null before any call). */
+export function getRateLimit(): RateLimit | null {
+  return lastRateLimit;
+}
+
+function readRateLimit(res: Response): RateLimit | null {
+  const limit = res.headers.get("x-ratelimit-limit");
+  const remaining = res.headers.get("x-ratelimit-remaining");
+  const reset = res.headers.get("x-ratelimit-reset");
+  if (limit == null || remaining == null || reset == null) return null;
+  return {
+    limit: Number(limit),
+    remaining: Number(remaining),
+    used: Number(res.headers.get("x-ratelimit-used") ?? Number(limit) - Number(remaining)),
+    reset: new Date(Number(reset) * 1000),
+    resource: res.headers.get("x-ratelimit-resource") ?? undefined,
+  };
+}
+
+/** GET + JSON, recording rate-limit headers; throws GitHubError on non-2xx. */
+async function request<T>(url: string, token?: string, signal?: AbortSignal): Promise<T> {
+  const res = await fetch(url, { headers: authHeaders(token), signal });
+  lastRateLimit = readRateLimit(res) ?? lastRateLimit;
+  if (!res.ok) throw new GitHubError(res.status, res.statusText, lastRateLimit);
+  return (await res.json()) as T;
+}
+
 // ----------------------------
 // API functions
 // ----------------------------
@@ -88,18 +153,15 @@ function setCached<T>(key: string, data: T) {
  */
 export async function getUserEvents(
   username: string,
-  opts: { token?: string; limit?: number; cacheTtlMs?: number } = {}
+  opts: { token?: string; limit?: number; cacheTtlMs?: number; signal?: AbortSignal } = {}
 ): Promise<GitHubEvent[]> {
-  const { token, limit = 20, cacheTtlMs = 5 * 60 * 1000 } = opts;
+  const { token, limit = 20, cacheTtlMs = 5 * 60 * 1000, signal } = opts;
   const key = `gh:events:${username}`;
   const cached = getCached<GitHubEvent[]>(key, cacheTtlMs);
   if (cached) return cached.slice(0, limit);
 
   const url = `${BASE_URL}/users/${encodeURIComponent(username)}/events/public`;
-  const res = await fetch(url, { headers: authHeaders(token) });
-  if (!res.ok) throw new Error(`GitHub ${res.status}: ${res.statusText}`);
-
-  const json = (await res.json()) as GitHubEvent[];
+  const json = await request<GitHubEvent[]>(url, token, signal);
   setCached(key, json);
   return json.slice(0, limit);
 }
@@ -107,46 +169,95 @@ export async function getUserEvents(
 /**
  * Fetch repository metadata.
  * @param fullName Repo full name (e.g., "owner/repo")
- * @param opts Optional { token, cacheTtlMs }
+ * @param opts Optional { token, cacheTtlMs, signal }
  */
 export async function getRepo(
   fullName: string,
-  opts: { token?: string; cacheTtlMs?: number } = {}
+  opts: { token?: string; cacheTtlMs?: number; signal?: AbortSignal } = {}
 ): Promise<GitHubRepo> {
-  const { token, cacheTtlMs = 10 * 60 * 1000 } = opts;
+  const { token, cacheTtlMs = 10 * 60 * 1000, signal } = opts;
   const key = `gh:repo:${fullName}`;
   const cached = getCached<GitHubRepo>(key, cacheTtlMs);
   if (cached) return cached;
 
   const url = `${BASE_URL}/repos/${fullName}`;
-  const res = await fetch(url, { headers: authHeaders(token) });
-  if (!res.ok) throw new Error(`GitHub ${res.status}: ${res.statusText}`);
-
-  const json = (await res.json()) as GitHubRepo;
+  const json = await request<GitHubRepo>(url, token, signal);
   setCached(key, json);
   return json;
 }
 
+/**
+ * Fetch a user's public repositories (up to 100, most recently pushed first).
+ * @param username GitHub username
+ * @param opts Optional { token, cacheTtlMs, signal }
+ */
+export async function getUserRepos(
+  username: string,
+  opts: { token?: string; cacheTtlMs?: number; signal?: AbortSignal } = {}
+): Promise<GitHubRepo[]> {
+  const { token, cacheTtlMs = 10 * 60 * 1000, signal } = opts;
+  return fetchGitHub<GitHubRepo[]>(
+    `/users/${encodeURIComponent(username)}/repos?per_page=100&sort=pushed`,
+    { token, cacheKey: `gh:repos:${username}`, cacheTtlMs, signal }
+  );
+}
+
+/**
+ * Fetch a repository's language breakdown (bytes per language).
+ * @param fullName Repo full name (e.g., "owner/repo")
+ * @param opts Optional { token, cacheTtlMs, signal }
+ */
+export async function getRepoLanguages(
+  fullName: string,
+  opts: { token?: string; cacheTtlMs?: number; signal?: AbortSignal } = {}
+): Promise<GitHubLanguages> {
+  const { token, cacheTtlMs = 10 * 60 * 1000, signal } = opts;
+  return fetchGitHub<GitHubLanguages>(`/repos/${fullName}/languages`, {
+    token,
+    cacheKey: `gh:langs:${fullName}`,
+    cacheTtlMs,
+    signal,
+  });
+}
+
+/**
+ * Query /rate_limit (free: does not count against the quota) and update
+ * getRateLimit().
+ * @param opts Optional { token, signal }
+ */
+export async function fetchRateLimit(
+  opts: { token?: string; signal?: AbortSignal } = {}
+): Promise<RateLimit> {
+  const { rate } = await request<{
+    rate: { limit: number; remaining: number; used: number; reset: number; resource?: string };
+  }>(`${BASE_URL}/rate_limit`, opts.token, opts.signal);
+  lastRateLimit = {
+    limit: rate.limit,
+    remaining: rate.remaining,
+    used: rate.used,
+    reset: new Date(rate.reset * 1000),
+    resource: rate.resource ?? "core",
+  };
+  return lastRateLimit;
+}
+
 /**
  * Generic fetch wrapper for any GitHub API endpoint.
  * @param endpoint Path after base URL (e.g., "/users/foo")
- * @param opts Optional { token, cacheKey, cacheTtlMs }
+ * @param opts Optional { token, cacheKey, cacheTtlMs, signal }
  */
 export async function fetchGitHub<T = any>(
   endpoint: string,
-  opts: { token?: string; cacheKey?: string; cacheTtlMs?: number } = {}
+  opts: { token?: string; cacheKey?: string; cacheTtlMs?: number; signal?: AbortSignal } = {}
 ): Promise<T> {
-  const { token, cacheKey, cacheTtlMs } = opts;
+  const { token, cacheKey, cacheTtlMs, signal } = opts;
   if (cacheKey && cacheTtlMs) {
     const cached = getCached<T>(cacheKey, cacheTtlMs);
     if (cached) return cached;
   }
 
   const url = endpoint.startsWith("http") ? endpoint : `${BASE_URL}${endpoint}`;
-  const res = await fetch(url, { headers: authHeaders(token) });
-  if (!res.ok) throw new Error(`GitHub ${res.status}: ${res.statusText}`);
-
-  const json = (await res.json()) as T;
+  const json = await request<T>(url, token, signal);
   if (cacheKey && cacheTtlMs) setCached(cacheKey, json);
   return json;
 }